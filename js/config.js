@@ -3,16 +3,207 @@ export const config = {
     // Cube parameters
     CUBE_SIZE: 4,
     
+    // Vanishing points further out than this many image half-widths are left off exported drawings
+    MAX_VANISHING_POINT_EXTENT: 4,
+    
     // Default values
     DEFAULTS: {
         hemisphereRadius: 5,
+        // Distance from the viewpoint to the linear image plane; follows the radius while locked
+        focalDistance: 5,
+        focalLocked: true,
         viewpointPosition: { x: 0, y: 0, z: 5 },
+        // View direction of the eye in degrees (yaw about Y, pitch about X, roll about the gaze)
+        viewOrientation: { yaw: 0, pitch: 0, roll: 0 },
         cubeLocalRotation: { x: 0, y: 0, z: 0 },
         // Precise orientation using zx'z'' intrinsic Euler angles (in degrees)
         cubeEulerAngles: { alpha: 0, beta: 0, gamma: 0 },
         rotationMode: 'local', // 'local' or 'precise'
         zoomLevel2D: 25,
-        zoom3D: 16.5
+        zoom3D: 16.5,
+        fisheyeMapping: 'equidistant', // see FISHEYE_MAPPINGS
+        hemisphereMode: 'centred', // 'centred' (on the viewpoint) or 'fixed' (dome pinned in the world)
+        hiddenEdgeStyle: 'solid', // see HIDDEN_EDGE_STYLES
+        showFaces: false, // filled, shaded faces in linear2D and hemi2D
+        showRayTrace: false, // ray-traced image under the hemi2D wireframe
+        showDiagnostics: false, // arc construction vs direct formula residuals in hemi2D
+        showGroundGrid: true, // floor grid projected into linear2D and hemi2D
+        showHorizon: true, // eye-level horizon in linear2D and hemi2D
+        groundExtent: 20, // width of the square floor grid
+        groundSpacing: 1, // distance between grid lines
+        gridSheetType: 'linear-2', // see GRID_SHEETS.types
+        gridSheetDensity: 24, // lines per vanishing point family
+        gridSheetPaper: 'a4', // see GRID_SHEETS.paperSizes
+        fisheyeFit: { centerX: 0, centerY: 0, radius: 1, rotation: 0 }, // fisheye photo in hemi2D, in boundary radii and degrees
+        showShadows: false, // the light and the shadows it casts on the ground, in every view
+        lightType: 'sun', // see LIGHT_TYPES
+        lightPosition: { x: 5, y: 10, z: 7.5 }, // where the light starts (a sun shines from here towards the origin)
+        parallelPreset: 'isometric', // see PARALLEL_PRESETS
+        parallelDistance: 1 // parallel view's viewer, from the near distance (0) to infinity (1)
+    },
+    
+    // Radial mappings from polar angle α (angle off the view axis) to image radius r
+    FISHEYE_MAPPINGS: {
+        equidistant: { label: 'Equidistant (Postel)', formula: 'r = R·α' },
+        stereographic: { label: 'Stereographic', formula: 'r = 2R·tan(α/2)' },
+        equisolid: { label: 'Equisolid angle', formula: 'r = 2R·sin(α/2)' },
+        orthographic: { label: 'Orthographic', formula: 'r = R·sin α' }
+    },
+    
+    // Light sources that cast shadows: a sun's rays are parallel (towards its position from the origin),
+    // a point light's spread from its position
+    LIGHT_TYPES: {
+        sun: { label: 'Sun (parallel rays)' },
+        point: { label: 'Point light' }
+    },
+    
+    // Views of the parallel projection window: the turn (yaw) and elevation (pitch) of the picture plane in
+    // degrees, and for oblique views the length and angle at which depth is drawn
+    PARALLEL_PRESETS: {
+        isometric: { label: 'Isometric', yaw: 45, pitch: 35.264 },
+        dimetric: { label: 'Dimetric (2:1)', yaw: 45, pitch: 30 },
+        trimetric: { label: 'Trimetric', yaw: 30, pitch: 20 },
+        cavalier: { label: 'Cavalier (oblique)', yaw: 0, pitch: 0, oblique: { scale: 1, angle: 45 } },
+        cabinet: { label: 'Cabinet (oblique)', yaw: 0, pitch: 0, oblique: { scale: 0.5, angle: 45 } }
+    },
+    
+    // Parallel projection window: the viewer's distance from the picture plane at the near end of its slider
+    PARALLEL: {
+        nearDistance: 8
+    },
+    
+    // How edges hidden behind the cube's front faces are drawn in the 2D views
+    HIDDEN_EDGE_STYLES: {
+        solid: { label: 'Show all (solid)' },
+        dashed: { label: 'Dashed', dashSize: 0.25, gapSize: 0.15 },
+        faded: { label: 'Faded', opacity: 0.25 },
+        hidden: { label: 'Hidden' }
+    },
+    
+    // Lights of the master3D scene, which also shade the filled faces in the 2D views
+    LIGHTING: {
+        ambientIntensity: 0.6,
+        directionalIntensity: 0.8
+    },
+    
+    // Loaded polyhedra: edges within this angle of each other share a vanishing point
+    MODELS: {
+        clusterToleranceDegrees: 1
+    },
+
+    // Objects added to the scene: placed side by side, each turned further about Y, colours in turn
+    SCENE_OBJECTS: {
+        defaultPosition: { x: 0, y: 0, z: -5 },
+        spacing: 5,
+        turnDegrees: 30,
+        colors: [0x00aaff, 0xffaa33, 0x66cc66, 0xcc66cc, 0xffdd44, 0x44cccc],
+        // Smallest width, height or depth an object can be resized to
+        minSize: 0.2,
+        // A left click this close to a corner of the selected object (in pixels) drags the corner
+        vertexPickPixels: 12
+    },
+
+    // Directions added by the user: colours in turn, how far each guide line is followed either side of its anchor
+    // in the linear view (well past the viewer), and samples along each guide in hemi2D
+    VANISHING_DIRECTIONS: {
+        colors: [0xe6194b, 0x911eb4, 0xf58231, 0x008080, 0x9a6324, 0x000075],
+        guideReach: 1e4,
+        guideSamples: 128
+    },
+
+    // Shadows on the ground plane: 2D depth between the floor grid and the faces, lift off the floor in 3D,
+    // how far a shadow may reach from beneath the face casting it (near a point light's height, or under a
+    // low sun, it runs off without end), samples per outline edge in hemi2D, and the light's marker
+    SHADOWS: {
+        color: 0xa8a8a8,
+        z: -0.85,
+        lift: 0.01,
+        maxReach: 40,
+        edgeSamples: 32,
+        lightColor: 0xffb300,
+        lightMarkerRadius: 0.3
+    },
+
+    // Software-rendered hemispherical image under the hemi2D wireframe (colours for the ground checkerboard and sky)
+    RAY_TRACE: {
+        resolution: 256,
+        z: -0.95,
+        skyColor: 0xe8f1f8,
+        groundColors: [0xe9e5dc, 0xd6d0c2],
+        groundOuterColor: 0xdfdacf
+    },
+
+    // Fisheye photo behind hemi2D
+    FISHEYE_OVERLAY: {
+        opacity: 0.85,
+        z: -1
+    },
+
+    // Photo underlay in linear2D: how it is drawn, its vanishing point markers (rings) and the focal
+    // distances calibration can give (the hemisphere radius slider's range)
+    CALIBRATION: {
+        photoOpacity: 0.85,
+        photoZ: -1,
+        markerZ: 0.4,
+        innerRadius: 0.18,
+        outerRadius: 0.3,
+        triangleColor: 0x888888,
+        minRadius: 1,
+        maxRadius: 15
+    },
+
+    // Spheres, cylinders and discs: mesh detail in 3D and samples along their outlines in 2D
+    PRIMITIVES: {
+        meshSegments: 48,
+        outlineSegments: 256,
+        rulingSegments: 32,
+        // Facets meeting at a sharper angle than this show as edges in 3D (cylinder and disc rims only)
+        edgeThresholdDegrees: 30
+    },
+
+    // Floor grid on the ground plane and the horizon at the viewpoint's height
+    GROUND: {
+        height: -5,
+        centerColor: 0xcccccc,
+        gridColor: 0xdddddd,
+        horizonColor: 0x8a6d3b,
+        // Half-length of the horizon line drawn in linear2D, well past the visible area
+        horizonHalfLength: 200,
+        // Samples per grid line and around the horizon in hemi2D
+        lineSamples: 48,
+        horizonSamples: 256
+    },
+
+    // Printable perspective grids oriented by the current vanishing points (sizes in millimetres, landscape)
+    GRID_SHEETS: {
+        types: {
+            'linear-1': { label: '1-point (linear)', view: 'linear', points: 1 },
+            'linear-2': { label: '2-point (linear)', view: 'linear', points: 2 },
+            'linear-3': { label: '3-point (linear)', view: 'linear', points: 3 },
+            'hemi-4': { label: '4-point (curvilinear)', view: 'hemi', points: 4 },
+            'hemi-5': { label: '5-point (curvilinear)', view: 'hemi', points: 5 },
+            'hemi-6': { label: '6-point (curvilinear)', view: 'hemi', points: 6 }
+        },
+        paperSizes: {
+            a4: { label: 'A4', width: 297, height: 210 },
+            a3: { label: 'A3', width: 420, height: 297 },
+            letter: { label: 'Letter', width: 279.4, height: 215.9 },
+            tabloid: { label: 'Tabloid', width: 431.8, height: 279.4 }
+        },
+        margin: 10,
+        lineWidth: 0.15,
+        horizonWidth: 0.4,
+        frameColor: 0x888888,
+        horizonColor: 0x333333,
+        // Samples around each great circle of the curvilinear sheets
+        circleSamples: 180
+    },
+
+    // Cross-check of the hemispherical arc construction against the direct mapping formula
+    DIAGNOSTICS: {
+        tolerance: 1e-6, // residual (scene units) above which a point is flagged
+        highlightColor: 0xff00ff,
+        highlightRadius: 0.3
     },
     
     // Performance settings
@@ -40,28 +231,21 @@ export const config = {
         viewpoint: 0xff0000,
         imagePlane: 0x0000ff,
         hemisphere: 0x0000ff,
+        cylinder: 0x0000ff,
         boundary: 0x6667ab,
         projectionLine: 0xff0000,
-        vanishingPoint: {
-            red: 0xff4136,
-            green: 0x2ecc40,
-            blue: 0x0074d9
-        },
-        guide: {
-            red: 0xFF8282,
-            green: 0x71C0BB,
-            blue: 0x63C8FF
-        },
-        vanishingPoints: {
-            x: 0xff4136,
-            y: 0x2ecc40,
-            z: 0x0074d9
-        },
-        guideLines: {
-            x: 0xFF8282,
-            y: 0x71C0BB,
-            z: 0x63C8FF
-        }
+        // Vanishing point and guide colours per edge family (X, Y, Z first), repeating for larger models
+        axisPalette: [
+            { vanishingPoint: 0xff4136, guide: 0xFF8282 },
+            { vanishingPoint: 0x2ecc40, guide: 0x71C0BB },
+            { vanishingPoint: 0x0074d9, guide: 0x63C8FF },
+            { vanishingPoint: 0xff851b, guide: 0xFFB27A },
+            { vanishingPoint: 0xb10dc9, guide: 0xD88BE6 },
+            { vanishingPoint: 0x39cccc, guide: 0x9EE6E6 },
+            { vanishingPoint: 0x85144b, guide: 0xC98AA8 },
+            { vanishingPoint: 0x3d9970, guide: 0x9CCBB4 },
+            { vanishingPoint: 0xffdc00, guide: 0xFFEE80 }
+        ]
     },
 
     // Shared geometry mappings
@@ -76,6 +260,16 @@ export const config = {
             2: [0, 4, 1, 5, 2, 6, 3, 7]  // Z-axis edges
         },
         
+        // Faces as vertex loops, wound counter-clockwise seen from outside (outward normals)
+        faces: [
+            [0, 3, 2, 1], // -Z
+            [4, 5, 6, 7], // +Z
+            [0, 1, 5, 4], // -Y
+            [3, 7, 6, 2], // +Y
+            [0, 4, 7, 3], // -X
+            [1, 2, 6, 5]  // +X
+        ],
+        
         // Maps edge pairs to axis indices
         edgeDirections: {
             '0,1': 0, '1,0': 0, '1,2': 1, '2,1': 1, '2,3': 0, '3,2': 0, '3,0': 1, '0,3': 1,
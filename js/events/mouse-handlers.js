@@ -1,9 +1,24 @@
 import { state } from '../state.js';
 import { config } from '../config.js';
+import { getSelectedSceneObject, moveSceneObjectVertex, findSceneObjectFamily, alignSceneObjectFamily } from '../scenes/scene-objects.js';
+import { addVanishingDirectionFromPoints } from '../scenes/vanishing-directions.js';
+import { updateObjectTransformControls, updateVanishingDirectionControls } from '../ui/controls.js';
+import { synchronizeRotationState, getCachedWorldVertices } from '../utils/three-utils.js';
+import { getModelAxes } from '../utils/polyhedron.js';
+import { linear2DPointToDirection } from '../projections/linear-projection.js';
+import { hemi2DPointToDirection } from '../projections/hemispherical-projection.js';
+import { findCalibrationMarker, moveCalibrationMarker } from '../ui/photo-calibration.js';
+
+// 2D views whose vanishing point markers can be dragged, and how each turns a point of the view into a direction
+const VANISHING_POINT_VIEWS = {
+    linear2D: linear2DPointToDirection,
+    hemi2D: hemi2DPointToDirection
+};
 
 /**
  * Mouse Event Handlers Module
- * Handles mouse interactions for 3D cube/scene rotation and 2D zooming
+ * Handles mouse interactions for 3D cube/scene rotation, corner dragging, picking points for vanishing directions,
+ * dragging vanishing points to orient the selected object, dragging photo calibration markers, and 2D zooming
  */
 
 export class MouseHandlers {
@@ -13,6 +28,12 @@ export class MouseHandlers {
         this.dragState = {
             isDraggingCube: false,
             isDraggingScene: false,
+            // Corner of the selected object being dragged: { vertexIndex, plane, camera, element }
+            draggedVertex: null,
+            // Vanishing point being dragged in a 2D view: { object, familyKey, camera, element, toDirection }
+            draggedVanishingPoint: null,
+            // Photo calibration marker being dragged in linear2D: { index, camera, element }
+            draggedCalibrationMarker: null,
             isZooming2D: false,
             previousMousePosition: { x: 0, y: 0 }
         };
@@ -21,7 +42,7 @@ export class MouseHandlers {
 
     setupEventListeners() {
         // Add mouse event listeners to 3D view elements (for cube and scene rotation)
-        const view3DElements = [document.getElementById('linear3D'), document.getElementById('hemi3D')];
+        const view3DElements = [document.getElementById('linear3D'), document.getElementById('hemi3D'), document.getElementById('cylinder3D')];
         
         // Prevent window dragging when interacting with 3D views
         view3DElements.forEach(element => {
@@ -35,8 +56,11 @@ export class MouseHandlers {
                 // Prevent dragging if clicking on controls
                 if (e.target.closest('#controls')) return;
                 
-                if (e.button === 0) { // Left click - rotate cube
-                    this.dragState.isDraggingCube = true;
+                if (e.button === 0 && state.directionPickPoints) { // Left click while choosing a direction - pick a point
+                    this.pickDirectionPoint(e, viewElement);
+                } else if (e.button === 0) { // Left click - drag a corner of the selected object, or rotate it
+                    this.dragState.draggedVertex = this.pickSelectedVertex(e, viewElement);
+                    this.dragState.isDraggingCube = !this.dragState.draggedVertex;
                 } else if (e.button === 2) { // Right click - rotate scene
                     this.dragState.isDraggingScene = true;
                 }
@@ -52,7 +76,7 @@ export class MouseHandlers {
         });
 
         // Add mouse event listeners to 2D view elements (for zooming)
-        const view2DElements = [document.getElementById('linear2D'), document.getElementById('hemi2D')];
+        const view2DElements = [document.getElementById('linear2D'), document.getElementById('hemi2D'), document.getElementById('equirect2D'), document.getElementById('cylinder2D'), document.getElementById('parallel2D')];
         
         // Prevent window dragging when interacting with 2D views
         view2DElements.forEach(element => {
@@ -66,7 +90,12 @@ export class MouseHandlers {
                 // Prevent zooming if clicking on controls
                 if (e.target.closest('#controls')) return;
                 
-                this.dragState.isZooming2D = true;
+                // Left click on a calibration marker or a vanishing point of the selected object drags it; anywhere else zooms
+                this.dragState.draggedCalibrationMarker = e.button === 0 ? this.pickCalibrationMarker(e, viewElement) : null;
+                this.dragState.draggedVanishingPoint = e.button === 0 && !this.dragState.draggedCalibrationMarker
+                    ? this.pickVanishingPoint(e, viewElement)
+                    : null;
+                this.dragState.isZooming2D = !this.dragState.draggedCalibrationMarker && !this.dragState.draggedVanishingPoint;
                 this.dragState.previousMousePosition.y = e.clientY;
                 e.preventDefault(); // Prevent text selection
             });
@@ -90,8 +119,194 @@ export class MouseHandlers {
         window.addEventListener('mouseup', () => this.handleMouseUp());
     }
 
+    /**
+     * Distance in pixels between the mouse and a world point seen by a 3D view's camera, or null when it is out of view
+     */
+    screenDistance(e, viewElement, camera, world) {
+        const screen = world.clone().project(camera);
+        if (screen.z < -1 || screen.z > 1) return null;
+
+        const rect = viewElement.getBoundingClientRect();
+        return Math.hypot(
+            rect.left + (screen.x + 1) / 2 * rect.width - e.clientX,
+            rect.top + (1 - screen.y) / 2 * rect.height - e.clientY
+        );
+    }
+
+    /**
+     * Finds the selected object's vertex under the mouse in a 3D view, within the pick distance
+     * @returns {{vertexIndex: number, plane: THREE.Plane, camera: THREE.Camera, element: HTMLElement}|null}
+     */
+    pickSelectedVertex(e, viewElement) {
+        const object = getSelectedSceneObject();
+        const camera = this.cameras[viewElement.id];
+        if (!object || !camera) return null;
+
+        object.mesh.updateMatrixWorld();
+
+        let nearest = null;
+        object.model.vertices.forEach((vertex, vertexIndex) => {
+            const world = vertex.clone().applyMatrix4(object.mesh.matrixWorld);
+            const distance = this.screenDistance(e, viewElement, camera, world);
+            if (distance !== null && distance <= config.SCENE_OBJECTS.vertexPickPixels && (!nearest || distance < nearest.distance)) {
+                nearest = { vertexIndex, world, distance };
+            }
+        });
+        if (!nearest) return null;
+
+        // The corner moves in the plane through it facing the camera
+        const normal = camera.getWorldDirection(new THREE.Vector3());
+        return {
+            vertexIndex: nearest.vertexIndex,
+            plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, nearest.world),
+            camera,
+            element: viewElement
+        };
+    }
+
+    /**
+     * Finds the scene point under the mouse in a 3D view: the nearest corner of any object within the pick distance,
+     * else where the mouse ray meets an object's surface, else where it meets the floor
+     * @returns {THREE.Vector3|null}
+     */
+    pickScenePoint(e, viewElement) {
+        const camera = this.cameras[viewElement.id];
+        if (!camera) return null;
+
+        let nearest = null;
+        state.sceneObjects.forEach(object => {
+            object.mesh.updateMatrixWorld();
+            object.model.vertices.forEach(vertex => {
+                const world = vertex.clone().applyMatrix4(object.mesh.matrixWorld);
+                const distance = this.screenDistance(e, viewElement, camera, world);
+                if (distance !== null && distance <= config.SCENE_OBJECTS.vertexPickPixels && (!nearest || distance < nearest.distance)) {
+                    nearest = { world, distance };
+                }
+            });
+        });
+        if (nearest) return nearest.world;
+
+        const rect = viewElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (e.clientX - rect.left) / rect.width * 2 - 1,
+            1 - (e.clientY - rect.top) / rect.height * 2
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, camera);
+        const hits = raycaster.intersectObjects(state.sceneObjects.map(object => object.mesh));
+        if (hits.length > 0) return hits[0].point;
+
+        const floor = new THREE.Plane(new THREE.Vector3(0, 1, 0), -config.GROUND.height);
+        return raycaster.ray.intersectPlane(floor, new THREE.Vector3());
+    }
+
+    /**
+     * Adds a point to the direction being picked; the second one completes it, from the first point to the second
+     */
+    pickDirectionPoint(e, viewElement) {
+        const point = this.pickScenePoint(e, viewElement);
+        if (!point) return;
+
+        state.directionPickPoints.push(point);
+        if (state.directionPickPoints.length === 2) {
+            const [start, end] = state.directionPickPoints;
+            state.directionPickPoints = null;
+            if (start.distanceToSquared(end) > 1e-12) {
+                addVanishingDirectionFromPoints(start, end);
+                this.projectionManager.scheduleUpdate('all', true);
+            }
+        }
+        updateVanishingDirectionControls();
+    }
+
+    /**
+     * Point of a 2D view's drawing plane under the mouse
+     */
+    get2DViewPoint(e, viewElement, camera) {
+        const rect = viewElement.getBoundingClientRect();
+        return new THREE.Vector3(
+            (e.clientX - rect.left) / rect.width * 2 - 1,
+            1 - (e.clientY - rect.top) / rect.height * 2,
+            0
+        ).unproject(camera);
+    }
+
+    /**
+     * Finds a vanishing point marker under the mouse in a 2D view that belongs to one of the selected object's
+     * edge families, within the pick distance
+     * @returns {{object: Object, familyKey: string, camera: THREE.Camera, element: HTMLElement, toDirection: Function}|null}
+     */
+    pickVanishingPoint(e, viewElement) {
+        const toDirection = VANISHING_POINT_VIEWS[viewElement.id];
+        const camera = this.cameras[viewElement.id];
+        const object = getSelectedSceneObject();
+        if (!toDirection || !camera || !object) return null;
+
+        const mouse = this.get2DViewPoint(e, viewElement, camera);
+        const pixelsPerUnit = viewElement.getBoundingClientRect().width / (camera.right - camera.left);
+        const axes = getModelAxes(getCachedWorldVertices());
+        let nearest = null;
+        state.groups[viewElement.id].vanishingPoints.children.forEach(marker => {
+            const axis = axes[marker.userData.familyIndex];
+            if (!axis) return;
+
+            const distance = Math.hypot(marker.position.x - mouse.x, marker.position.y - mouse.y) * pixelsPerUnit;
+            if (distance > config.SCENE_OBJECTS.vertexPickPixels || (nearest && distance >= nearest.distance)) return;
+
+            const familyKey = findSceneObjectFamily(object, axis.direction);
+            if (familyKey !== null) {
+                nearest = { familyKey, distance };
+            }
+        });
+        if (!nearest) return null;
+
+        return { object, familyKey: nearest.familyKey, camera, element: viewElement, toDirection };
+    }
+
+    /**
+     * Finds the photo calibration marker under the mouse in linear2D, within the pick distance
+     * @returns {{index: number, camera: THREE.Camera, element: HTMLElement}|null}
+     */
+    pickCalibrationMarker(e, viewElement) {
+        const camera = this.cameras[viewElement.id];
+        if (viewElement.id !== 'linear2D' || !state.calibration || !camera) return null;
+
+        const unitsPerPixel = (camera.right - camera.left) / viewElement.getBoundingClientRect().width;
+        const index = findCalibrationMarker(this.get2DViewPoint(e, viewElement, camera), config.SCENE_OBJECTS.vertexPickPixels * unitsPerPixel);
+        return index < 0 ? null : { index, camera, element: viewElement };
+    }
+
     handleMouseMove(e) {
-        if (this.dragState.isDraggingCube) {
+        if (this.dragState.draggedCalibrationMarker) {
+            const { index, camera, element } = this.dragState.draggedCalibrationMarker;
+            moveCalibrationMarker(index, this.get2DViewPoint(e, element, camera));
+            this.projectionManager.scheduleUpdate('zoom2D'); // The markers sit outside the projection, so only redraw
+        } else if (this.dragState.draggedVanishingPoint) {
+            // Turn the object so the dragged family vanishes under the mouse, then show its new angles on the sliders
+            const { object, familyKey, camera, element, toDirection } = this.dragState.draggedVanishingPoint;
+            const direction = toDirection(this.get2DViewPoint(e, element, camera));
+            if (direction) {
+                alignSceneObjectFamily(object, familyKey, direction);
+                synchronizeRotationState(state.rotationMode);
+                this.projectionManager.scheduleUpdate('all', true); // Immediate update for mouse interaction
+            }
+        } else if (this.dragState.draggedVertex) {
+            const { vertexIndex, plane, camera, element } = this.dragState.draggedVertex;
+            const rect = element.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                (e.clientX - rect.left) / rect.width * 2 - 1,
+                1 - (e.clientY - rect.top) / rect.height * 2
+            );
+
+            const raycaster = new THREE.Raycaster();
+            raycaster.setFromCamera(pointer, camera);
+            const target = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+            if (target) {
+                moveSceneObjectVertex(getSelectedSceneObject(), vertexIndex, target);
+                updateObjectTransformControls();
+                this.projectionManager.scheduleUpdate('all', true); // Immediate update for mouse interaction
+            }
+        } else if (this.dragState.isDraggingCube) {
             // Only allow mouse cube rotation in local mode
             if (state.rotationMode !== 'local') {
                 return; // Skip mouse rotation in precise mode
@@ -116,8 +331,8 @@ export class MouseHandlers {
                 }
             });
             
-            // Also update the master cube object if it exists
-            const cube = window.sceneObjects?.cube;
+            // Also update the selected master scene object if it exists
+            const cube = state.cube;
             if (cube) {
                 cube.rotateOnAxis(new THREE.Vector3(0, 1, 0), deltaX * 0.005);
                 cube.rotateOnAxis(new THREE.Vector3(1, 0, 0), deltaY * 0.005);
@@ -136,8 +351,8 @@ export class MouseHandlers {
             const deltaX = e.clientX - this.dragState.previousMousePosition.x;
             const deltaY = e.clientY - this.dragState.previousMousePosition.y;
             
-            // Rotate both 3D cameras
-            ['linear3D', 'hemi3D'].forEach(id => {
+            // Rotate all 3D cameras
+            ['linear3D', 'hemi3D', 'cylinder3D'].forEach(id => {
                 const camera = this.cameras[id];
                 
                 // Horizontal rotation (around Y axis)
@@ -174,6 +389,9 @@ export class MouseHandlers {
     }
 
     handleMouseUp() {
+        this.dragState.draggedVertex = null;
+        this.dragState.draggedVanishingPoint = null;
+        this.dragState.draggedCalibrationMarker = null;
         this.dragState.isDraggingCube = false;
         this.dragState.isDraggingScene = false;
         this.dragState.isZooming2D = false;
@@ -189,7 +407,7 @@ export class MouseHandlers {
     }
 
     update2DCameras() {
-        ['linear2D', 'hemi2D'].forEach(id => {
+        ['linear2D', 'hemi2D', 'equirect2D', 'cylinder2D', 'parallel2D'].forEach(id => {
             const viewElement = document.getElementById(id);
             const aspect = viewElement.clientWidth / viewElement.clientHeight;
             const camera = this.cameras[id];
@@ -9,6 +9,7 @@ import { MouseHandlers } from './events/mouse-handlers.js';
 import { Controls } from './ui/controls.js';
 import { Renderer } from './rendering/renderer.js';
 import { setPreciseOrientation, testEulerRotations, validateEulerAngles, synchronizeRotationState, resetCubeOrientation } from './utils/three-utils.js';
+import { exportViewAsSVG } from './ui/svg-export.js';
 
 // Global instances
 let projectionManager;
@@ -39,6 +40,9 @@ export function init() {
         window.synchronizeRotationState = synchronizeRotationState;
         window.resetCubeOrientation = resetCubeOrientation;
         
+        // SVG export for the 2D views (window header buttons)
+        window.exportViewAsSVG = exportViewAsSVG;
+        
 
         
         // Initialize managers and handlers
@@ -0,0 +1,167 @@
+import { state, getViewQuaternion, directionToViewFrame } from '../state.js';
+import { config } from '../config.js';
+import { createMaterial, clearGroup, safeDispose, updateProjectedViewpointMarker, updateMaster3DScene, createCylinder } from '../utils/three-utils.js';
+import { addSeamSplitPolylines, sampleLineDirections } from './equirectangular-projection.js';
+import { getModelAxes } from '../utils/polyhedron.js';
+
+/**
+ * Cylindrical Panoramic Projection Module
+ * Projects onto a vertical cylinder around the viewpoint and unrolls it into a flat panorama
+ */
+
+const EDGE_SAMPLES = 64;
+const GUIDE_SAMPLES = 128;
+
+// Directions closer than this to the cylinder axis have no finite image
+const AXIS_TOLERANCE = 1e-9;
+
+/**
+ * Converts a direction from the viewpoint into unrolled cylinder coordinates
+ * x is the arc length around the cylinder (0 on the -Z view axis), y the height where the ray meets it
+ * @param {THREE.Vector3} direction - Direction vector (need not be normalized)
+ * @param {number} cylinderRadius - Radius of the projection cylinder
+ * @returns {THREE.Vector2|null} Point in the 2D view, or null for directions along the axis
+ */
+export function directionToCylinder(direction, cylinderRadius) {
+    const horizontal = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+    if (horizontal < AXIS_TOLERANCE) {
+        return null;
+    }
+
+    const azimuth = Math.atan2(direction.x, -direction.z);
+    const height = cylinderRadius * direction.y / horizontal;
+
+    return new THREE.Vector2(cylinderRadius * azimuth, height);
+}
+
+export function cylindricalProjection(point3D, cylinderCenter, cylinderRadius) {
+    // The cylinder axis is the camera's up direction, so tilting the view tilts the cylinder
+    return directionToCylinder(directionToViewFrame(point3D.clone().sub(cylinderCenter)), cylinderRadius);
+}
+
+export function createCylinder2DBoundary(scene, cylinderRadius) {
+    // Unrolled surface of the 3D cylinder: full circumference wide, 2R tall
+    const halfWidth = Math.PI * cylinderRadius;
+    const halfHeight = cylinderRadius;
+    const boundaryPoints = [
+        new THREE.Vector3(-halfWidth, -halfHeight, 0),
+        new THREE.Vector3(halfWidth, -halfHeight, 0),
+        new THREE.Vector3(halfWidth, halfHeight, 0),
+        new THREE.Vector3(-halfWidth, halfHeight, 0)
+    ];
+    const boundaryGeom = new THREE.BufferGeometry().setFromPoints(boundaryPoints);
+    const boundaryMat = new THREE.LineBasicMaterial({ color: config.COLORS.boundary });
+    const cylinderBoundary = new THREE.LineLoop(boundaryGeom, boundaryMat);
+    scene.add(cylinderBoundary);
+    return cylinderBoundary;
+}
+
+export function updateCylindricalProjection(scenes, groups) {
+    if (!scenes.cylinder2D || !groups.cylinder2D) {
+        return;
+    }
+
+    const worldVertices = updateMaster3DScene({
+        customRayHandling: true
+    });
+    if (worldVertices.length === 0) {
+        return;
+    }
+
+    const viewpoint = state.viewpointPosition;
+    const cylinderRadius = state.hemisphereRadius;
+    const seamWidth = Math.PI * cylinderRadius;
+
+    // Rebuild the 3D surface if the radius changed, then keep it centred on the viewpoint
+    if (state.cylinder) {
+        if (state.cylinder.geometry.parameters.radiusTop !== cylinderRadius) {
+            const wasVisible = state.cylinder.visible;
+            state.master3D.remove(state.cylinder);
+            safeDispose(state.cylinder);
+            state.cylinder = createCylinder(cylinderRadius, viewpoint);
+            state.cylinder.visible = wasVisible;
+            state.master3D.add(state.cylinder);
+        }
+        state.cylinder.position.copy(viewpoint);
+        state.cylinder.quaternion.copy(getViewQuaternion());
+    }
+
+    // Update 2D boundary
+    if (window.cylinderBoundary) {
+        scenes.cylinder2D.remove(window.cylinderBoundary);
+        safeDispose(window.cylinderBoundary);
+    }
+    window.cylinderBoundary = createCylinder2DBoundary(scenes.cylinder2D, cylinderRadius);
+
+    Object.values(groups.cylinder2D).forEach(group => clearGroup(group));
+
+    updateProjectedViewpointMarker('cylinder2D', 0, 0, scenes.cylinder2D);
+
+    const projectedVertices = worldVertices.map(worldVertex => cylindricalProjection(worldVertex, viewpoint, cylinderRadius));
+
+    const vertexMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.cubeEdge });
+    projectedVertices.forEach(vertex => {
+        if (vertex) {
+            const vertexMesh = new THREE.Mesh(new THREE.CircleGeometry(0.1, 16), vertexMaterial);
+            vertexMesh.position.set(vertex.x, vertex.y, 0.1);
+            groups.cylinder2D.projectedCubeLines.add(vertexMesh);
+        }
+    });
+
+    // Vertical edges keep a constant azimuth and stay straight; horizontal edges become sinusoids
+    const edges = state.model.edges;
+    const edgeMaterial = new THREE.LineBasicMaterial({
+        color: config.COLORS.cubeEdge,
+        linewidth: 3
+    });
+    for (let i = 0; i < edges.length; i += 2) {
+        const start = worldVertices[edges[i]];
+        const end = worldVertices[edges[i + 1]];
+        const samples = [];
+        for (let s = 0; s <= EDGE_SAMPLES; s++) {
+            const point = start.clone().lerp(end, s / EDGE_SAMPLES);
+            samples.push(cylindricalProjection(point, viewpoint, cylinderRadius));
+        }
+        addSeamSplitPolylines(groups.cylinder2D.projectedCubeLines, samples, seamWidth, edgeMaterial, 0.2);
+    }
+
+    // Calculate and draw vanishing points (one for each end of every non-vertical edge direction)
+    const vanishingPoints = getModelAxes(worldVertices).map(axis => ({
+        points: [
+            directionToCylinder(directionToViewFrame(axis.direction), cylinderRadius),
+            directionToCylinder(directionToViewFrame(axis.direction).negate(), cylinderRadius)
+        ],
+        dir: axis.direction,
+        color: axis.vanishingPoint,
+        lightColor: axis.guide
+    }));
+
+    vanishingPoints.forEach(vpData => {
+        vpData.points.forEach(point => {
+            if (point) {
+                const vpGeom = new THREE.CircleGeometry(0.15, 16);
+                const vpMat = createMaterial('VanishingPointMaterial', { color: vpData.color });
+                const vpMesh = new THREE.Mesh(vpGeom, vpMat);
+                vpMesh.position.set(point.x, point.y, 0);
+                groups.cylinder2D.vanishingPoints.add(vpMesh);
+            }
+        });
+    });
+
+    // Draw guide curves from cube edges to both vanishing points of their direction
+    const edgeAxisMapping = state.model.edgeAxisMapping;
+
+    vanishingPoints.forEach((vpData, axisIndex) => {
+        // Vertical directions vanish at infinity along the cylinder - nothing to draw
+        if (!vpData.points[0]) return;
+
+        const guideMaterial = createMaterial('GuideMaterial', { color: vpData.lightColor });
+
+        const axisVertices = edgeAxisMapping[axisIndex];
+        for (let i = 0; i < axisVertices.length; i += 2) {
+            const samples = sampleLineDirections(worldVertices[axisVertices[i]], vpData.dir, viewpoint, GUIDE_SAMPLES)
+                .map(sampleDirection => directionToCylinder(directionToViewFrame(sampleDirection), cylinderRadius));
+            addSeamSplitPolylines(groups.cylinder2D.extensionLines, samples, seamWidth, guideMaterial, 0);
+        }
+    });
+}
@@ -0,0 +1,215 @@
+import { state, directionToViewFrame } from '../state.js';
+import { config } from '../config.js';
+import { createMaterial, clearGroup, safeDispose, updateProjectedViewpointMarker, updateMaster3DScene } from '../utils/three-utils.js';
+import { getModelAxes } from '../utils/polyhedron.js';
+
+/**
+ * Equirectangular (Full-Sphere) Projection Module
+ * Projects onto the whole sphere around the viewpoint and unwraps it by longitude/latitude
+ */
+
+// Number of samples used when tracing straight 3D lines as curves on the unwrapped sphere
+const EDGE_SAMPLES = 64;
+const GUIDE_SAMPLES = 128;
+
+/**
+ * Converts a direction from the viewpoint into equirectangular 2D coordinates
+ * Longitude is measured from the -Z view axis (positive towards +X), latitude from the XZ plane
+ * @param {THREE.Vector3} direction - Direction vector (need not be normalized)
+ * @param {number} sphereRadius - Radius of the projection sphere
+ * @returns {THREE.Vector2|null} Point in the 2D view, or null for a zero direction
+ */
+export function directionToEquirectangular(direction, sphereRadius) {
+    const horizontal = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+    if (horizontal < 1e-12 && Math.abs(direction.y) < 1e-12) {
+        return null;
+    }
+
+    const longitude = Math.atan2(direction.x, -direction.z);
+    const latitude = Math.atan2(direction.y, horizontal);
+
+    return new THREE.Vector2(sphereRadius * longitude, sphereRadius * latitude);
+}
+
+export function equirectangularProjection(point3D, sphereCenter, sphereRadius) {
+    // Longitude and latitude are taken in the camera frame so the gaze stays at the image centre
+    return directionToEquirectangular(directionToViewFrame(point3D.clone().sub(sphereCenter)), sphereRadius);
+}
+
+export function createEquirect2DBoundary(scene, sphereRadius) {
+    const halfWidth = Math.PI * sphereRadius;
+    const halfHeight = (Math.PI / 2) * sphereRadius;
+    const boundaryPoints = [
+        new THREE.Vector3(-halfWidth, -halfHeight, 0),
+        new THREE.Vector3(halfWidth, -halfHeight, 0),
+        new THREE.Vector3(halfWidth, halfHeight, 0),
+        new THREE.Vector3(-halfWidth, halfHeight, 0)
+    ];
+    const boundaryGeom = new THREE.BufferGeometry().setFromPoints(boundaryPoints);
+    const boundaryMat = new THREE.LineBasicMaterial({ color: config.COLORS.boundary });
+    const equirectBoundary = new THREE.LineLoop(boundaryGeom, boundaryMat);
+    scene.add(equirectBoundary);
+    return equirectBoundary;
+}
+
+/**
+ * Splits a sampled curve into polylines wherever it wraps across the ±180° longitude seam
+ * @param {Array<THREE.Vector2|null>} points - Projected samples in order along the curve
+ * @param {number} seamWidth - Horizontal jump that counts as wrapping (half the unwrapped width)
+ * @returns {Array<Array<THREE.Vector2>>} Continuous runs of points
+ */
+export function splitAtSeam(points, seamWidth) {
+    const runs = [];
+    let current = [];
+
+    points.forEach(point => {
+        if (!point) {
+            if (current.length > 1) runs.push(current);
+            current = [];
+            return;
+        }
+        const previous = current[current.length - 1];
+        if (previous && Math.abs(point.x - previous.x) > seamWidth) {
+            if (current.length > 1) runs.push(current);
+            current = [];
+        }
+        current.push(point);
+    });
+
+    if (current.length > 1) runs.push(current);
+    return runs;
+}
+
+export function addSeamSplitPolylines(group, points, seamWidth, material, zIndex) {
+    splitAtSeam(points, seamWidth).forEach(run => {
+        const geometry = new THREE.BufferGeometry().setFromPoints(
+            run.map(point => new THREE.Vector3(point.x, point.y, zIndex))
+        );
+        const line = new THREE.Line(geometry, material);
+        if (material.isLineDashedMaterial) {
+            line.computeLineDistances();
+        }
+        group.add(line);
+    });
+}
+
+/**
+ * Samples viewing directions along the infinite line through a point with the given direction.
+ * The directions sweep half a great circle, from the vanishing direction of +direction
+ * (startAngle = 0) to that of -direction (endAngle = π)
+ * @param {THREE.Vector3} point - Any point on the line
+ * @param {THREE.Vector3} direction - Line direction
+ * @param {THREE.Vector3} viewpoint - Centre of projection
+ * @param {number} samples - Number of segments
+ * @param {number} startAngle - Angle from +direction where sampling starts
+ * @param {number} endAngle - Angle from +direction where sampling ends
+ * @returns {Array<THREE.Vector3>} Unit directions, empty if the line passes through the viewpoint
+ */
+export function sampleLineDirections(point, direction, viewpoint, samples, startAngle = 0, endAngle = Math.PI) {
+    const unitDirection = direction.clone().normalize();
+    const offset = point.clone().sub(viewpoint);
+    const normal = offset.clone().sub(unitDirection.clone().multiplyScalar(offset.dot(unitDirection)));
+
+    // Line passes through the viewpoint - it projects to a single pair of points
+    if (normal.lengthSq() < 1e-12) {
+        return [];
+    }
+    normal.normalize();
+
+    const directions = [];
+    for (let i = 0; i <= samples; i++) {
+        const angle = startAngle + (endAngle - startAngle) * i / samples;
+        directions.push(unitDirection.clone().multiplyScalar(Math.cos(angle))
+            .add(normal.clone().multiplyScalar(Math.sin(angle))));
+    }
+    return directions;
+}
+
+export function updateEquirectangularProjection(scenes, groups) {
+    if (!scenes.equirect2D || !groups.equirect2D) {
+        return;
+    }
+
+    // Shared 3D objects are kept in sync by the other projections; reuse their world vertices
+    const worldVertices = updateMaster3DScene({
+        customRayHandling: true
+    });
+    if (worldVertices.length === 0) {
+        return;
+    }
+
+    const viewpoint = state.viewpointPosition;
+    const sphereRadius = state.hemisphereRadius;
+
+    // Update 2D boundary (the full unwrapped sphere: 2πR × πR)
+    if (window.equirectBoundary) {
+        scenes.equirect2D.remove(window.equirectBoundary);
+        safeDispose(window.equirectBoundary);
+    }
+    window.equirectBoundary = createEquirect2DBoundary(scenes.equirect2D, sphereRadius);
+
+    Object.values(groups.equirect2D).forEach(group => clearGroup(group));
+
+    // The gaze (-Z in the camera frame) sits at the centre of the unwrapped image
+    updateProjectedViewpointMarker('equirect2D', 0, 0, scenes.equirect2D);
+
+    // Project vertices - every vertex is visible on the full sphere, including those behind the viewpoint
+    const projectedVertices = worldVertices.map(worldVertex => equirectangularProjection(worldVertex, viewpoint, sphereRadius));
+
+    const vertexMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.cubeEdge });
+    projectedVertices.forEach(vertex => {
+        if (vertex) {
+            const vertexMesh = new THREE.Mesh(new THREE.CircleGeometry(0.1, 16), vertexMaterial);
+            vertexMesh.position.set(vertex.x, vertex.y, 0.1);
+            groups.equirect2D.projectedCubeLines.add(vertexMesh);
+        }
+    });
+
+    // Straight edges become sinusoid-like curves: sample each edge in 3D and project every sample
+    const edges = state.model.edges;
+    const edgeMaterial = new THREE.LineBasicMaterial({
+        color: config.COLORS.cubeEdge,
+        linewidth: 3
+    });
+    for (let i = 0; i < edges.length; i += 2) {
+        const start = worldVertices[edges[i]];
+        const end = worldVertices[edges[i + 1]];
+        const samples = [];
+        for (let s = 0; s <= EDGE_SAMPLES; s++) {
+            const point = start.clone().lerp(end, s / EDGE_SAMPLES);
+            samples.push(equirectangularProjection(point, viewpoint, sphereRadius));
+        }
+        addSeamSplitPolylines(groups.equirect2D.projectedCubeLines, samples, Math.PI * sphereRadius, edgeMaterial, 0.2);
+    }
+
+    // Vanishing points: each edge direction vanishes at two antipodal points on the sphere
+    const axes = getModelAxes(worldVertices);
+    const edgeAxisMapping = state.model.edgeAxisMapping;
+
+    axes.forEach(({ direction, vanishingPoint: color, guide }, axisIndex) => {
+        const guideMaterial = createMaterial('GuideMaterial', { color: guide });
+
+        [direction, direction.clone().negate()].forEach((vpDirection, sideIndex) => {
+            const vp = directionToEquirectangular(directionToViewFrame(vpDirection), sphereRadius);
+            if (!vp) return;
+
+            // The second vanishing point of each pair is drawn faded, like the outside VP in hemi2D
+            const vpMaterial = new THREE.MeshBasicMaterial({
+                color: color,
+                opacity: sideIndex === 0 ? 1.0 : 0.7,
+                transparent: sideIndex !== 0
+            });
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), vpMaterial);
+            vpMesh.position.set(vp.x, vp.y, 0.1);
+            groups.equirect2D.vanishingPoints.add(vpMesh);
+        });
+
+        // Guide curves: each edge extended to infinity runs from one vanishing point to the other
+        const axisVertices = edgeAxisMapping[axisIndex];
+        for (let i = 0; i < axisVertices.length; i += 2) {
+            const samples = sampleLineDirections(worldVertices[axisVertices[i]], direction, viewpoint, GUIDE_SAMPLES)
+                .map(sampleDirection => directionToEquirectangular(directionToViewFrame(sampleDirection), sphereRadius));
+            addSeamSplitPolylines(groups.equirect2D.extensionLines, samples, Math.PI * sphereRadius, guideMaterial, -0.1);
+        }
+    });
+}
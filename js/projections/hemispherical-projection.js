@@ -1,6 +1,27 @@
-import { state } from '../state.js';
+import { state, getDomeQuaternion, directionToDomeFrame, domeFrameToWorld, toViewFrame, directionToViewFrame, viewFrameToWorld, clipSegmentToViewFront, clipPolygonToViewFront, clipPolylineToViewFront } from '../state.js';
 import { config } from '../config.js';
-import { createMaterial, clearGroup, updateCubeInScene, updateViewpointInScene, updateProjectedViewpointMarker, getCachedWorldVertices, safeDispose, updateMaster3DScene, RAY_MATERIALS } from '../utils/three-utils.js';
+import { createMaterial, clearGroup, updateViewpointInScene, updateProjectedViewpointMarker, getCachedWorldVertices, safeDispose, updateMaster3DScene, RAY_MATERIALS } from '../utils/three-utils.js';
+import { addSeamSplitPolylines, sampleLineDirections } from './equirectangular-projection.js';
+import { getEdgeVisibilityRuns, createHiddenEdgeMaterial } from '../utils/visibility.js';
+import { getShadedFaces, createFaceMesh } from '../utils/face-shading.js';
+import {
+    intersectRayWithHemisphere as intersectRayWithSphere,
+    mapPolarAngle as mapPolarAngleWith,
+    getBoundaryRadius,
+    postelProjection as projectHemispherePoint,
+    constructHemiPoint,
+    hemisphericalVanishingPoints,
+    hemisphericalImageDirection,
+    invertThroughBoundary,
+    constructionResidual,
+    vanishingPointResiduals
+} from './projection-math.js';
+import { updateDiagnosticsPanel } from '../ui/diagnostics-panel.js';
+import { updateFisheyeOverlay } from '../ui/fisheye-overlay.js';
+import { getModelAxes, getAxisColors } from '../utils/polyhedron.js';
+import { getPrimitiveOutlines } from '../utils/primitives.js';
+import { getGroundGridLines, getHorizonDirections, createGroundMaterials } from '../utils/ground-plane.js';
+import { getShadowPolygons, getLightImageDirections, createShadowMesh } from '../utils/shadows.js';
 
 /**
  * Hemispherical Perspective Projection Module
@@ -8,50 +29,63 @@ import { createMaterial, clearGroup, updateCubeInScene, updateViewpointInScene,
  */
 
 export function intersectRayWithHemisphere(rayOrigin, rayDirection, hemisphereCenter, hemisphereRadius) {
-    const oc = rayOrigin.clone().sub(hemisphereCenter);
-    const a = rayDirection.dot(rayDirection);
-    const b = 2.0 * oc.dot(rayDirection);
-    const c = oc.dot(oc) - hemisphereRadius * hemisphereRadius;
-    
-    const discriminant = b * b - 4 * a * c;
-    if (discriminant < 0) return null;
-    
-    const t1 = (-b - Math.sqrt(discriminant)) / (2 * a);
-    const t2 = (-b + Math.sqrt(discriminant)) / (2 * a);
-    
-    // Choose the closest positive intersection (in the direction of the ray)
-    const validIntersections = [];
-    for (let t of [t1, t2]) {
-        if (t > 0.001) { // Ray parameter must be positive and not too close to origin
-            const point = rayOrigin.clone().add(rayDirection.clone().multiplyScalar(t));
-            validIntersections.push({ t: t, point: point });
+    const hit = intersectRayWithSphere(rayOrigin, rayDirection, hemisphereCenter, hemisphereRadius);
+    return hit ? new THREE.Vector3(hit.x, hit.y, hit.z) : null;
+}
+
+/**
+ * Finds where a ray meets the gaze-facing half of a hemisphere (dome) whose centre need not be the ray origin
+ * @param {THREE.Vector3} rayOrigin - Start of the ray (the viewpoint)
+ * @param {THREE.Vector3} rayDirection - Ray direction
+ * @param {THREE.Vector3} domeCenter - Centre of the full sphere the dome is cut from
+ * @param {number} domeRadius - Dome radius
+ * @returns {THREE.Vector3|null} Hit point on the dome, or null if the ray leaves through the open side
+ */
+export function intersectRayWithDome(rayOrigin, rayDirection, domeCenter, domeRadius) {
+    const direction = rayDirection.clone().normalize();
+    let origin = rayOrigin;
+    
+    // A ray can cross the full sphere twice; skip a hit on the missing back half
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const hit = intersectRayWithHemisphere(origin, direction, domeCenter, domeRadius);
+        if (!hit) {
+            return null;
         }
+        if (directionToDomeFrame(hit.clone().sub(domeCenter)).z <= 1e-6) {
+            return hit;
+        }
+        origin = hit.clone().add(direction.clone().multiplyScalar(0.002));
     }
     
-    if (validIntersections.length === 0) {
-        return null;
-    }
-    
-    // Return the closest intersection point
-    validIntersections.sort((a, b) => a.t - b.t);
-    return validIntersections[0].point;
+    return null;
 }
 
-export function postelProjection(point3D, hemisphereCenter, hemisphereRadius) {
-    const relativePoint = point3D.clone().sub(hemisphereCenter);
-    const x = relativePoint.x;
-    const y = relativePoint.y;
-    const z = relativePoint.z;
-    
-    const cosAlpha = -z / hemisphereRadius;
-    const alpha = Math.acos(Math.max(-1, Math.min(1, cosAlpha)));
-    const arcLength = alpha * hemisphereRadius;
-    const theta = Math.atan2(y, x);
-    
-    const x2D = arcLength * Math.cos(theta);
-    const y2D = arcLength * Math.sin(theta);
-    
-    return new THREE.Vector2(x2D, y2D);
+/**
+ * Maps a polar angle α (angle between a ray and the view axis) to a radius in the 2D image
+ * using one of the radial mappings in config.FISHEYE_MAPPINGS
+ * @param {number} alpha - Polar angle in radians
+ * @param {number} hemisphereRadius - Radius R of the hemisphere
+ * @param {string} mapping - Mapping key (defaults to the current state mapping)
+ * @returns {number} Radial distance from the image centre
+ */
+export function mapPolarAngle(alpha, hemisphereRadius, mapping = state.fisheyeMapping) {
+    return mapPolarAngleWith(alpha, hemisphereRadius, mapping);
+}
+
+/**
+ * Radius of the 2D boundary circle (image of the hemisphere rim, α = π/2) for a mapping
+ */
+export function getHemi2DBoundaryRadius(hemisphereRadius = state.hemisphereRadius, mapping = state.fisheyeMapping) {
+    return getBoundaryRadius(hemisphereRadius, mapping);
+}
+
+/**
+ * Projects a point on the hemisphere into the 2D disc. Named after the default equidistant
+ * (Postel) mapping, but honours any mapping from config.FISHEYE_MAPPINGS
+ */
+export function postelProjection(point3D, hemisphereCenter, hemisphereRadius, mapping = state.fisheyeMapping) {
+    const projected = projectHemispherePoint(point3D, hemisphereCenter, hemisphereRadius, mapping);
+    return new THREE.Vector2(projected.x, projected.y);
 }
 
 export function createArc(p1, p2, p3, material) {
@@ -145,6 +179,13 @@ export function createArc(p1, p2, p3, material) {
 }
 
 export function createEdgeArc(vertex1, vertex2, vanishingPoint, material) {
+    return new THREE.Line(new THREE.BufferGeometry().setFromPoints(getEdgeArcPoints(vertex1, vertex2, vanishingPoint)), material);
+}
+
+/**
+ * Points of the arc from vertex1 to vertex2 on the circle through the vanishing point (a straight pair if collinear)
+ */
+export function getEdgeArcPoints(vertex1, vertex2, vanishingPoint) {
     // Create an arc that connects only the two vertices, using the vanishing point to determine curvature
     const ax = vertex1.x, ay = vertex1.y;
     const bx = vanishingPoint.x, by = vanishingPoint.y;
@@ -179,10 +220,10 @@ export function createEdgeArc(vertex1, vertex2, vanishingPoint, material) {
     
     if (arePointsCollinear(vertex1, vanishingPoint, vertex2)) {
         // Points are collinear - draw straight line between vertices
-        return new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+        return [
             new THREE.Vector3(vertex1.x, vertex1.y, 0.2), // Higher z-index to render on top
             new THREE.Vector3(vertex2.x, vertex2.y, 0.2)
-        ]), material);
+        ];
     }
     
     // Calculate circle center and radius using the original method
@@ -221,7 +262,7 @@ export function createEdgeArc(vertex1, vertex2, vanishingPoint, material) {
         points.push(new THREE.Vector3(x, y, 0.2)); // Higher z-index to render on top
     }
     
-    return new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+    return points;
 }
 
 export function createFullCircle(p1, p2, p3, material) {
@@ -302,130 +343,8 @@ export function createFullCircle(p1, p2, p3, material) {
     return new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
 }
 
-// Helper functions for intersection-based hemispherical projection
-function computeCircleFromThreePoints(p1, p2, p3) {
-    const ax = p1.x, ay = p1.y;
-    const bx = p2.x, by = p2.y;
-    const cx = p3.x, cy = p3.y;
-    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
-    
-    const area = Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
-    if (area < 0.001) {
-        return null; // Collinear points
-    }
-    
-    const ux = ((ax * ax + ay * ay) * (by - cy) + (bx * bx + by * by) * (cy - ay) + (cx * cx + cy * cy) * (ay - by)) / d;
-    const uy = ((ax * ax + ay * ay) * (cx - bx) + (bx * bx + by * by) * (ax - cx) + (cx * cx + cy * cy) * (bx - ax)) / d;
-    
-    const center = { x: ux, y: uy };
-    const radius = Math.sqrt((ax - ux) * (ax - ux) + (ay - uy) * (ay - uy));
-    
-    return { center, radius };
-}
-
-function intersectCircles(c1, r1, c2, r2) {
-    const dx = c2.x - c1.x;
-    const dy = c2.y - c1.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    
-    if (distance > r1 + r2 || distance < Math.abs(r1 - r2) || distance === 0) {
-        return [];
-    }
-    
-    const a = (r1 * r1 - r2 * r2 + distance * distance) / (2 * distance);
-    const h = Math.sqrt(r1 * r1 - a * a);
-    
-    const x2 = c1.x + a * dx / distance;
-    const y2 = c1.y + a * dy / distance;
-    
-    const rx = -dy * h / distance;
-    const ry = dx * h / distance;
-    
-    return [
-        { x: x2 + rx, y: y2 + ry },
-        { x: x2 - rx, y: y2 - ry }
-    ];
-}
-
-function intersectLines(p, q, r, s) {
-    const denominator = (q.x - p.x) * (s.y - r.y) - (q.y - p.y) * (s.x - r.x);
-    if (Math.abs(denominator) < 0.001) {
-        return null; // Parallel lines
-    }
-    
-    const t = ((r.x - p.x) * (s.y - r.y) - (r.y - p.y) * (s.x - r.x)) / denominator;
-    const u = ((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x)) / denominator;
-    
-    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
-        return {
-            x: p.x + t * (q.x - p.x),
-            y: p.y + t * (q.y - p.y)
-        };
-    }
-    
-    return null;
-}
-
-function intersectCircleLine(circle, linePoints) {
-    const { center, radius } = circle;
-    const { p, q } = linePoints;
-    
-    const dx = q.x - p.x;
-    const dy = q.y - p.y;
-    const dr = Math.sqrt(dx * dx + dy * dy);
-    const D = p.x * q.y - q.x * p.y;
-    
-    const discriminant = radius * radius * dr * dr - D * D;
-    if (discriminant < 0) {
-        return [];
-    }
-    
-    const x1 = (D * dy + Math.sign(dy) * dx * Math.sqrt(discriminant)) / (dr * dr);
-    const y1 = (-D * dx + Math.abs(dy) * Math.sqrt(discriminant)) / (dr * dr);
-    const x2 = (D * dy - Math.sign(dy) * dx * Math.sqrt(discriminant)) / (dr * dr);
-    const y2 = (-D * dx - Math.abs(dy) * Math.sqrt(discriminant)) / (dr * dr);
-    
-    return [{ x: x1, y: y1 }, { x: x2, y: y2 }];
-}
-
-function intersectArcsOrLines(arc1, arc2) {
-    let intersections = [];
-    
-    if (arc1.type === 'line' && arc2.type === 'line') {
-        const intersection = intersectLines(arc1.p1, arc1.p2, arc2.p1, arc2.p2);
-        intersections = intersection ? [intersection] : [];
-    } else if (arc1.type === 'circle' && arc2.type === 'circle') {
-        intersections = intersectCircles(arc1.center, arc1.radius, arc2.center, arc2.radius);
-    } else if (arc1.type === 'circle' && arc2.type === 'line') {
-        intersections = intersectCircleLine(arc1, { p: arc2.p1, q: arc2.p2 });
-    } else if (arc1.type === 'line' && arc2.type === 'circle') {
-        intersections = intersectCircleLine(arc2, { p: arc1.p1, q: arc1.p2 });
-    }
-    
-    return intersections;
-}
-
-function selectCorrectIntersection(intersections, boundaryRadius) {
-    if (intersections.length === 0) return null;
-    if (intersections.length === 1) return intersections[0];
-    
-    // Select the intersection closest to the center and within the boundary
-    let bestIntersection = null;
-    let minDistance = Infinity;
-    
-    for (const intersection of intersections) {
-        const distance = Math.sqrt(intersection.x * intersection.x + intersection.y * intersection.y);
-        if (distance <= boundaryRadius && distance < minDistance) {
-            minDistance = distance;
-            bestIntersection = intersection;
-        }
-    }
-    
-    return bestIntersection;
-}
-
 export function createHemi2DBoundary(scene, hemisphereRadius) {
-    const boundaryRadius = (Math.PI / 2) * hemisphereRadius;
+    const boundaryRadius = getHemi2DBoundaryRadius(hemisphereRadius);
     const circleGeometry = new THREE.RingGeometry(boundaryRadius - 0.05, boundaryRadius, 64);
     const circleMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.boundary, side: THREE.DoubleSide });
     const hemiBoundary = new THREE.Mesh(circleGeometry, circleMaterial);
@@ -439,9 +358,13 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         customRayHandling: true  // We'll handle rays ourselves with complementary system
     });
     
-    // Update hemisphere
-    const hemisphereCenter = state.viewpointPosition.clone();
+    // Update hemisphere - centred on the viewpoint, or pinned in the world for the fixed dome mode
+    const isFixedDome = state.hemisphereMode === 'fixed';
+    const hemisphereCenter = isFixedDome ? state.hemisphereCenter.clone() : state.viewpointPosition.clone();
     hemisphere.position.copy(hemisphereCenter);
+    // Open side of the hemisphere geometry faces +Y; turn it to face along the gaze (the pinned one for a fixed dome)
+    hemisphere.quaternion.copy(getDomeQuaternion())
+        .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2));
     // No scaling needed - geometry is already created with correct radius
     
     // Update hemisphere boundary in 2D
@@ -450,10 +373,43 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         safeDispose(window.hemiBoundary);
     }
     window.hemiBoundary = createHemi2DBoundary(scenes.hemi2D, state.hemisphereRadius);
+    // A fisheye photo behind the disc follows the boundary as R and the mapping change
+    updateFisheyeOverlay(getHemi2DBoundaryRadius());
     
     // Clear previous 2D projections only (3D was handled by shared function)
     Object.values(groups.hemi2D).forEach(group => clearGroup(group));
     
+    // Off-centre viewpoint: the arc construction assumes a centred eye, so trace real ray-dome hits instead
+    if (isFixedDome) {
+        updateDiagnosticsPanel(state.showDiagnostics
+            ? { note: 'The fixed dome traces rays to the dome directly, so there is no arc construction to check.' }
+            : null);
+        updateFixedDomeProjection(scenes, groups, worldVertices, hemisphereCenter);
+        return;
+    }
+    
+    // Floor grid and horizon: sampled viewing directions, cut off where they pass behind the viewer
+    updateHemiGround(groups, (worldDirections, closed) => {
+        const viewDirections = worldDirections.map(direction => directionToViewFrame(direction));
+        return clipPolylineToViewFront(viewDirections, closed).flatMap(run => [...run.map(projectViewPoint), null]);
+    });
+    
+    // User-added directions: the sense facing away from the gaze lands outside the disc, by inversion through its rim
+    const rimRadius = getHemi2DBoundaryRadius(state.hemisphereRadius);
+    const projectDirection = (worldDirection) => {
+        const viewDirection = directionToViewFrame(worldDirection);
+        return viewDirection.z <= 0
+            ? projectViewPoint(viewDirection)
+            : invertThroughBoundary(projectViewPoint(viewDirection.negate()), rimRadius);
+    };
+    updateHemiVanishingDirections(groups, projectDirection);
+    
+    // Shadows: the part in front of the viewer, its outline curving as it is traced onto the hemisphere
+    updateHemiShadows(groups, worldVertices, (outline) => {
+        const clippedShadow = clipPolygonToViewFront(outline.map(point => ({ point: toViewFrame(point) })));
+        return clippedShadow.length < 3 ? null : sampleOutline(clippedShadow.map(vertex => vertex.point)).map(projectViewPoint);
+    }, projectDirection);
+    
     // Update projected viewpoint marker
     const hemisphereDir = hemisphereCenter.clone().sub(state.viewpointPosition).normalize();
     const viewpointOnHemisphere = intersectRayWithHemisphere(state.viewpointPosition, hemisphereDir, hemisphereCenter, state.hemisphereRadius);
@@ -464,72 +420,21 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
     
     // Calculate 2D projections using new intersection-based hemispherical projection
     const projectedVertices = [];
-    const boundaryRadius = (Math.PI / 2) * state.hemisphereRadius;
+    const viewVertices = [];
+    const boundaryRadius = getHemi2DBoundaryRadius(state.hemisphereRadius);
 
     worldVertices.forEach(worldVertex => {
-        const direction = worldVertex.clone().sub(state.viewpointPosition).normalize();
-        
-        // Project to YZ plane (set x=0) for theta calculation
-        const v_yz = new THREE.Vector3(0, direction.y, direction.z);
-        v_yz.normalize();
-        const theta = Math.atan2(v_yz.y, Math.abs(v_yz.z));
-        
-        // Project to XZ plane (set y=0) for phi calculation  
-        const v_xz = new THREE.Vector3(direction.x, 0, direction.z);
-        v_xz.normalize();
-        const phi = Math.atan2(v_xz.x, Math.abs(v_xz.z));
-        
-        // Compute points in 2D projection (use radians directly)
-        const p_theta = { x: 0, y: state.hemisphereRadius * theta };
-        const p_phi = { x: state.hemisphereRadius * phi, y: 0 };
-        
-        // Define boundary circle and axis points
-        const X1 = { x: boundaryRadius, y: 0 };
-        const X2 = { x: -boundaryRadius, y: 0 };
-        const Y1 = { x: 0, y: boundaryRadius };
-        const Y2 = { x: 0, y: -boundaryRadius };
-        
-        // Check for collinear cases (when theta or phi is zero)
-        const isThetaZero = Math.abs(theta) < 0.001;
-        const isPhiZero = Math.abs(phi) < 0.001;
-        
-        let arc1Data, arc2Data;
-        
-        let projectedPoint;
-        
-        if (isThetaZero && isPhiZero) {
-            // Both theta and phi are zero - vertex is at origin
-            projectedPoint = { x: 0, y: 0 };
-        } else if (isThetaZero) {
-            // Only theta is zero - vertex position is p_phi
-            projectedPoint = p_phi;
-        } else if (isPhiZero) {
-            // Only phi is zero - vertex position is p_theta
-            projectedPoint = p_theta;
-        } else {
-            // Normal case: use intersection of circles
-            const arc1 = computeCircleFromThreePoints(p_theta, X1, X2);
-            if (arc1) {
-                arc1Data = { type: 'circle', center: arc1.center, radius: arc1.radius, p1: p_theta, p2: X2 };
-            } else {
-                arc1Data = { type: 'line', p1: p_theta, p2: X2 };
-            }
-            
-            const arc2 = computeCircleFromThreePoints(p_phi, Y1, Y2);
-            if (arc2) {
-                arc2Data = { type: 'circle', center: arc2.center, radius: arc2.radius, p1: p_phi, p2: Y2 };
-            } else {
-                arc2Data = { type: 'line', p1: p_phi, p2: Y2 };
-            }
-            
-            // Find intersections
-            const intersections = intersectArcsOrLines(arc1Data, arc2Data);
-            projectedPoint = selectCorrectIntersection(intersections, boundaryRadius);
-        }
+        const worldDirection = worldVertex.clone().sub(state.viewpointPosition).normalize();
+        // Angles are measured in the camera frame so the hemisphere follows the gaze
+        const viewVertex = toViewFrame(worldVertex);
+        viewVertices.push(viewVertex);
+        const direction = viewVertex.clone().normalize();
         
-
+        // Place the vertex by the theta/phi arc construction
+        const projectedPoint = constructHemiPoint(direction, state.hemisphereRadius, state.fisheyeMapping);
         
-        if (projectedPoint) {
+        // Vertices behind the plane through the viewpoint are not on the hemisphere
+        if (projectedPoint && direction.z <= 0) {
             projectedVertices.push(new THREE.Vector2(projectedPoint.x, projectedPoint.y));
         } else {
             projectedVertices.push(new THREE.Vector2(Infinity, Infinity));
@@ -538,7 +443,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         // Add ray visualization (full red rays only)
         if (state.showRedRays) {
             // Full red rays (viewpoint → extended points)
-            const extendedPoint = state.viewpointPosition.clone().add(direction.clone().multiplyScalar(30));
+            const extendedPoint = state.viewpointPosition.clone().add(worldDirection.clone().multiplyScalar(30));
             const redRay = new THREE.Line(
                 new THREE.BufferGeometry().setFromPoints([state.viewpointPosition, extendedPoint]), 
                 RAY_MATERIALS.RED_EXTENDED
@@ -548,141 +453,30 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
     });
 
     // Calculate vanishing points
-    const dirX = new THREE.Vector3().subVectors(worldVertices[1], worldVertices[0]);
-    const dirY = new THREE.Vector3().subVectors(worldVertices[3], worldVertices[0]);
-    const dirZ = new THREE.Vector3().subVectors(worldVertices[4], worldVertices[0]);
-    
-    // Calculate direction vectors for vanishing points
     
-    // Auto-fix: If matrix determinant is far from 1.0, reset the rotation matrix
+    // Auto-fix: If matrix determinant is far from the object's volume scale, reset the rotation matrix
     if (state.cube) {
         const matrix = state.cube.matrixWorld;
         const det = matrix.determinant();
-        if (Math.abs(det - 1.0) > 0.01) {
+        const scale = state.cube.scale;
+        if (Math.abs(det - scale.x * scale.y * scale.z) > 0.01) {
             state.cube.matrix.makeRotationFromEuler(state.cube.rotation);
             state.cube.updateMatrixWorld(true);
         }
     }
 
-    const vanishingPointData = [
-        { dir: dirX.normalize(), color: config.COLORS.vanishingPoint.red },
-        { dir: dirY.normalize(), color: config.COLORS.vanishingPoint.green },
-        { dir: dirZ.normalize(), color: config.COLORS.vanishingPoint.blue }
-    ];
+    // One vanishing direction per family of parallel edges
+    const vanishingPointData = getModelAxes(worldVertices).map(axis => ({
+        dir: directionToViewFrame(axis.direction).normalize(), color: axis.vanishingPoint
+    }));
+    state.vanishingPoints.hemi = vanishingPointData.map(vpData => ({ direction: vpData.dir, color: vpData.color }));
 
     const vanishingPoints = [];
     vanishingPointData.forEach((vpData, axisIndex) => {
-        // Calculate both positive and negative directions for each axis
-        const posDirection = vpData.dir;
-        const negDirection = vpData.dir.clone().negate();
-        
-        // Choose direction based on dot product with -Z direction
-        const negZDirection = new THREE.Vector3(0, 0, -1);
-        const posDotProduct = posDirection.dot(negZDirection);
-        const negDotProduct = negDirection.dot(negZDirection);
-        
-        // Use the direction with positive dot product (pointing more toward -Z)
-        const chosenDirection = posDotProduct > negDotProduct ? posDirection : negDirection;
-        
-        // Use the same projection method as vertices, with boundary circle handling
-        const direction = chosenDirection;
-        
-        // Calculate psi: angle of direction vector projected to XY plane relative to X axis
-        const psi = Math.atan2(direction.y, direction.x);
-        
-        // Project to YZ plane (set x=0) for theta calculation
-        const v_yz = new THREE.Vector3(0, direction.y, direction.z);
-        v_yz.normalize();
-        const theta = Math.atan2(v_yz.y, Math.abs(v_yz.z));
-        
-        // Project to XZ plane (set y=0) for phi calculation  
-        const v_xz = new THREE.Vector3(direction.x, 0, direction.z);
-        v_xz.normalize();
-        const phi = Math.atan2(v_xz.x, Math.abs(v_xz.z));
-        
-        // Check if we're on the boundary circle (theta or phi near ±π/2)
-        const isThetaBoundary = Math.abs(Math.abs(theta) - Math.PI/2) < 0.001;
-        const isPhiBoundary = Math.abs(Math.abs(phi) - Math.PI/2) < 0.001;
-        const isOnBoundary = isThetaBoundary || isPhiBoundary;
-        
-
-        
-        let insideVP = null;
-        
-        if (isOnBoundary) {
-            // Vanishing point is on the boundary circle at angle psi
-            insideVP = {
-                x: boundaryRadius * Math.cos(psi),
-                y: boundaryRadius * Math.sin(psi)
-            };
-
-        } else {
-            // Normal case: use the same method as vertices
-            // Compute points in 2D projection (use radians directly)
-            const p_theta = { x: 0, y: state.hemisphereRadius * theta };
-            const p_phi = { x: state.hemisphereRadius * phi, y: 0 };
-            
-            // Define boundary circle and axis points
-            const X1 = { x: boundaryRadius, y: 0 };
-            const X2 = { x: -boundaryRadius, y: 0 };
-            const Y1 = { x: 0, y: boundaryRadius };
-            const Y2 = { x: 0, y: -boundaryRadius };
-            
-            // Check for collinear cases (when theta or phi is zero)
-            const isThetaZero = Math.abs(theta) < 0.001;
-            const isPhiZero = Math.abs(phi) < 0.001;
-            
-            if (isThetaZero && isPhiZero) {
-                // Both theta and phi are zero - vanishing point is at origin
-                insideVP = { x: 0, y: 0 };
-            } else if (isThetaZero) {
-                // Only theta is zero - vanishing point position is p_phi
-                insideVP = p_phi;
-            } else if (isPhiZero) {
-                // Only phi is zero - vanishing point position is p_theta
-                insideVP = p_theta;
-            } else {
-                // Normal case: use intersection of circles
-                const arc1 = computeCircleFromThreePoints(p_theta, X1, X2);
-                const arc2 = computeCircleFromThreePoints(p_phi, Y1, Y2);
-                
-                let arc1Data, arc2Data;
-                if (arc1) {
-                    arc1Data = { type: 'circle', center: arc1.center, radius: arc1.radius, p1: p_theta, p2: X2 };
-                } else {
-                    arc1Data = { type: 'line', p1: p_theta, p2: X2 };
-                }
-                
-                if (arc2) {
-                    arc2Data = { type: 'circle', center: arc2.center, radius: arc2.radius, p1: p_phi, p2: Y2 };
-                } else {
-                    arc2Data = { type: 'line', p1: p_phi, p2: Y2 };
-                }
-                
-                // Find intersections
-                const intersections = intersectArcsOrLines(arc1Data, arc2Data);
-                insideVP = selectCorrectIntersection(intersections, boundaryRadius);
-            }
-        }
-        
-        // Calculate outside vanishing point using inversion formula
-        let outsideVP = null;
-        if (insideVP) {
-            const insideDistance = Math.sqrt(insideVP.x * insideVP.x + insideVP.y * insideVP.y);
-            
-            // Only calculate outside VP if inside VP is not at center (to avoid division by zero)
-            if (insideDistance > 0.001) {
-                const outsideDistance = (boundaryRadius * boundaryRadius) / insideDistance;
-                const insideAngle = Math.atan2(insideVP.y, insideVP.x);
-                const outsideAngle = insideAngle + Math.PI; // Add π radians (180°)
-                outsideVP = {
-                    x: outsideDistance * Math.cos(outsideAngle),
-                    y: outsideDistance * Math.sin(outsideAngle)
-                };
-            } else {
-                // Inside VP at center - skip outside VP calculation
-            }
-        }
+        // Inside VP from the sense of the axis facing the gaze, outside VP by inversion through the boundary
+        const { inside: insideVP, outside: outsideVP } = hemisphericalVanishingPoints(
+            vpData.dir, state.hemisphereRadius, state.fisheyeMapping
+        );
         
         // Store inside VP at index 0, outside VP at index 1
         vanishingPoints.push(insideVP);
@@ -697,6 +491,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
             });
             const insideVpMesh = new THREE.Mesh(insideVpGeom, insideVpMat);
             insideVpMesh.position.set(insideVP.x, insideVP.y, 0.1);
+            insideVpMesh.userData.familyIndex = axisIndex;
             groups.hemi2D.vanishingPoints.add(insideVpMesh);
         }
         
@@ -709,12 +504,13 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
             });
             const outsideVpMesh = new THREE.Mesh(outsideVpGeom, outsideVpMat);
             outsideVpMesh.position.set(outsideVP.x, outsideVP.y, 0.1);
+            outsideVpMesh.userData.familyIndex = axisIndex;
             groups.hemi2D.vanishingPoints.add(outsideVpMesh);
         }
     });
 
     // Special case: If both vanishing points are on the boundary circle, connect them with shorter arc
-    for (let axisIndex = 0; axisIndex < 3; axisIndex++) {
+    for (let axisIndex = 0; axisIndex < vanishingPointData.length; axisIndex++) {
         const insideVP = vanishingPoints[axisIndex * 2];
         const outsideVP = vanishingPoints[axisIndex * 2 + 1];
         
@@ -731,7 +527,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
     
                 
                 // Create the guide material for this axis
-                const guideColor = config.COLORS.guideLines[['x', 'y', 'z'][axisIndex]];
+                const guideColor = getAxisColors(axisIndex).guide;
                 const guideMaterial = new THREE.LineBasicMaterial({ 
                     color: guideColor,
                     opacity: 0.7,
@@ -739,7 +535,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
                 });
                 
                 // Use the same logic as the general case: for each edge, draw two arcs (inside and outside VP)
-                const edgeAxisMapping = config.CUBE_MAPPINGS.edgeAxisMapping;
+                const edgeAxisMapping = state.model.edgeAxisMapping;
                 const axisVertices = edgeAxisMapping[axisIndex];
                 
                 if (axisVertices && axisVertices.length >= 2) {
@@ -784,7 +580,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
     }
     
     function getVanishingPointForEdge(v1Index, v2Index) {
-        const edgeDirections = config.CUBE_MAPPINGS.edgeDirections;
+        const edgeDirections = state.model.edgeDirections;
         const key = `${v1Index},${v2Index}`;
         let axisIndex = edgeDirections[key];
         if (axisIndex === undefined) return { vp: null, axisIndex: null };
@@ -822,13 +618,13 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
     });
 
     // Draw guide lines from cube edges to vanishing points using arcs
-    const edgeAxisMapping = config.CUBE_MAPPINGS.edgeAxisMapping;
+    const edgeAxisMapping = state.model.edgeAxisMapping;
     
     // Store special case lines to draw on top later
     const specialCaseLines = [];
     
     // For each axis (X, Y, Z), draw guide lines to the corresponding vanishing points
-    for (let axisIndex = 0; axisIndex < 3; axisIndex++) {
+    for (let axisIndex = 0; axisIndex < vanishingPointData.length; axisIndex++) {
         const insideVP = vanishingPoints[axisIndex * 2];
         const outsideVP = vanishingPoints[axisIndex * 2 + 1];
         
@@ -857,7 +653,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         
         if (isVpAtCenter) {
             // Special case: vanishing point at center - store lines to draw on top later
-            const guideColor = config.COLORS.guideLines[['x', 'y', 'z'][axisIndex]];
+            const guideColor = getAxisColors(axisIndex).guide;
             const guideMaterial = new THREE.LineBasicMaterial({ 
                 color: guideColor,
                 opacity: 0.7,
@@ -928,7 +724,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         }
         
         // Normal case: draw guide lines to the vanishing point
-        const guideColor = config.COLORS.guideLines[['x', 'y', 'z'][axisIndex]];
+        const guideColor = getAxisColors(axisIndex).guide;
         const guideMaterial = new THREE.LineBasicMaterial({ 
             color: guideColor,
             opacity: 0.7,
@@ -1047,7 +843,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
             
             if (isOppositeVpAtCenter) {
                 // Special case: opposite vanishing point at center - draw simple straight lines through collinear vertices
-                const oppositeGuideColor = config.COLORS.guideLines[['x', 'y', 'z'][axisIndex]];
+                const oppositeGuideColor = getAxisColors(axisIndex).guide;
                 const oppositeGuideMaterial = new THREE.LineBasicMaterial({ 
                     color: oppositeGuideColor,
                     opacity: 0.7,
@@ -1104,7 +900,7 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
                 continue; // Skip normal opposite vanishing point guide lines for this axis
             }
             
-            const oppositeGuideColor = config.COLORS.guideLines[['x', 'y', 'z'][axisIndex]];
+            const oppositeGuideColor = getAxisColors(axisIndex).guide;
             const oppositeGuideMaterial = new THREE.LineBasicMaterial({ 
                 color: oppositeGuideColor, 
                 opacity: 0.7,
@@ -1219,75 +1015,505 @@ export function updateHemisphericalProjection(scenes, groups, hemisphere) {
         groups.hemi2D.extensionLines.add(line);
     });
     
+    // Filled faces: curved patches bounded by the same arcs as the edges, painted far to near
+    if (state.showFaces) {
+        const toHemi2D = (viewPoint) => viewPoint.z === 0
+            ? boundaryPointForViewDirection(viewPoint, boundaryRadius)
+            : constructHemiPoint(viewPoint.clone().normalize(), state.hemisphereRadius, state.fisheyeMapping);
+        
+        getShadedFaces(worldVertices).forEach((face, paintOrder) => {
+            const clippedFace = clipPolygonToViewFront(face.indices.map((index, i) => ({
+                point: viewVertices[index],
+                edgeTag: [index, face.indices[(i + 1) % face.indices.length]]
+            })));
+            if (clippedFace.length < 3) return;
+            
+            const corners = clippedFace.map(vertex => toHemi2D(vertex.point));
+            if (corners.some(corner => !corner)) return;
+            
+            const outlineRuns = clippedFace.map((vertex, i) => {
+                const start = corners[i];
+                const end = corners[(i + 1) % corners.length];
+                if (vertex.edgeTag === 'clip') {
+                    // The face is cut by the plane through the viewpoint: follow the rim
+                    return getRimArcPoints(start, end, boundaryRadius);
+                }
+                // Face sides that are not model edges (between coplanar faces) get their own vanishing point
+                const [a, b] = vertex.edgeTag;
+                const vp = getVanishingPointForEdge(a, b).vp ||
+                    hemisphericalVanishingPoints(viewVertices[b].clone().sub(viewVertices[a]), state.hemisphereRadius, state.fisheyeMapping).inside;
+                const isVpUsable = vp && isFinite(vp.x) && isFinite(vp.y) && calculateDistance(vp) >= boundaryRadius * 0.01;
+                return isVpUsable ? getEdgeArcPoints(start, end, vp) : [start, end];
+            });
+            groups.hemi2D.projectedFaces.add(createFaceMesh(outlineRuns.flat(), face.color, paintOrder, outlineRuns));
+        });
+    }
+    
     // Draw projected cube edges as arcs (after guide lines so they render on top)
-    const edges = config.CUBE_MAPPINGS.edges;
+    const edges = state.model.edges;
     const edgeMaterial = new THREE.LineBasicMaterial({ 
         color: config.COLORS.cubeEdge, // Use same color as linear projection
         linewidth: 3 // Make edges thicker to ensure they're visible on top
     });
-    
-
+    const hiddenEdgeMaterial = createHiddenEdgeMaterial(edgeMaterial);
+    const edgeVisibilityRuns = getEdgeVisibilityRuns(worldVertices);
+    
+    // Adds one piece of an edge, curved through the edge's vanishing point
+    function addEdgeSegment(vertex1, vertex2, vp, material) {
+        let segment = null;
+        if (vp && isFinite(vp.x) && isFinite(vp.y)) {
+            // Check if vanishing point is at center - if so, draw straight line
+            const vpDistance = Math.sqrt(vp.x * vp.x + vp.y * vp.y);
+            const isVpAtCenter = vpDistance < boundaryRadius * 0.01; // 1% of boundary radius tolerance for center
+            
+            if (!isVpAtCenter) {
+                // Normal case: Create arc connecting only the two vertices, using vanishing point for curvature
+                segment = createEdgeArc(vertex1, vertex2, vp, material);
+                if (segment) {
+                    // Set higher z-index for arc vertices to render on top
+                    segment.geometry.attributes.position.array.forEach((coord, index) => {
+                        if ((index + 1) % 3 === 0) { // z-coordinate
+                            segment.geometry.attributes.position.array[index] = 0.2;
+                        }
+                    });
+                    segment.geometry.attributes.position.needsUpdate = true;
+                }
+            }
+        }
+        if (!segment) {
+            // Vanishing point at center, missing, or arc creation failed - draw straight line between vertices
+            const lineGeom = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(vertex1.x, vertex1.y, 0.2), // Higher z-index to render on top
+                new THREE.Vector3(vertex2.x, vertex2.y, 0.2)
+            ]);
+            segment = new THREE.Line(lineGeom, material);
+        }
+        if (material.isLineDashedMaterial) {
+            segment.computeLineDistances();
+        }
+        groups.hemi2D.projectedCubeLines.add(segment);
+    }
     
     for (let i = 0; i < edges.length; i += 2) {
         const v1Index = edges[i];
         const v2Index = edges[i + 1];
-        const vertex1 = projectedVertices[v1Index];
-        const vertex2 = projectedVertices[v2Index];
+        const { vp } = getVanishingPointForEdge(v1Index, v2Index);
         
-        if (isFinite(vertex1.x) && isFinite(vertex1.y) && isFinite(vertex2.x) && isFinite(vertex2.y)) {
-            // Get the vanishing point for this edge
-            const { vp, axisIndex } = getVanishingPointForEdge(v1Index, v2Index);
+        // Each edge is drawn as runs, split where it passes behind a front face
+        edgeVisibilityRuns[i / 2].forEach(run => {
+            const material = run.visible ? edgeMaterial : hiddenEdgeMaterial;
+            if (!material) return;
             
-
+            const runStart = viewVertices[v1Index].clone().lerp(viewVertices[v2Index], run.t0);
+            const runEnd = viewVertices[v1Index].clone().lerp(viewVertices[v2Index], run.t1);
             
-            if (vp && isFinite(vp.x) && isFinite(vp.y)) {
-                // Check if vanishing point is at center - if so, draw straight line
-                const vpDistance = Math.sqrt(vp.x * vp.x + vp.y * vp.y);
-                const isVpAtCenter = vpDistance < boundaryRadius * 0.01; // 1% of boundary radius tolerance for center
-                
-                if (isVpAtCenter) {
-                    // Special case: vanishing point at center, draw straight line between vertices
-                    const lineGeom = new THREE.BufferGeometry().setFromPoints([
-                        new THREE.Vector3(vertex1.x, vertex1.y, 0.2), // Higher z-index to render on top
-                        new THREE.Vector3(vertex2.x, vertex2.y, 0.2)
-                    ]);
-                    const line = new THREE.Line(lineGeom, edgeMaterial);
-                    groups.hemi2D.projectedCubeLines.add(line);
-                } else {
-                    // Normal case: Create arc connecting only the two vertices, using vanishing point for curvature
-                    const arc = createEdgeArc(vertex1, vertex2, vp, edgeMaterial);
-                    if (arc) {
-                        // Set higher z-index for arc vertices to render on top
-                        arc.geometry.attributes.position.array.forEach((coord, index) => {
-                            if ((index + 1) % 3 === 0) { // z-coordinate
-                                arc.geometry.attributes.position.array[index] = 0.2;
-                            }
-                        });
-                        arc.geometry.attributes.position.needsUpdate = true;
-                        groups.hemi2D.projectedCubeLines.add(arc);
-                    } else {
-                        // Fallback to straight line if arc creation fails
-                        const lineGeom = new THREE.BufferGeometry().setFromPoints([
-                            new THREE.Vector3(vertex1.x, vertex1.y, 0.2), // Higher z-index to render on top
-                            new THREE.Vector3(vertex2.x, vertex2.y, 0.2)
-                        ]);
-                        const line = new THREE.Line(lineGeom, edgeMaterial);
-                        groups.hemi2D.projectedCubeLines.add(line);
-                    }
-                }
-            } else {
-                // No vanishing point available, draw straight line
-                const lineGeom = new THREE.BufferGeometry().setFromPoints([
-                    new THREE.Vector3(vertex1.x, vertex1.y, 0.2), // Higher z-index to render on top
-                    new THREE.Vector3(vertex2.x, vertex2.y, 0.2)
-                ]);
-                const line = new THREE.Line(lineGeom, edgeMaterial);
-                groups.hemi2D.projectedCubeLines.add(line);
+            // Clip against the plane through the viewpoint: a cut edge ends where it leaves the hemisphere
+            const visibleEdge = clipSegmentToViewFront(runStart, runEnd);
+            if (!visibleEdge) return; // Entirely behind the viewer
+            
+            const vertex1 = visibleEdge.startClipped
+                ? boundaryPointForViewDirection(visibleEdge.start, boundaryRadius)
+                : run.t0 === 0 ? projectedVertices[v1Index] : constructHemiPoint(visibleEdge.start.clone().normalize(), state.hemisphereRadius, state.fisheyeMapping);
+            const vertex2 = visibleEdge.endClipped
+                ? boundaryPointForViewDirection(visibleEdge.end, boundaryRadius)
+                : run.t1 === 1 ? projectedVertices[v2Index] : constructHemiPoint(visibleEdge.end.clone().normalize(), state.hemisphereRadius, state.fisheyeMapping);
+            
+            if (vertex1 && vertex2 && isFinite(vertex1.x) && isFinite(vertex1.y) && isFinite(vertex2.x) && isFinite(vertex2.y)) {
+                addEdgeSegment(vertex1, vertex2, vp, material);
             }
+        });
+    }
+    
+    // Curved silhouettes of spheres, cylinders and discs: analytic contour points mapped one by one,
+    // cut where they leave the hemisphere so they end on the boundary circle
+    getPrimitiveOutlines().forEach(outline => {
+        const viewPoints = outline.points.map(point => toViewFrame(point));
+        clipPolylineToViewFront(viewPoints, outline.closed).forEach(run => {
+            const projected = run.map(projectViewPoint);
+            addSeamSplitPolylines(groups.hemi2D.primitiveOutlines, projected, Infinity, edgeMaterial, 0.2);
+        });
+    });
+    
+    updateConstructionDiagnostics(groups, viewVertices, vanishingPointData);
+}
+
+/**
+ * Diagnostics mode: re-places every vertex and vanishing point by the direct mapping formula,
+ * reports the residuals and rings the points where the arc construction is off by more than the tolerance
+ */
+function updateConstructionDiagnostics(groups, viewVertices, vanishingPointData) {
+    if (!state.showDiagnostics) {
+        updateDiagnosticsPanel(null);
+        return;
+    }
+    
+    const { tolerance, highlightColor, highlightRadius } = config.DIAGNOSTICS;
+    const entries = [];
+    const addEntry = (label, check) => {
+        entries.push({ label, residual: check.residual });
+        if (check.residual <= tolerance) return;
+        
+        // Ring where the construction puts the point, joined to where the formula puts it
+        const highlightMaterial = new THREE.MeshBasicMaterial({ color: highlightColor, side: THREE.DoubleSide });
+        const anchor = check.constructed || check.direct;
+        const ring = new THREE.Mesh(new THREE.RingGeometry(highlightRadius * 0.75, highlightRadius, 32), highlightMaterial);
+        ring.position.set(anchor.x, anchor.y, 0.3);
+        groups.hemi2D.diagnostics.add(ring);
+        
+        if (check.constructed) {
+            const offset = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(check.constructed.x, check.constructed.y, 0.3),
+                    new THREE.Vector3(check.direct.x, check.direct.y, 0.3)
+                ]),
+                new THREE.LineBasicMaterial({ color: highlightColor })
+            );
+            groups.hemi2D.diagnostics.add(offset);
+        }
+    };
+    
+    viewVertices.forEach((viewVertex, index) => {
+        // Vertices behind the viewer are not on the hemisphere and are not drawn
+        if (viewVertex.z > 0) return;
+        addEntry(`V${index}`, constructionResidual(viewVertex, state.hemisphereRadius, state.fisheyeMapping));
+    });
+    
+    vanishingPointData.forEach((vpData, axisIndex) => {
+        const axis = ['X', 'Y', 'Z'][axisIndex] || axisIndex + 1;
+        const { inside, outside } = vanishingPointResiduals(vpData.dir, state.hemisphereRadius, state.fisheyeMapping);
+        addEntry(`VP ${axis} inside`, inside);
+        if (outside) {
+            addEntry(`VP ${axis} outside`, outside);
         }
+    });
+    
+    updateDiagnosticsPanel({ mapping: state.fisheyeMapping, entries });
+}
+
+/**
+ * Image of a camera-frame point in front of the viewer, through the point where its ray meets the hemisphere
+ */
+function projectViewPoint(viewPoint) {
+    return postelProjection(viewPoint.clone().setLength(state.hemisphereRadius), new THREE.Vector3(), state.hemisphereRadius);
+}
+
+/**
+ * Image of a camera-frame point on the plane through the viewpoint (z = 0): the rim of the hemisphere
+ */
+function boundaryPointForViewDirection(viewPoint, boundaryRadius) {
+    const psi = Math.atan2(viewPoint.y, viewPoint.x);
+    return new THREE.Vector2(boundaryRadius * Math.cos(psi), boundaryRadius * Math.sin(psi));
+}
+
+/**
+ * Points along the boundary circle between two rim points, taking the shorter way round
+ */
+function getRimArcPoints(start, end, boundaryRadius, segments = 32) {
+    const startAngle = Math.atan2(start.y, start.x);
+    let sweep = Math.atan2(end.y, end.x) - startAngle;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+    
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + sweep * i / segments;
+        points.push(new THREE.Vector2(boundaryRadius * Math.cos(angle), boundaryRadius * Math.sin(angle)));
+    }
+    return points;
+}
+
+/**
+ * Viewing directions along a segment, evenly spaced in angle so the far end is traced as finely as the near end
+ */
+function sampleSegmentDirections(start, end, viewpoint, samples) {
+    const direction = end.clone().sub(start).normalize();
+    const angleTo = (point) => point.clone().sub(viewpoint).angleTo(direction);
+    return sampleLineDirections(start, direction, viewpoint, samples, angleTo(end), angleTo(start));
+}
+
+/**
+ * Draws the projected floor grid and horizon into hemi2D
+ * @param {Function} projectDirections - Maps world viewing directions (a closed loop if the flag is set)
+ *   to 2D points, with null wherever the curve breaks off
+ */
+function updateHemiGround(groups, projectDirections) {
+    const materials = createGroundMaterials();
+    const viewpoint = state.viewpointPosition;
+    
+    if (state.showGroundGrid) {
+        getGroundGridLines().forEach(gridLine => {
+            const directions = sampleSegmentDirections(gridLine.start, gridLine.end, viewpoint, config.GROUND.lineSamples);
+            const material = gridLine.center ? materials.center : materials.grid;
+            addSeamSplitPolylines(groups.hemi2D.ground, projectDirections(directions, false), Infinity, material, -0.9);
+        });
+    }
+    if (state.showHorizon) {
+        addSeamSplitPolylines(groups.hemi2D.ground, projectDirections(getHorizonDirections(), true), Infinity, materials.horizon, -0.8);
     }
+}
+
+/**
+ * Draws both vanishing points of each user-added direction into hemi2D, solid for the sense nearer the gaze,
+ * and the guide through its anchor: the line's image swept from one vanishing point to the other
+ * @param {Function} projectDirection - Maps a world viewing direction to a 2D point, or null where it has none
+ */
+function updateHemiVanishingDirections(groups, projectDirection) {
+    state.vanishingDirections.forEach(entry => {
+        const senses = [entry.direction, entry.direction.clone().negate()]
+            .sort((a, b) => directionToViewFrame(a).z - directionToViewFrame(b).z);
+        senses.forEach((direction, sideIndex) => {
+            const vp = projectDirection(direction);
+            if (!vp) return;
+            
+            const vpMaterial = new THREE.MeshBasicMaterial({ 
+                color: entry.color,
+                opacity: sideIndex === 0 ? 1.0 : 0.7,
+                transparent: sideIndex !== 0
+            });
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), vpMaterial);
+            vpMesh.position.set(vp.x, vp.y, 0.1);
+            groups.hemi2D.vanishingPoints.add(vpMesh);
+        });
+        
+        const guideMaterial = createMaterial('GuideMaterial', { color: entry.color, opacity: 0.7 });
+        const samples = sampleLineDirections(entry.anchor, entry.direction, state.viewpointPosition, config.VANISHING_DIRECTIONS.guideSamples)
+            .map(direction => projectDirection(direction));
+        addSeamSplitPolylines(groups.hemi2D.extensionLines, samples, Infinity, guideMaterial, -0.1);
+    });
+}
+
+/**
+ * Points along each edge of a closed outline, so its image can bend between the corners
+ */
+function sampleOutline(vertices, samples = config.SHADOWS.edgeSamples) {
+    const points = [];
+    vertices.forEach((start, i) => {
+        const end = vertices[(i + 1) % vertices.length];
+        for (let s = 0; s < samples; s++) {
+            points.push(start.clone().lerp(end, s / samples));
+        }
+    });
+    return points;
+}
+
+/**
+ * Draws the shadows on the floor into hemi2D as curved regions, and the light's vanishing points in the style
+ * of the edge families' (a sun's both senses, solid for the one nearer the gaze)
+ * @param {Function} projectOutline - Maps a world outline to its sampled 2D image, or null where it has none
+ * @param {Function} projectDirection - Maps a world viewing direction to a 2D point, or null where it has none
+ */
+function updateHemiShadows(groups, worldVertices, projectOutline, projectDirection) {
+    if (!state.showShadows) return;
+    
+    getShadowPolygons(worldVertices).forEach(polygon => {
+        const outline = projectOutline(polygon.outline);
+        if (outline) {
+            groups.hemi2D.shadows.add(createShadowMesh(outline));
+        }
+    });
     
+    getLightImageDirections().forEach(entry => {
+        const senses = entry.bothSenses
+            ? [entry.direction, entry.direction.clone().negate()].sort((a, b) => directionToViewFrame(a).z - directionToViewFrame(b).z)
+            : [entry.direction];
+        senses.forEach((direction, sideIndex) => {
+            const vp = projectDirection(direction);
+            if (!vp) return;
+            
+            const vpMaterial = new THREE.MeshBasicMaterial({ 
+                color: config.SHADOWS.lightColor,
+                opacity: sideIndex === 0 ? 1.0 : 0.7,
+                transparent: sideIndex !== 0
+            });
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), vpMaterial);
+            vpMesh.position.set(vp.x, vp.y, 0.1);
+            groups.hemi2D.vanishingPoints.add(vpMesh);
+        });
+    });
+}
+
+/**
+ * World viewing direction whose vanishing point lies at a point of hemi2D: the inverse of the vanishing point
+ * mapping for a centred eye (outside the boundary, the rear sense), or the ray to that point of a fixed dome.
+ * It inverts the direct formula, so for mappings other than stereographic the marker the arc construction draws
+ * for the direction can sit slightly off the point
+ * @returns {THREE.Vector3|null} Unit direction; null where no direction lands
+ */
+export function hemi2DPointToDirection(point) {
+    const isFixedDome = state.hemisphereMode === 'fixed';
+    if (isFixedDome && Math.hypot(point.x, point.y) > getHemi2DBoundaryRadius()) {
+        return null;
+    }
+
+    const viewDirection = hemisphericalImageDirection(point, state.hemisphereRadius, state.fisheyeMapping);
+    if (!viewDirection) {
+        return null;
+    }
+    const direction = domeFrameToWorld(new THREE.Vector3(viewDirection.x, viewDirection.y, viewDirection.z));
+    if (isFixedDome) {
+        const domePoint = state.hemisphereCenter.clone().addScaledVector(direction, state.hemisphereRadius);
+        return domePoint.sub(state.viewpointPosition).normalize();
+    }
+    return direction;
+}
+
+// Number of samples used to trace edges and guide lines across an off-centre dome
+const DOME_EDGE_SAMPLES = 64;
+const DOME_GUIDE_SAMPLES = 128;
+
+/**
+ * Maps a point on the dome to the 2D disc, unwrapping about the dome centre in the frame it was pinned with
+ */
+function domePointTo2D(hitPoint, domeCenter) {
+    const localPoint = directionToDomeFrame(hitPoint.clone().sub(domeCenter));
+    return postelProjection(localPoint, new THREE.Vector3(), state.hemisphereRadius);
+}
 
+/**
+ * Fixed dome (planetarium) mode: the hemisphere stays put in the world while the viewpoint moves inside it.
+ * Every vertex, edge sample and vanishing direction is found by casting a ray from the viewpoint onto the dome
+ */
+function updateFixedDomeProjection(scenes, groups, worldVertices, domeCenter) {
+    const viewpoint = state.viewpointPosition;
+    const radius = state.hemisphereRadius;
+    
+    const projectDirection = (direction) => {
+        const hit = intersectRayWithDome(viewpoint, direction, domeCenter, radius);
+        return hit ? domePointTo2D(hit, domeCenter) : null;
+    };
+    const projectPoint = (worldPoint) => projectDirection(worldPoint.clone().sub(viewpoint));
+    
+    // Floor grid and horizon: viewing directions traced onto the dome, broken where they miss it
+    updateHemiGround(groups, (worldDirections, closed) =>
+        (closed ? [...worldDirections, worldDirections[0]] : worldDirections).map(projectDirection));
+    updateHemiVanishingDirections(groups, projectDirection);
+    updateHemiShadows(groups, worldVertices, (outline) => {
+        const points = sampleOutline(outline).map(projectPoint);
+        return points.some(point => !point) ? null : points;
+    }, projectDirection);
+    
+    // Projected viewpoint marker: where the gaze meets the dome
+    const gazeImage = projectDirection(viewFrameToWorld(new THREE.Vector3(0, 0, -1)));
+    if (gazeImage) {
+        updateProjectedViewpointMarker('hemi2D', gazeImage.x, gazeImage.y, scenes.hemi2D);
+    }
+    
+    // Vertices and their rays, ending on the dome surface
+    const hitMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.projectionLine });
+    const projectedVertices = worldVertices.map(worldVertex => {
+        const direction = worldVertex.clone().sub(viewpoint);
+        const hit = intersectRayWithDome(viewpoint, direction, domeCenter, radius);
+        
+        if (state.showRedRays) {
+            const rayEnd = hit || viewpoint.clone().add(direction.clone().normalize().multiplyScalar(30));
+            const redRay = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([viewpoint, worldVertex.clone(), rayEnd]),
+                RAY_MATERIALS.RED_EXTENDED
+            );
+            state.groups.master3D.projectionLines.add(redRay);
+        }
+        if (hit) {
+            const hitMarker = new THREE.Mesh(new THREE.SphereGeometry(0.08, 12, 12), hitMaterial);
+            hitMarker.position.copy(hit);
+            state.groups.master3D.projectionLines.add(hitMarker);
+        }
+        
+        return hit ? domePointTo2D(hit, domeCenter) : null;
+    });
+    
+    const vertexMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.cubeEdge });
+    projectedVertices.forEach(vertex => {
+        if (vertex) {
+            const vertexMesh = new THREE.Mesh(new THREE.CircleGeometry(0.1, 16), vertexMaterial);
+            vertexMesh.position.set(vertex.x, vertex.y, 0.1);
+            groups.hemi2D.projectedCubeLines.add(vertexMesh);
+        }
+    });
+    
+    // Filled faces: outlines sampled along their edges, skipped if any part misses the dome
+    if (state.showFaces) {
+        getShadedFaces(worldVertices).forEach((face, paintOrder) => {
+            const outline = [];
+            face.vertices.forEach((start, i) => {
+                const end = face.vertices[(i + 1) % face.vertices.length];
+                for (let s = 0; s < DOME_EDGE_SAMPLES; s++) {
+                    outline.push(projectPoint(start.clone().lerp(end, s / DOME_EDGE_SAMPLES)));
+                }
+            });
+            if (outline.some(point => !point)) return;
+            groups.hemi2D.projectedFaces.add(createFaceMesh(outline, face.color, paintOrder));
+        });
+    }
+    
+    // Edges: off-centre images of straight lines are no longer circular arcs, so sample them
+    const edges = state.model.edges;
+    const edgeMaterial = new THREE.LineBasicMaterial({ 
+        color: config.COLORS.cubeEdge,
+        linewidth: 3
+    });
+    const hiddenEdgeMaterial = createHiddenEdgeMaterial(edgeMaterial);
+    const edgeVisibilityRuns = getEdgeVisibilityRuns(worldVertices);
+    for (let i = 0; i < edges.length; i += 2) {
+        const start = worldVertices[edges[i]];
+        const end = worldVertices[edges[i + 1]];
+        edgeVisibilityRuns[i / 2].forEach(run => {
+            const material = run.visible ? edgeMaterial : hiddenEdgeMaterial;
+            if (!material) return;
+            
+            const runSamples = Math.max(1, Math.ceil(DOME_EDGE_SAMPLES * (run.t1 - run.t0)));
+            const samples = [];
+            for (let s = 0; s <= runSamples; s++) {
+                const t = run.t0 + (run.t1 - run.t0) * s / runSamples;
+                samples.push(projectPoint(start.clone().lerp(end, t)));
+            }
+            addSeamSplitPolylines(groups.hemi2D.projectedCubeLines, samples, Infinity, material, 0.2);
+        });
+    }
+    
+    // Curved silhouettes: contour points traced onto the dome, split where they miss it
+    getPrimitiveOutlines().forEach(outline => {
+        const points = outline.closed ? [...outline.points, outline.points[0]] : outline.points;
+        addSeamSplitPolylines(groups.hemi2D.primitiveOutlines, points.map(projectPoint), Infinity, edgeMaterial, 0.2);
+    });
+    
+    // Vanishing points: rays from the viewpoint parallel to each edge direction (both senses)
+    const axisDirections = getModelAxes(worldVertices).map(axis => axis.direction);
+    // Grid sheets are drawn for a centred eye, so they only need the directions (in the dome's frame, as drawn here)
+    state.vanishingPoints.hemi = axisDirections.map((direction, axisIndex) => ({
+        direction: directionToDomeFrame(direction).normalize(),
+        color: getAxisColors(axisIndex).vanishingPoint
+    }));
+    const edgeAxisMapping = state.model.edgeAxisMapping;
+    
+    axisDirections.forEach((direction, axisIndex) => {
+        [direction, direction.clone().negate()].forEach((vpDirection, sideIndex) => {
+            const vp = projectDirection(vpDirection);
+            if (!vp) return;
+            
+            const vpMaterial = new THREE.MeshBasicMaterial({ 
+                color: getAxisColors(axisIndex).vanishingPoint,
+                opacity: sideIndex === 0 ? 1.0 : 0.7,
+                transparent: sideIndex !== 0
+            });
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), vpMaterial);
+            vpMesh.position.set(vp.x, vp.y, 0.1);
+            vpMesh.userData.familyIndex = axisIndex;
+            groups.hemi2D.vanishingPoints.add(vpMesh);
+        });
+        
+        // Guide curves: each edge extended to infinity in both directions
+        const guideMaterial = new THREE.LineBasicMaterial({ 
+            color: getAxisColors(axisIndex).guide,
+            opacity: 0.7,
+            transparent: true
+        });
+        const axisVertices = edgeAxisMapping[axisIndex];
+        for (let i = 0; i < axisVertices.length; i += 2) {
+            const samples = sampleLineDirections(worldVertices[axisVertices[i]], direction, viewpoint, DOME_GUIDE_SAMPLES)
+                .map(sampleDirection => projectDirection(sampleDirection));
+            addSeamSplitPolylines(groups.hemi2D.extensionLines, samples, Infinity, guideMaterial, -0.1);
+        }
+    });
 }
 
 // Helper function to find circle center and radius from three points
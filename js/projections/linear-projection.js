@@ -1,14 +1,38 @@
-import { state } from '../state.js';
+import { state, getFocalDistance, getImagePlaneCenter, getViewQuaternion, toViewFrame, directionToViewFrame, viewFrameToWorld, clipSegmentToViewFront, clipPolygonToViewFront, clipPolylineToViewFront } from '../state.js';
 import { config } from '../config.js';
-import { createMaterial, clearGroup, updateCubeInScene, updateViewpointInScene, updateProjectedViewpointMarker, getCachedWorldVertices, updateMaster3DScene, RAY_MATERIALS } from '../utils/three-utils.js';
+import { createMaterial, clearGroup, updateViewpointInScene, updateProjectedViewpointMarker, getCachedWorldVertices, updateMaster3DScene, RAY_MATERIALS } from '../utils/three-utils.js';
+import { getEdgeVisibilityRuns, createHiddenEdgeMaterial } from '../utils/visibility.js';
+import { getShadedFaces, createFaceMesh } from '../utils/face-shading.js';
+import { projectToImagePlane, linearVanishingPoint, linearImageDirection, linearHorizon } from './projection-math.js';
+import { getModelAxes } from '../utils/polyhedron.js';
+import { getPrimitiveOutlines } from '../utils/primitives.js';
+import { updateOutlineReadout } from '../ui/outline-readout.js';
+import { getGroundGridLines, createGroundMaterials } from '../utils/ground-plane.js';
+import { getShadowPolygons, getLightImageDirections, createShadowMesh } from '../utils/shadows.js';
 
 /**
  * Linear Perspective Projection Module
  * Handles all linear perspective calculations and visual updates
  */
 
-export function getImagePlaneZ() {
-    return state.viewpointPosition.z - state.hemisphereRadius;
+// Edges are clipped this far in front of the viewpoint; a clip point there projects
+// far outside the view, so the cut edge runs out along its vanishing direction
+const NEAR_CLIP_DISTANCE = 1e-3;
+
+/**
+ * Central projection of a camera-frame point onto the image plane (gaze foot at the origin)
+ */
+function projectViewPoint(viewPoint, imagePlaneDistance) {
+    const projected = projectToImagePlane(viewPoint, imagePlaneDistance);
+    return projected ? new THREE.Vector2(projected.x, projected.y) : new THREE.Vector2(Infinity, Infinity);
+}
+
+/**
+ * World direction whose vanishing point lies at a point of linear2D (the sense facing the gaze)
+ */
+export function linear2DPointToDirection(point) {
+    const viewDirection = linearImageDirection(point, getFocalDistance());
+    return viewFrameToWorld(new THREE.Vector3(viewDirection.x, viewDirection.y, viewDirection.z));
 }
 
 export function createLinear2DBoundary(scene) {
@@ -44,8 +68,9 @@ export function updateLinearProjection(scenes, groups, imagePlane) {
         customRayHandling: true  // We'll handle rays ourselves with complementary system
     });
     
-    // Update image plane size, position and center at viewpoint height
-    const currentImagePlaneZ = getImagePlaneZ();
+    // Update image plane size, position and center along the gaze
+    // Projection happens in the camera frame, where the image plane sits at z = -f
+    const imagePlaneDistance = getFocalDistance();
     const newPlaneSize = 2 * state.hemisphereRadius;
     
     // Update image plane geometry if size changed or shape changed
@@ -101,8 +126,9 @@ export function updateLinearProjection(scenes, groups, imagePlane) {
         imagePlane.userData.shape = state.linearProjectionShape;
     }
     
-    // Position image plane at viewpoint height and correct Z distance
-    imagePlane.position.set(state.viewpointPosition.x, state.viewpointPosition.y, currentImagePlaneZ);
+    // Position image plane on the gaze and turn it to face the viewpoint
+    imagePlane.position.copy(getImagePlaneCenter());
+    imagePlane.quaternion.copy(getViewQuaternion());
     
     // Update 2D boundary - fixed at origin in reference frame
     if (window.linearBoundary) {
@@ -128,24 +154,61 @@ export function updateLinearProjection(scenes, groups, imagePlane) {
     updateProjectedViewpointMarker('linear2D', 0, 0, scenes.linear2D);
     
     // Calculate 2D projections (cube vertices already available from shared function)
-    const projectedVertices = [];
+    // Vertices on or behind the near plane have no image and are marked Infinity
+    const viewVertices = worldVertices.map(worldVertex => toViewFrame(worldVertex));
+    const projectedVertices = viewVertices.map(viewVertex =>
+        viewVertex.z <= -NEAR_CLIP_DISTANCE
+            ? projectViewPoint(viewVertex, imagePlaneDistance)
+            : new THREE.Vector2(Infinity, Infinity)
+    );
 
-    worldVertices.forEach(worldVertex => {
-        const x = worldVertex.x - state.viewpointPosition.x;
-        const y = worldVertex.y - state.viewpointPosition.y;
-        const z = worldVertex.z - state.viewpointPosition.z;
-
-        if (z !== 0) {
-             const x_proj = x * (currentImagePlaneZ - state.viewpointPosition.z) / z + state.viewpointPosition.x;
-             const y_proj = y * (currentImagePlaneZ - state.viewpointPosition.z) / z + state.viewpointPosition.y;
-             // Transform to reference frame where viewpoint projection is at origin
-             const x_ref = x_proj - state.viewpointPosition.x;
-             const y_ref = y_proj - state.viewpointPosition.y;
-             projectedVertices.push(new THREE.Vector2(x_ref, y_ref));
-        } else {
-             projectedVertices.push(new THREE.Vector2(Infinity, Infinity));
+    // Floor grid and horizon, underneath everything else
+    const groundMaterials = createGroundMaterials();
+    if (state.showGroundGrid) {
+        getGroundGridLines().forEach(gridLine => {
+            const visibleLine = clipSegmentToViewFront(toViewFrame(gridLine.start), toViewFrame(gridLine.end), -NEAR_CLIP_DISTANCE);
+            if (!visibleLine) return;
+
+            const p1 = projectViewPoint(visibleLine.start, imagePlaneDistance);
+            const p2 = projectViewPoint(visibleLine.end, imagePlaneDistance);
+            groups.linear2D.ground.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(p1.x, p1.y, -0.9),
+                new THREE.Vector3(p2.x, p2.y, -0.9)
+            ]), gridLine.center ? groundMaterials.center : groundMaterials.grid));
+        });
+    }
+    if (state.showHorizon) {
+        // Vanishing line of the ground plane: the plane through the eye parallel to it cuts the image here
+        const horizon = linearHorizon(directionToViewFrame(new THREE.Vector3(0, 1, 0)), imagePlaneDistance);
+        if (horizon) {
+            const reach = config.GROUND.horizonHalfLength;
+            groups.linear2D.ground.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(horizon.point.x - reach * horizon.direction.x, horizon.point.y - reach * horizon.direction.y, -0.8),
+                new THREE.Vector3(horizon.point.x + reach * horizon.direction.x, horizon.point.y + reach * horizon.direction.y, -0.8)
+            ]), groundMaterials.horizon));
         }
-    });
+    }
+
+    // Shadows on the floor, and the light's vanishing points: a sun's and its foot's (either sense of a
+    // direction has the same one), or the images of a point light and the floor beneath it
+    if (state.showShadows) {
+        getShadowPolygons(worldVertices).forEach(polygon => {
+            const clippedShadow = clipPolygonToViewFront(polygon.outline.map(point => ({ point: toViewFrame(point) })), -NEAR_CLIP_DISTANCE);
+            if (clippedShadow.length < 3) return;
+
+            groups.linear2D.shadows.add(createShadowMesh(clippedShadow.map(vertex => projectViewPoint(vertex.point, imagePlaneDistance))));
+        });
+        getLightImageDirections().forEach(entry => {
+            const viewDirection = directionToViewFrame(entry.direction);
+            if (!entry.bothSenses && viewDirection.z >= 0) return;
+
+            const vanishing = linearVanishingPoint(viewDirection, imagePlaneDistance);
+            if (!vanishing) return;
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), createMaterial('VanishingPointMaterial', { color: config.SHADOWS.lightColor }));
+            vpMesh.position.set(vanishing.x, vanishing.y, 0);
+            groups.linear2D.vanishingPoints.add(vpMesh);
+        });
+    }
 
     // Add ray visualization (full red rays only)
     worldVertices.forEach(worldVertex => {
@@ -160,59 +223,89 @@ export function updateLinearProjection(scenes, groups, imagePlane) {
         // If showRedRays is false, no rays are drawn at all
     });
 
+    // Filled faces, painted far to near underneath the edges
+    if (state.showFaces) {
+        getShadedFaces(worldVertices).forEach((face, paintOrder) => {
+            const clippedFace = clipPolygonToViewFront(face.indices.map(index => ({ point: viewVertices[index] })), -NEAR_CLIP_DISTANCE);
+            if (clippedFace.length < 3) return;
+
+            const outline = clippedFace.map(vertex => projectViewPoint(vertex.point, imagePlaneDistance));
+            groups.linear2D.projectedFaces.add(createFaceMesh(outline, face.color, paintOrder));
+        });
+    }
+
     // Draw projected cube edges
-    const edges = config.CUBE_MAPPINGS.edges;
+    const edges = state.model.edges;
     const edgeMaterial = new THREE.LineBasicMaterial({ 
         color: config.COLORS.cubeEdge, // Use same color as hemispherical projection
         linewidth: 3 // Make edges thicker to ensure they're visible on top
     });
+    const hiddenEdgeMaterial = createHiddenEdgeMaterial(edgeMaterial);
+    const edgeVisibilityRuns = getEdgeVisibilityRuns(worldVertices);
     for (let i = 0; i < edges.length; i += 2) {
-        const p1 = projectedVertices[edges[i]];
-        const p2 = projectedVertices[edges[i+1]];
-        if (isFinite(p1.x) && isFinite(p1.y) && isFinite(p2.x) && isFinite(p2.y)) {
+        // Each edge is drawn as runs, split where it passes behind a front face
+        edgeVisibilityRuns[i / 2].forEach(run => {
+            const material = run.visible ? edgeMaterial : hiddenEdgeMaterial;
+            if (!material) return;
+
+            const runStart = viewVertices[edges[i]].clone().lerp(viewVertices[edges[i+1]], run.t0);
+            const runEnd = viewVertices[edges[i]].clone().lerp(viewVertices[edges[i+1]], run.t1);
+
+            // Clip against the near plane: an edge crossing it runs off towards its vanishing direction
+            const visibleEdge = clipSegmentToViewFront(runStart, runEnd, -NEAR_CLIP_DISTANCE);
+            if (!visibleEdge) return; // Entirely behind the viewer
+
+            const p1 = projectViewPoint(visibleEdge.start, imagePlaneDistance);
+            const p2 = projectViewPoint(visibleEdge.end, imagePlaneDistance);
             const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([
                 new THREE.Vector3(p1.x, p1.y, 0.2), // Higher z-index to render on top
                 new THREE.Vector3(p2.x, p2.y, 0.2)
-            ]), edgeMaterial);
+            ]), material);
+            if (material.isLineDashedMaterial) {
+                line.computeLineDistances();
+            }
             groups.linear2D.projectedCubeLines.add(line);
-        }
+        });
     }
 
-    // Calculate and draw vanishing points
-    const dirX = new THREE.Vector3().subVectors(worldVertices[1], worldVertices[0]);
-    const dirY = new THREE.Vector3().subVectors(worldVertices[3], worldVertices[0]);
-    const dirZ = new THREE.Vector3().subVectors(worldVertices[4], worldVertices[0]);
-
-    const vanishingPoints = [
-        { dir: dirX, color: config.COLORS.vanishingPoint.red, lightColor: config.COLORS.guide.red }, 
-        { dir: dirY, color: config.COLORS.vanishingPoint.green, lightColor: config.COLORS.guide.green }, 
-        { dir: dirZ, color: config.COLORS.vanishingPoint.blue, lightColor: config.COLORS.guide.blue }  
-    ].map(item => {
-        let vp = new THREE.Vector2(Infinity, Infinity);
-        const dz = item.dir.z;
-        if (Math.abs(dz) > 0.0001) {
-            const t = (currentImagePlaneZ - state.viewpointPosition.z) / dz;
-            const vp_x = state.viewpointPosition.x + t * item.dir.x;
-            const vp_y = state.viewpointPosition.y + t * item.dir.y;
-            // Transform to reference frame where viewpoint projection is at origin
-            vp.x = vp_x - state.viewpointPosition.x;
-            vp.y = vp_y - state.viewpointPosition.y;
-        }
-        return { point: vp, color: item.color, lightColor: item.lightColor };
+    // Outline conics of spheres, cylinders and discs: their analytic contours projected point by point
+    const primitiveOutlines = getPrimitiveOutlines();
+    primitiveOutlines.forEach(outline => {
+        const viewPoints = outline.points.map(point => toViewFrame(point));
+        clipPolylineToViewFront(viewPoints, outline.closed, -NEAR_CLIP_DISTANCE).forEach(run => {
+            const points = run.map(viewPoint => {
+                const projected = projectViewPoint(viewPoint, imagePlaneDistance);
+                return new THREE.Vector3(projected.x, projected.y, 0.2);
+            });
+            groups.linear2D.primitiveOutlines.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), edgeMaterial));
+        });
+    });
+    updateOutlineReadout(primitiveOutlines);
+
+    // Calculate and draw vanishing points, one per family of parallel edges
+    const vanishingPoints = getModelAxes(worldVertices).map(axis => {
+        // Edge direction in the camera frame - tilting the view gives vertical edges a finite vanishing point
+        const direction = directionToViewFrame(axis.direction).normalize();
+        const vanishing = linearVanishingPoint(direction, imagePlaneDistance);
+        const vp = vanishing ? new THREE.Vector2(vanishing.x, vanishing.y) : new THREE.Vector2(Infinity, Infinity);
+        return { point: vp, direction, color: axis.vanishingPoint, lightColor: axis.guide };
     });
+    state.vanishingPoints.linear = vanishingPoints;
 
-    vanishingPoints.forEach(vpData => {
+    vanishingPoints.forEach((vpData, familyIndex) => {
         if (isFinite(vpData.point.x) && isFinite(vpData.point.y)) {
             const vpGeom = new THREE.CircleGeometry(0.15, 16);
             const vpMat = createMaterial('VanishingPointMaterial', { color: vpData.color });
             const vpMesh = new THREE.Mesh(vpGeom, vpMat);
             vpMesh.position.set(vpData.point.x, vpData.point.y, 0);
+            // Lets the marker be dragged to re-orient its edge family (see events/mouse-handlers.js)
+            vpMesh.userData.familyIndex = familyIndex;
             groups.linear2D.vanishingPoints.add(vpMesh);
         }
     });
 
     // Draw guide lines from cube edges to vanishing points
-    const edgeAxisMapping = config.CUBE_MAPPINGS.edgeAxisMapping;
+    const edgeAxisMapping = state.model.edgeAxisMapping;
 
     vanishingPoints.forEach((vpData, axisIndex) => {
         if (!isFinite(vpData.point.x) || !isFinite(vpData.point.y)) return;
@@ -232,4 +325,30 @@ export function updateLinearProjection(scenes, groups, imagePlane) {
             }
         }
     });
+
+    // User-added directions: a vanishing point each, and the image of the line through its anchor, which runs
+    // out from the vanishing point and leaves the view where the line passes beside the viewer
+    const reach = config.VANISHING_DIRECTIONS.guideReach;
+    state.vanishingDirections.forEach(entry => {
+        const viewDirection = directionToViewFrame(entry.direction);
+        const vanishing = linearVanishingPoint(viewDirection, imagePlaneDistance);
+        if (vanishing) {
+            const vpMesh = new THREE.Mesh(new THREE.CircleGeometry(0.15, 16), createMaterial('VanishingPointMaterial', { color: entry.color }));
+            vpMesh.position.set(vanishing.x, vanishing.y, 0);
+            groups.linear2D.vanishingPoints.add(vpMesh);
+        }
+
+        // The end the line recedes towards is drawn at its vanishing point; the other end, or the cut where the line
+        // passes beside the viewer, is projected
+        const guideMaterial = createMaterial('GuideMaterial', { color: entry.color, opacity: 0.7 });
+        const ends = [-reach, reach].map(t => toViewFrame(entry.anchor.clone().addScaledVector(entry.direction, t)));
+        const recedingEnd = ends[viewDirection.z < 0 ? 1 : 0];
+        clipPolylineToViewFront(ends, false, -NEAR_CLIP_DISTANCE).forEach(run => {
+            const points = run.map(viewPoint => {
+                const projected = vanishing && viewPoint.equals(recedingEnd) ? vanishing : projectViewPoint(viewPoint, imagePlaneDistance);
+                return new THREE.Vector3(projected.x, projected.y, 0);
+            });
+            groups.linear2D.extensionLines.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), guideMaterial));
+        });
+    });
 } 
\ No newline at end of file
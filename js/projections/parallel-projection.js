@@ -0,0 +1,100 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { createMaterial, clearGroup, getCachedWorldVertices } from '../utils/three-utils.js';
+import { getModelAxes } from '../utils/polyhedron.js';
+import { parallelViewFrame, parallelEyeDistance, projectToParallelView, parallelViewVanishingPoint } from './projection-math.js';
+import { updateParallelReadout } from '../ui/parallel-readout.js';
+
+/**
+ * Parallel Projection Module
+ * Axonometric (isometric, dimetric, trimetric) and oblique (cavalier, cabinet) views of the objects. The viewer
+ * can be brought in from infinity along the view's rays, which turns the drawing into a linear perspective;
+ * as the viewer moves back out its vanishing points run off and are gone once it reaches infinity
+ */
+
+/**
+ * Picture frame of the chosen preset (see config.PARALLEL_PRESETS)
+ */
+export function getParallelViewFrame() {
+    const toRadians = Math.PI / 180;
+    const preset = config.PARALLEL_PRESETS[state.parallelPreset];
+    const oblique = preset.oblique
+        ? { scale: preset.oblique.scale, angle: preset.oblique.angle * toRadians }
+        : null;
+    return parallelViewFrame(preset.yaw * toRadians, preset.pitch * toRadians, oblique);
+}
+
+export function updateParallelProjection(scenes, groups) {
+    if (!scenes.parallel2D || !groups.parallel2D) {
+        return;
+    }
+
+    Object.values(groups.parallel2D).forEach(group => clearGroup(group));
+
+    const worldVertices = getCachedWorldVertices();
+    if (worldVertices.length === 0) {
+        updateParallelReadout(null, []);
+        return;
+    }
+
+    // The picture plane passes through the middle of the objects, so they keep their size as the viewer moves
+    const target = worldVertices.reduce((sum, vertex) => sum.add(vertex), new THREE.Vector3())
+        .multiplyScalar(1 / worldVertices.length);
+    const frame = getParallelViewFrame();
+    const eyeDistance = parallelEyeDistance(state.parallelDistance, config.PARALLEL.nearDistance);
+    const projectedVertices = worldVertices.map(vertex => projectToParallelView(vertex, target, frame, eyeDistance));
+
+    // Draw projected edges; an edge reaching past a close viewer is left out
+    const edges = state.model.edges;
+    const edgeMaterial = new THREE.LineBasicMaterial({
+        color: config.COLORS.cubeEdge,
+        linewidth: 3
+    });
+    for (let i = 0; i < edges.length; i += 2) {
+        const p1 = projectedVertices[edges[i]];
+        const p2 = projectedVertices[edges[i + 1]];
+        if (!p1 || !p2) continue;
+
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(p1.x, p1.y, 0.2),
+            new THREE.Vector3(p2.x, p2.y, 0.2)
+        ]), edgeMaterial);
+        groups.parallel2D.projectedCubeLines.add(line);
+    }
+
+    // Vanishing points, one per family of parallel edges, while the viewer is at a finite distance
+    const vanishingPoints = getModelAxes(worldVertices).map(axis => ({
+        point: parallelViewVanishingPoint(axis.direction, frame, eyeDistance),
+        color: axis.vanishingPoint,
+        lightColor: axis.guide
+    }));
+
+    // Draw them, with guide lines from the edges' ends to the point their family converges on
+    const edgeAxisMapping = state.model.edgeAxisMapping;
+
+    vanishingPoints.forEach((vpData, axisIndex) => {
+        if (!vpData.point) return;
+
+        const vpMesh = new THREE.Mesh(
+            new THREE.CircleGeometry(0.15, 16),
+            createMaterial('VanishingPointMaterial', { color: vpData.color })
+        );
+        vpMesh.position.set(vpData.point.x, vpData.point.y, 0);
+        groups.parallel2D.vanishingPoints.add(vpMesh);
+
+        const guideMaterial = createMaterial('GuideMaterial', { color: vpData.lightColor });
+        const axisVertices = edgeAxisMapping[axisIndex];
+        if (!axisVertices) return;
+        axisVertices.forEach(vertexIndex => {
+            const p1 = projectedVertices[vertexIndex];
+            if (!p1) return;
+
+            groups.parallel2D.extensionLines.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(p1.x, p1.y, 0),
+                new THREE.Vector3(vpData.point.x, vpData.point.y, 0)
+            ]), guideMaterial));
+        });
+    });
+
+    updateParallelReadout(eyeDistance, vanishingPoints.filter(vpData => vpData.point).map(vpData => vpData.point));
+}
@@ -1,11 +1,18 @@
 import { updateLinearProjection } from './linear-projection.js';
 import { updateHemisphericalProjection } from './hemispherical-projection.js';
+import { updateEquirectangularProjection } from './equirectangular-projection.js';
+import { updateCylindricalProjection } from './cylindrical-projection.js';
+import { updateParallelProjection } from './parallel-projection.js';
 import { state } from '../state.js';
 import { clearGroup } from '../utils/three-utils.js';
+import { getSceneSignature } from '../scenes/scene-objects.js';
+import { getVanishingDirectionSignature } from '../scenes/vanishing-directions.js';
+import { updateHemiRayTrace } from '../rendering/hemi-ray-trace.js';
+import { updateShadowsInScene } from '../utils/shadows.js';
 
 /**
  * Projection Manager Module
- * Coordinates linear and hemispherical projections
+ * Coordinates linear, hemispherical, equirectangular, cylindrical and parallel projections
  */
 
 export class ProjectionManager {
@@ -25,7 +32,12 @@ export class ProjectionManager {
             ? `${state.cubeLocalRotation.x},${state.cubeLocalRotation.y},${state.cubeLocalRotation.z}`
             : `${state.cubeEulerAngles.alpha},${state.cubeEulerAngles.beta},${state.cubeEulerAngles.gamma}`;
         
-        return `${state.viewpointPosition.x},${state.viewpointPosition.y},${state.viewpointPosition.z},${state.hemisphereRadius},${rotationData},${state.rotationMode},${state.showRedRays},${state.linearProjectionShape}`;
+        const view = state.viewOrientation;
+        const dome = state.hemisphereCenter;
+        const fit = state.fisheyeFit;
+        const light = state.lightPosition;
+        
+        return `${state.viewpointPosition.x},${state.viewpointPosition.y},${state.viewpointPosition.z},${view.yaw},${view.pitch},${view.roll},${state.hemisphereRadius},${state.focalDistance},${state.focalLocked},${rotationData},${state.rotationMode},${state.showRedRays},${state.linearProjectionShape},${state.fisheyeMapping},${state.hemisphereMode},${state.hiddenEdgeStyle},${state.showFaces},${state.showRayTrace},${state.showDiagnostics},${state.showGroundGrid},${state.showHorizon},${state.groundExtent},${state.groundSpacing},${getVanishingDirectionSignature()},${getSceneSignature()},${dome.x},${dome.y},${dome.z},${fit.centerX},${fit.centerY},${fit.radius},${fit.rotation},${state.showShadows},${state.lightType},${light.x},${light.y},${light.z},${state.parallelPreset},${state.parallelDistance}`;
     }
 
     updateProjections(scenes, groups, cube, viewpointSphere, imagePlane, hemisphere) {
@@ -41,9 +53,17 @@ export class ProjectionManager {
             clearGroup(state.groups.master3D.projectionLines);
         }
         
+        // The light and its shadows in the 3D views
+        updateShadowsInScene();
+        
         // Always update both projections when needed to ensure all rays are added back
         updateLinearProjection(scenes, groups, imagePlane);
         updateHemisphericalProjection(scenes, groups, hemisphere);
+        // The ray-traced hemi2D image arrives from its worker later, and only the 2D views need redrawing then
+        updateHemiRayTrace(() => this.scheduleUpdate('zoom2D'));
+        updateEquirectangularProjection(scenes, groups);
+        updateCylindricalProjection(scenes, groups);
+        updateParallelProjection(scenes, groups);
         
         this.needsUpdate.linear = false;
         this.needsUpdate.hemi = false;
@@ -69,6 +89,7 @@ export class ProjectionManager {
             // Only 3D viewports need update for camera changes
             state.viewportDirty.linear3D = true;
             state.viewportDirty.hemi3D = true;
+            state.viewportDirty.cylinder3D = true;
             // Camera changes also need projection updates if viewpoint changed
             this.needsUpdate.linear = true;
             this.needsUpdate.hemi = true;
@@ -76,6 +97,9 @@ export class ProjectionManager {
             // Only 2D viewports need update for zoom changes
             state.viewportDirty.linear2D = true;
             state.viewportDirty.hemi2D = true;
+            state.viewportDirty.equirect2D = true;
+            state.viewportDirty.cylinder2D = true;
+            state.viewportDirty.parallel2D = true;
         }
         
         this.needsUpdate.render = true;
@@ -0,0 +1,734 @@
+/**
+ * Projection Math Module
+ * The geometry behind the linear and hemispherical views, free of THREE, state and the DOM.
+ * Works on plain {x, y, z} / {x, y} objects and returns plain data, so it runs (and is tested) in Node
+ */
+
+// Tolerances shared with the drawing code
+const ANGLE_TOLERANCE = 0.001;
+const CENTER_TOLERANCE = 0.001;
+
+// ===== Vector helpers =====
+
+export function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+export function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function length(v) {
+    return Math.sqrt(dot(v, v));
+}
+
+/**
+ * Unit vector along v; the zero vector stays zero (as THREE.Vector3.normalize does)
+ */
+export function normalize(v) {
+    // Scale by the reciprocal, as THREE does, so results match the drawing code bit for bit
+    const scale = 1 / (length(v) || 1);
+    return { x: v.x * scale, y: v.y * scale, z: v.z * scale };
+}
+
+// ===== Radial mappings =====
+
+/**
+ * Maps a polar angle α (angle between a ray and the view axis) to a radius in the 2D image
+ * @param {number} alpha - Polar angle in radians
+ * @param {number} hemisphereRadius - Radius R of the hemisphere
+ * @param {string} mapping - 'equidistant', 'stereographic', 'equisolid' or 'orthographic'
+ * @returns {number} Radial distance from the image centre
+ */
+export function mapPolarAngle(alpha, hemisphereRadius, mapping = 'equidistant') {
+    switch (mapping) {
+        case 'stereographic':
+            return 2 * hemisphereRadius * Math.tan(alpha / 2);
+        case 'equisolid':
+            return 2 * hemisphereRadius * Math.sin(alpha / 2);
+        case 'orthographic':
+            return hemisphereRadius * Math.sin(alpha);
+        case 'equidistant':
+        default:
+            return hemisphereRadius * alpha;
+    }
+}
+
+/**
+ * Polar angle whose image lies at the given radius: the inverse of mapPolarAngle, clamped to the
+ * largest angle the mapping can reach (the rim for orthographic, the opposite pole for equisolid)
+ * @returns {number} Polar angle in radians
+ */
+export function inversePolarAngle(imageRadius, hemisphereRadius, mapping = 'equidistant') {
+    switch (mapping) {
+        case 'stereographic':
+            return 2 * Math.atan(imageRadius / (2 * hemisphereRadius));
+        case 'equisolid':
+            return 2 * Math.asin(Math.min(1, imageRadius / (2 * hemisphereRadius)));
+        case 'orthographic':
+            return Math.asin(Math.min(1, imageRadius / hemisphereRadius));
+        case 'equidistant':
+        default:
+            return imageRadius / hemisphereRadius;
+    }
+}
+
+/**
+ * Radius of the 2D boundary circle (image of the hemisphere rim, α = π/2)
+ */
+export function getBoundaryRadius(hemisphereRadius, mapping = 'equidistant') {
+    return mapPolarAngle(Math.PI / 2, hemisphereRadius, mapping);
+}
+
+/**
+ * Projects a point on the hemisphere (gaze along -Z) directly into the 2D disc
+ * @returns {{x: number, y: number}}
+ */
+export function postelProjection(point, hemisphereCenter, hemisphereRadius, mapping = 'equidistant') {
+    const relativePoint = subtract(point, hemisphereCenter);
+
+    const cosAlpha = -relativePoint.z / hemisphereRadius;
+    const alpha = Math.acos(Math.max(-1, Math.min(1, cosAlpha)));
+    const imageRadius = mapPolarAngle(alpha, hemisphereRadius, mapping);
+    const theta = Math.atan2(relativePoint.y, relativePoint.x);
+
+    return { x: imageRadius * Math.cos(theta), y: imageRadius * Math.sin(theta) };
+}
+
+/**
+ * Closest forward intersection of a ray with the sphere the hemisphere is cut from
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+export function intersectRayWithHemisphere(rayOrigin, rayDirection, hemisphereCenter, hemisphereRadius) {
+    const oc = subtract(rayOrigin, hemisphereCenter);
+    const a = dot(rayDirection, rayDirection);
+    const b = 2.0 * dot(oc, rayDirection);
+    const c = dot(oc, oc) - hemisphereRadius * hemisphereRadius;
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t1 = (-b - Math.sqrt(discriminant)) / (2 * a);
+    const t2 = (-b + Math.sqrt(discriminant)) / (2 * a);
+
+    // Ray parameter must be positive and not too close to origin; take the closest
+    const t = [t1, t2].filter(value => value > 0.001).sort((p, q) => p - q)[0];
+    if (t === undefined) return null;
+
+    return {
+        x: rayOrigin.x + rayDirection.x * t,
+        y: rayOrigin.y + rayDirection.y * t,
+        z: rayOrigin.z + rayDirection.z * t
+    };
+}
+
+// ===== 2D circle and line helpers for the arc construction =====
+
+export function computeCircleFromThreePoints(p1, p2, p3) {
+    const ax = p1.x, ay = p1.y;
+    const bx = p2.x, by = p2.y;
+    const cx = p3.x, cy = p3.y;
+    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+
+    const area = Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+    if (area < 0.001) {
+        return null; // Collinear points
+    }
+
+    const ux = ((ax * ax + ay * ay) * (by - cy) + (bx * bx + by * by) * (cy - ay) + (cx * cx + cy * cy) * (ay - by)) / d;
+    const uy = ((ax * ax + ay * ay) * (cx - bx) + (bx * bx + by * by) * (ax - cx) + (cx * cx + cy * cy) * (bx - ax)) / d;
+
+    const center = { x: ux, y: uy };
+    const radius = Math.sqrt((ax - ux) * (ax - ux) + (ay - uy) * (ay - uy));
+
+    return { center, radius };
+}
+
+export function intersectCircles(c1, r1, c2, r2) {
+    const dx = c2.x - c1.x;
+    const dy = c2.y - c1.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > r1 + r2 || distance < Math.abs(r1 - r2) || distance === 0) {
+        return [];
+    }
+
+    const a = (r1 * r1 - r2 * r2 + distance * distance) / (2 * distance);
+    const h = Math.sqrt(r1 * r1 - a * a);
+
+    const x2 = c1.x + a * dx / distance;
+    const y2 = c1.y + a * dy / distance;
+
+    const rx = -dy * h / distance;
+    const ry = dx * h / distance;
+
+    return [
+        { x: x2 + rx, y: y2 + ry },
+        { x: x2 - rx, y: y2 - ry }
+    ];
+}
+
+export function intersectLines(p, q, r, s) {
+    const denominator = (q.x - p.x) * (s.y - r.y) - (q.y - p.y) * (s.x - r.x);
+    if (Math.abs(denominator) < 0.001) {
+        return null; // Parallel lines
+    }
+
+    const t = ((r.x - p.x) * (s.y - r.y) - (r.y - p.y) * (s.x - r.x)) / denominator;
+    const u = ((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x)) / denominator;
+
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+        return {
+            x: p.x + t * (q.x - p.x),
+            y: p.y + t * (q.y - p.y)
+        };
+    }
+
+    return null;
+}
+
+export function intersectCircleLine(circle, linePoints) {
+    const { radius } = circle;
+    const { p, q } = linePoints;
+
+    const dx = q.x - p.x;
+    const dy = q.y - p.y;
+    const dr = Math.sqrt(dx * dx + dy * dy);
+    const D = p.x * q.y - q.x * p.y;
+
+    const discriminant = radius * radius * dr * dr - D * D;
+    if (discriminant < 0) {
+        return [];
+    }
+
+    const x1 = (D * dy + Math.sign(dy) * dx * Math.sqrt(discriminant)) / (dr * dr);
+    const y1 = (-D * dx + Math.abs(dy) * Math.sqrt(discriminant)) / (dr * dr);
+    const x2 = (D * dy - Math.sign(dy) * dx * Math.sqrt(discriminant)) / (dr * dr);
+    const y2 = (-D * dx - Math.abs(dy) * Math.sqrt(discriminant)) / (dr * dr);
+
+    return [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+}
+
+export function intersectArcsOrLines(arc1, arc2) {
+    let intersections = [];
+
+    if (arc1.type === 'line' && arc2.type === 'line') {
+        const intersection = intersectLines(arc1.p1, arc1.p2, arc2.p1, arc2.p2);
+        intersections = intersection ? [intersection] : [];
+    } else if (arc1.type === 'circle' && arc2.type === 'circle') {
+        intersections = intersectCircles(arc1.center, arc1.radius, arc2.center, arc2.radius);
+    } else if (arc1.type === 'circle' && arc2.type === 'line') {
+        intersections = intersectCircleLine(arc1, { p: arc2.p1, q: arc2.p2 });
+    } else if (arc1.type === 'line' && arc2.type === 'circle') {
+        intersections = intersectCircleLine(arc2, { p: arc1.p1, q: arc1.p2 });
+    }
+
+    return intersections;
+}
+
+export function selectCorrectIntersection(intersections, boundaryRadius) {
+    if (intersections.length === 0) return null;
+    if (intersections.length === 1) return intersections[0];
+
+    // Select the intersection closest to the center and within the boundary
+    let bestIntersection = null;
+    let minDistance = Infinity;
+
+    for (const intersection of intersections) {
+        const distance = Math.sqrt(intersection.x * intersection.x + intersection.y * intersection.y);
+        if (distance <= boundaryRadius && distance < minDistance) {
+            minDistance = distance;
+            bestIntersection = intersection;
+        }
+    }
+
+    return bestIntersection;
+}
+
+// ===== Hemispherical construction =====
+
+/**
+ * Angles of a camera-frame direction in the YZ and XZ planes (theta and phi), as used by the construction
+ */
+export function getThetaPhi(direction) {
+    const v_yz = normalize({ x: 0, y: direction.y, z: direction.z });
+    const v_xz = normalize({ x: direction.x, y: 0, z: direction.z });
+    return {
+        theta: Math.atan2(v_yz.y, Math.abs(v_yz.z)),
+        phi: Math.atan2(v_xz.x, Math.abs(v_xz.z))
+    };
+}
+
+/**
+ * Places a camera-frame direction in the 2D disc by the construction we teach: the theta circle
+ * through p_theta, X1 and X2 meets the phi circle through p_phi, Y1 and Y2 at the projected point
+ * @returns {{x: number, y: number}|null} Projected point, or null if the circles do not meet
+ */
+export function constructHemiPoint(direction, hemisphereRadius, mapping = 'equidistant') {
+    const boundaryRadius = getBoundaryRadius(hemisphereRadius, mapping);
+    const { theta, phi } = getThetaPhi(direction);
+
+    // Compute points in 2D projection using the selected radial mapping
+    const p_theta = { x: 0, y: mapPolarAngle(theta, hemisphereRadius, mapping) };
+    const p_phi = { x: mapPolarAngle(phi, hemisphereRadius, mapping), y: 0 };
+
+    // Define boundary circle and axis points
+    const X1 = { x: boundaryRadius, y: 0 };
+    const X2 = { x: -boundaryRadius, y: 0 };
+    const Y1 = { x: 0, y: boundaryRadius };
+    const Y2 = { x: 0, y: -boundaryRadius };
+
+    // Check for collinear cases (when theta or phi is zero)
+    const isThetaZero = Math.abs(theta) < ANGLE_TOLERANCE;
+    const isPhiZero = Math.abs(phi) < ANGLE_TOLERANCE;
+
+    if (isThetaZero && isPhiZero) {
+        // Both theta and phi are zero - point is at origin
+        return { x: 0, y: 0 };
+    }
+    if (isThetaZero) {
+        // Only theta is zero - point is p_phi
+        return p_phi;
+    }
+    if (isPhiZero) {
+        // Only phi is zero - point is p_theta
+        return p_theta;
+    }
+
+    // Normal case: use intersection of circles
+    const arc1 = computeCircleFromThreePoints(p_theta, X1, X2);
+    const arc1Data = arc1
+        ? { type: 'circle', center: arc1.center, radius: arc1.radius, p1: p_theta, p2: X2 }
+        : { type: 'line', p1: p_theta, p2: X2 };
+
+    const arc2 = computeCircleFromThreePoints(p_phi, Y1, Y2);
+    const arc2Data = arc2
+        ? { type: 'circle', center: arc2.center, radius: arc2.radius, p1: p_phi, p2: Y2 }
+        : { type: 'line', p1: p_phi, p2: Y2 };
+
+    return selectCorrectIntersection(intersectArcsOrLines(arc1Data, arc2Data), boundaryRadius);
+}
+
+/**
+ * Outside vanishing point: the inside one inverted through the boundary circle and turned by π
+ * @returns {{x: number, y: number}|null} Null when the inside point is at the centre
+ */
+export function invertThroughBoundary(insideVP, boundaryRadius) {
+    const insideDistance = Math.sqrt(insideVP.x * insideVP.x + insideVP.y * insideVP.y);
+    if (insideDistance <= CENTER_TOLERANCE) {
+        return null;
+    }
+
+    const outsideDistance = (boundaryRadius * boundaryRadius) / insideDistance;
+    const outsideAngle = Math.atan2(insideVP.y, insideVP.x) + Math.PI;
+    return {
+        x: outsideDistance * Math.cos(outsideAngle),
+        y: outsideDistance * Math.sin(outsideAngle)
+    };
+}
+
+/**
+ * Inside and outside vanishing points of a camera-frame edge direction in the hemispherical view
+ * The inside point belongs to whichever sense of the direction points more along the gaze (-Z)
+ * @returns {{inside: {x, y}|null, outside: {x, y}|null}}
+ */
+export function hemisphericalVanishingPoints(direction, hemisphereRadius, mapping = 'equidistant') {
+    const boundaryRadius = getBoundaryRadius(hemisphereRadius, mapping);
+    const unit = normalize(direction);
+    const chosenDirection = -unit.z > unit.z ? unit : { x: -unit.x, y: -unit.y, z: -unit.z };
+
+    const { theta, phi } = getThetaPhi(chosenDirection);
+    const isOnBoundary = Math.abs(Math.abs(theta) - Math.PI / 2) < ANGLE_TOLERANCE ||
+        Math.abs(Math.abs(phi) - Math.PI / 2) < ANGLE_TOLERANCE;
+
+    let inside;
+    if (isOnBoundary) {
+        // Direction parallel to the image plane: vanishing point on the boundary circle at angle psi
+        const psi = Math.atan2(chosenDirection.y, chosenDirection.x);
+        inside = { x: boundaryRadius * Math.cos(psi), y: boundaryRadius * Math.sin(psi) };
+    } else {
+        inside = constructHemiPoint(chosenDirection, hemisphereRadius, mapping);
+    }
+
+    return {
+        inside,
+        outside: inside ? invertThroughBoundary(inside, boundaryRadius) : null
+    };
+}
+
+/**
+ * Camera-frame direction whose vanishing point lies at a point of the hemispherical image: inside the boundary
+ * a direction facing the gaze, outside it the opposite sense of the direction whose inside point it inverts
+ * @returns {{x: number, y: number, z: number}|null} Unit direction; null at the centre of inversion
+ */
+export function hemisphericalImageDirection(point, hemisphereRadius, mapping = 'equidistant') {
+    const boundaryRadius = getBoundaryRadius(hemisphereRadius, mapping);
+    const isOutside = Math.hypot(point.x, point.y) > boundaryRadius;
+    const insidePoint = isOutside ? invertThroughBoundary(point, boundaryRadius) : point;
+    if (!insidePoint) {
+        return null;
+    }
+
+    const alpha = inversePolarAngle(Math.hypot(insidePoint.x, insidePoint.y), hemisphereRadius, mapping);
+    const theta = Math.atan2(insidePoint.y, insidePoint.x);
+    const sign = isOutside ? -1 : 1;
+    return {
+        x: sign * Math.sin(alpha) * Math.cos(theta),
+        y: sign * Math.sin(alpha) * Math.sin(theta),
+        z: -sign * Math.cos(alpha)
+    };
+}
+
+// ===== Construction diagnostics =====
+
+function compareWithDirect(constructed, direct) {
+    return {
+        constructed,
+        direct,
+        residual: constructed ? Math.hypot(constructed.x - direct.x, constructed.y - direct.y) : Infinity
+    };
+}
+
+/**
+ * Places a camera-frame direction both by the arc construction and by the direct mapping formula
+ * @returns {{constructed: {x, y}|null, direct: {x, y}, residual: number}} Residual is Infinity if the construction fails
+ */
+export function constructionResidual(direction, hemisphereRadius, mapping = 'equidistant') {
+    const unit = normalize(direction);
+    const onSphere = { x: unit.x * hemisphereRadius, y: unit.y * hemisphereRadius, z: unit.z * hemisphereRadius };
+    const direct = postelProjection(onSphere, { x: 0, y: 0, z: 0 }, hemisphereRadius, mapping);
+    return compareWithDirect(constructHemiPoint(unit, hemisphereRadius, mapping), direct);
+}
+
+/**
+ * Both vanishing points of a direction, constructed and direct. The direct outside point is the
+ * mapping applied to the opposite sense (polar angle π - α); it agrees with the inversion only for stereographic
+ * @returns {{inside: object, outside: object|null}} Entries as from constructionResidual
+ */
+export function vanishingPointResiduals(direction, hemisphereRadius, mapping = 'equidistant') {
+    const { inside, outside } = hemisphericalVanishingPoints(direction, hemisphereRadius, mapping);
+    const unit = normalize(direction);
+    const facing = -unit.z > unit.z ? unit : { x: -unit.x, y: -unit.y, z: -unit.z };
+    const scaled = (sign) => ({ x: sign * facing.x * hemisphereRadius, y: sign * facing.y * hemisphereRadius, z: sign * facing.z * hemisphereRadius });
+    const origin = { x: 0, y: 0, z: 0 };
+
+    return {
+        inside: compareWithDirect(inside, postelProjection(scaled(1), origin, hemisphereRadius, mapping)),
+        outside: outside ? compareWithDirect(outside, postelProjection(scaled(-1), origin, hemisphereRadius, mapping)) : null
+    };
+}
+
+// ===== Linear construction =====
+
+/**
+ * Central projection of a camera-frame point onto the image plane at distance f (gaze foot at the origin)
+ * @returns {{x: number, y: number}|null} Null for points on or behind the near plane
+ */
+export function projectToImagePlane(viewPoint, focalDistance, nearDistance = 0) {
+    if (viewPoint.z > -nearDistance || viewPoint.z === 0) {
+        return null;
+    }
+    return {
+        x: viewPoint.x * -focalDistance / viewPoint.z,
+        y: viewPoint.y * -focalDistance / viewPoint.z
+    };
+}
+
+/**
+ * Vanishing point of a camera-frame direction on the image plane at distance f
+ * @returns {{x: number, y: number}|null} Null for directions (nearly) parallel to the image plane
+ */
+export function linearVanishingPoint(viewDirection, focalDistance) {
+    if (Math.abs(viewDirection.z) <= 0.0001) {
+        return null;
+    }
+    const t = -focalDistance / viewDirection.z;
+    return { x: t * viewDirection.x, y: t * viewDirection.y };
+}
+
+/**
+ * Camera-frame direction whose vanishing point lies at a point of the image plane at distance f
+ * @returns {{x: number, y: number, z: number}} Unit direction facing the gaze
+ */
+export function linearImageDirection(point, focalDistance) {
+    return normalize({ x: point.x, y: point.y, z: -focalDistance });
+}
+
+/**
+ * Camera calibration from the vanishing points of three mutually perpendicular directions on the image plane:
+ * the principal point (foot of the gaze) is the orthocentre of their triangle, and the focal distance f
+ * satisfies (a - p)·(b - p) = -f² for any two of them
+ * @param {Array<{x: number, y: number}>} points - The three vanishing points
+ * @returns {{principalPoint: {x, y}, focalDistance: number, directions: Array<{x, y, z}>}|null} directions are
+ *   unit camera-frame directions facing the gaze, as seen from the principal point; null unless the triangle is acute
+ */
+export function calibrateFromVanishingPoints(points) {
+    const [a, b, c] = points;
+    const bc = { x: b.x - c.x, y: b.y - c.y };
+    const ac = { x: a.x - c.x, y: a.y - c.y };
+    const det = bc.x * ac.y - bc.y * ac.x;
+    if (Math.abs(det) < 1e-12) {
+        return null;
+    }
+
+    // Altitudes from a and b: (p - a)·(b - c) = 0 and (p - b)·(a - c) = 0
+    const alongA = a.x * bc.x + a.y * bc.y;
+    const alongB = b.x * ac.x + b.y * ac.y;
+    const principalPoint = {
+        x: (alongA * ac.y - bc.y * alongB) / det,
+        y: (bc.x * alongB - alongA * ac.x) / det
+    };
+
+    const focalSquared = -((a.x - principalPoint.x) * (b.x - principalPoint.x) + (a.y - principalPoint.y) * (b.y - principalPoint.y));
+    if (focalSquared <= 0) {
+        return null;
+    }
+    const focalDistance = Math.sqrt(focalSquared);
+
+    return {
+        principalPoint,
+        focalDistance,
+        directions: points.map(point => normalize({ x: point.x - principalPoint.x, y: point.y - principalPoint.y, z: -focalDistance }))
+    };
+}
+
+/**
+ * Horizon of a plane with the given camera-frame normal: the line its vanishing points fill on the image plane,
+ * x·n.x + y·n.y = f·n.z
+ * @returns {{point: {x: number, y: number}, direction: {x: number, y: number}}|null} The point of the line nearest
+ *   the image centre and a unit direction along it; null when looking straight along the normal
+ */
+export function linearHorizon(viewNormal, focalDistance) {
+    const tilt = Math.hypot(viewNormal.x, viewNormal.y);
+    if (tilt <= 0.0001) {
+        return null;
+    }
+    const offset = focalDistance * viewNormal.z / (tilt * tilt);
+    return {
+        point: { x: viewNormal.x * offset, y: viewNormal.y * offset },
+        direction: { x: -viewNormal.y / tilt, y: viewNormal.x / tilt }
+    };
+}
+
+// ===== Curved primitives =====
+
+function scaleVector(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+/**
+ * Contour generator of the unit sphere seen from an eye point: the circle where sight lines graze it.
+ * Tangency survives affine maps, so the same circle mapped by an object's matrix serves ellipsoids too
+ * @returns {{center, u, v, radius}|null} Circle in the sphere's frame (u, v span its plane), null if the eye is inside
+ */
+export function sphereContour(eye) {
+    const distance = length(eye);
+    if (distance <= 1) {
+        return null;
+    }
+
+    const normal = scaleVector(eye, 1 / distance);
+    const helper = Math.abs(normal.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+    const u = normalize(cross(normal, helper));
+    const v = cross(normal, u);
+
+    return {
+        center: scaleVector(normal, 1 / distance),
+        u,
+        v,
+        radius: Math.sqrt(1 - 1 / (distance * distance))
+    };
+}
+
+/**
+ * Silhouette rulings of the unit cylinder x² + z² = 1 seen from an eye point, as angles atan2(z, x) around its axis
+ * @returns {Array<number>|null} The two angles, null if the eye is inside the cylinder
+ */
+export function cylinderContourAngles(eye) {
+    const distance = Math.hypot(eye.x, eye.z);
+    if (distance <= 1) {
+        return null;
+    }
+
+    const direction = Math.atan2(eye.z, eye.x);
+    const spread = Math.acos(1 / distance);
+    return [direction - spread, direction + spread];
+}
+
+/**
+ * Type of conic a camera-frame ellipse center + a·cos t + b·sin t projects to: an 'ellipse' if it misses the plane
+ * through the viewpoint parallel to the image (z = 0), a 'parabola' if it touches it, a 'hyperbola' if it crosses it
+ */
+export function classifyProjectedEllipse(center, a, b, tolerance = 1e-6) {
+    const reach = Math.hypot(a.z, b.z);
+    const clearance = Math.abs(center.z) - reach;
+    if (Math.abs(clearance) <= tolerance * (Math.abs(center.z) + reach)) {
+        return 'parabola';
+    }
+    return clearance > 0 ? 'ellipse' : 'hyperbola';
+}
+
+// ===== Perspective grid sheets =====
+
+/**
+ * Images of the lines with one direction, as seen from a centred eye: great circles through the direction's
+ * two vanishing points, one per plane through the eye containing it, spaced evenly in angle about the direction
+ * @returns {Array<Array<{x, y, z}>>} Each circle as `samples` unit directions, starting at the direction itself
+ */
+export function familyGreatCircles(direction, count, samples) {
+    const unit = normalize(direction);
+    const helper = Math.abs(unit.x) < 0.9 ? { x: 1, y: 0, z: 0 } : { x: 0, y: 1, z: 0 };
+    const first = normalize(cross(unit, helper));
+    const second = cross(unit, first);
+
+    const circles = [];
+    for (let i = 0; i < count; i++) {
+        const turn = Math.PI * i / count;
+        const side = {
+            x: first.x * Math.cos(turn) + second.x * Math.sin(turn),
+            y: first.y * Math.cos(turn) + second.y * Math.sin(turn),
+            z: first.z * Math.cos(turn) + second.z * Math.sin(turn)
+        };
+        const circle = [];
+        for (let j = 0; j < samples; j++) {
+            const angle = 2 * Math.PI * j / samples;
+            circle.push({
+                x: unit.x * Math.cos(angle) + side.x * Math.sin(angle),
+                y: unit.y * Math.cos(angle) + side.y * Math.sin(angle),
+                z: unit.z * Math.cos(angle) + side.z * Math.sin(angle)
+            });
+        }
+        circles.push(circle);
+    }
+    return circles;
+}
+
+// ===== Shadows =====
+
+/**
+ * Shadow of a point on the ground plane y = groundHeight: the same central (or parallel) projection as the
+ * views use, with the light in place of the eye and the ground in place of the image plane
+ * @param {{type: string, direction?: Object, position?: Object}} light - A sun far off along the unit
+ *   `direction` (parallel rays), or a point light at `position`
+ * @returns {{x, y, z}|null} Null for points the light does not reach from above: below the ground, at or above
+ *   a point light's height, or under a sun at or below the horizon
+ */
+export function projectShadowPoint(point, light, groundHeight) {
+    if (point.y < groundHeight) {
+        return null;
+    }
+
+    if (light.type === 'point') {
+        const { position } = light;
+        if (point.y >= position.y) {
+            return null;
+        }
+        const scale = (position.y - groundHeight) / (position.y - point.y);
+        return {
+            x: position.x + (point.x - position.x) * scale,
+            y: groundHeight,
+            z: position.z + (point.z - position.z) * scale
+        };
+    }
+
+    const { direction } = light;
+    if (direction.y <= ANGLE_TOLERANCE) {
+        return null;
+    }
+    const distance = (point.y - groundHeight) / direction.y;
+    return { x: point.x - direction.x * distance, y: groundHeight, z: point.z - direction.z * distance };
+}
+
+// ===== Parallel projection =====
+
+/**
+ * Picture frame of a parallel view: `right` and `up` span the picture plane, `normal` faces the viewer, and the
+ * viewer lies along `eyeDirection` (scaled so normal·eyeDirection = 1). Axonometric views look along the normal;
+ * an oblique view slants the rays so that depth is drawn at `angle` from the right, shortened by `scale`
+ * @param {number} yaw - Turn of the picture plane about Y in radians (0 faces +Z)
+ * @param {number} pitch - Height of the viewer above the horizon in radians
+ * @param {{scale: number, angle: number}|null} oblique - Receding axis of an oblique view (angle in radians)
+ */
+export function parallelViewFrame(yaw, pitch, oblique = null) {
+    const right = { x: Math.cos(yaw), y: 0, z: -Math.sin(yaw) };
+    const normal = { x: Math.sin(yaw) * Math.cos(pitch), y: Math.sin(pitch), z: Math.cos(yaw) * Math.cos(pitch) };
+    const up = {
+        x: normal.y * right.z - normal.z * right.y,
+        y: normal.z * right.x - normal.x * right.z,
+        z: normal.x * right.y - normal.y * right.x
+    };
+
+    const slantX = oblique ? oblique.scale * Math.cos(oblique.angle) : 0;
+    const slantY = oblique ? oblique.scale * Math.sin(oblique.angle) : 0;
+    const eyeDirection = {
+        x: normal.x + slantX * right.x + slantY * up.x,
+        y: normal.y + slantX * right.y + slantY * up.y,
+        z: normal.z + slantX * right.z + slantY * up.z
+    };
+    return { right, up, normal, eyeDirection };
+}
+
+/**
+ * Distance of the viewer from the picture plane for a slider position from 0 to 1: the near distance at 0,
+ * growing without bound towards 1, where the viewer is at infinity
+ */
+export function parallelEyeDistance(position, nearDistance) {
+    return position >= 1 ? Infinity : nearDistance / (1 - position);
+}
+
+/**
+ * Image of a point on the picture plane through the target, seen from eyeDistance along the frame's eye
+ * direction: a central projection that becomes the parallel projection along the eye direction at infinity.
+ * Points on the plane keep their place at any distance
+ * @returns {{x: number, y: number}|null} Null for points level with or behind the viewer
+ */
+export function projectToParallelView(point, target, frame, eyeDistance) {
+    const offset = subtract(point, target);
+    const depth = dot(offset, frame.normal);
+    const { eyeDirection } = frame;
+
+    let image;
+    if (!isFinite(eyeDistance)) {
+        image = subtract(offset, { x: eyeDirection.x * depth, y: eyeDirection.y * depth, z: eyeDirection.z * depth });
+    } else {
+        if (depth >= eyeDistance) {
+            return null;
+        }
+        // Where the ray from the eye through the point meets the plane
+        const scale = eyeDistance / (eyeDistance - depth);
+        const eyeWeight = eyeDistance * (1 - scale);
+        image = {
+            x: eyeDirection.x * eyeWeight + offset.x * scale,
+            y: eyeDirection.y * eyeWeight + offset.y * scale,
+            z: eyeDirection.z * eyeWeight + offset.z * scale
+        };
+    }
+    return { x: dot(image, frame.right), y: dot(image, frame.up) };
+}
+
+/**
+ * Vanishing point of a world direction in a parallel view seen from eyeDistance. It runs off to infinity as
+ * the viewer does, so parallel edges stay parallel once the viewer is there
+ * @returns {{x: number, y: number}|null} Null for a viewer at infinity and for directions (nearly) parallel
+ *   to the picture plane
+ */
+export function parallelViewVanishingPoint(direction, frame, eyeDistance) {
+    const unit = normalize(direction);
+    const towardsViewer = dot(unit, frame.normal);
+    if (!isFinite(eyeDistance) || Math.abs(towardsViewer) <= 0.0001) {
+        return null;
+    }
+    // The ray from the eye along the direction meets the plane here
+    const reach = eyeDistance / towardsViewer;
+    const { eyeDirection } = frame;
+    const point = {
+        x: eyeDirection.x * eyeDistance - unit.x * reach,
+        y: eyeDirection.y * eyeDistance - unit.y * reach,
+        z: eyeDirection.z * eyeDistance - unit.z * reach
+    };
+    return { x: dot(point, frame.right), y: dot(point, frame.up) };
+}
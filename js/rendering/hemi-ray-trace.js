@@ -0,0 +1,189 @@
+import { state, domeFrameToWorld } from '../state.js';
+import { config } from '../config.js';
+import { getBoundaryRadius } from '../projections/projection-math.js';
+import { getCachedWorldVertices } from '../utils/three-utils.js';
+import { getCubeFaces } from '../utils/visibility.js';
+import { getSceneLighting } from '../utils/face-shading.js';
+import { colorToRGB } from './ray-tracer.js';
+
+/**
+ * Hemi Ray Trace Module
+ * Shows the ray-traced hemispherical image under the hemi2D wireframe. The scene is flattened to plain data and
+ * rendered in a Web Worker; while one render runs, only the latest change waits for the next
+ */
+
+let worker = null;
+// The request the worker is on, and the latest one waiting for it
+let renderingRequest = null;
+let pendingRequest = null;
+
+function toPlainVector(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+/**
+ * Triangles of the curved objects' 3D meshes, in world space; they have no faces of their own to trace
+ */
+function getPrimitiveTriangles() {
+    const triangles = [];
+    state.sceneObjects.filter(object => object.model.primitive).forEach(object => {
+        const rgb = colorToRGB(object.color);
+        object.mesh.updateMatrixWorld();
+        const { geometry, matrixWorld } = object.mesh;
+        const positions = geometry.attributes.position;
+        const cornerCount = geometry.index ? geometry.index.count : positions.count;
+        const getCorner = (i) => new THREE.Vector3()
+            .fromBufferAttribute(positions, geometry.index ? geometry.index.getX(i) : i)
+            .applyMatrix4(matrixWorld);
+
+        for (let i = 0; i < cornerCount; i += 3) {
+            const vertices = [getCorner(i), getCorner(i + 1), getCorner(i + 2)];
+            const normal = new THREE.Vector3().subVectors(vertices[1], vertices[0])
+                .cross(new THREE.Vector3().subVectors(vertices[2], vertices[0]));
+            if (normal.lengthSq() < 1e-20) continue;
+            triangles.push({ vertices: vertices.map(toPlainVector), normal: toPlainVector(normal.normalize()), rgb });
+        }
+    });
+    return triangles;
+}
+
+/**
+ * The current scene as the plain data renderHemisphericalImage takes
+ */
+export function buildRayTraceScene(worldVertices = getCachedWorldVertices()) {
+    const lighting = getSceneLighting();
+    const isFixedDome = state.hemisphereMode === 'fixed';
+
+    const triangles = [];
+    getCubeFaces(worldVertices).forEach(face => {
+        const rgb = colorToRGB(face.baseColor);
+        const normal = toPlainVector(face.normal);
+        face.triangles.forEach(triangle => {
+            triangles.push({ vertices: triangle.map(corner => toPlainVector(face.vertices[corner])), normal, rgb });
+        });
+    });
+    triangles.push(...getPrimitiveTriangles());
+
+    return {
+        viewpoint: toPlainVector(state.viewpointPosition),
+        domeCenter: toPlainVector(isFixedDome ? state.hemisphereCenter : state.viewpointPosition),
+        viewAxes: {
+            x: toPlainVector(domeFrameToWorld(new THREE.Vector3(1, 0, 0))),
+            y: toPlainVector(domeFrameToWorld(new THREE.Vector3(0, 1, 0))),
+            z: toPlainVector(domeFrameToWorld(new THREE.Vector3(0, 0, 1)))
+        },
+        hemisphereRadius: state.hemisphereRadius,
+        mapping: state.fisheyeMapping,
+        triangles,
+        ground: {
+            height: config.GROUND.height,
+            extent: state.groundExtent,
+            spacing: state.groundSpacing,
+            colors: config.RAY_TRACE.groundColors.map(colorToRGB),
+            outerColor: colorToRGB(config.RAY_TRACE.groundOuterColor)
+        },
+        lighting: {
+            direction: toPlainVector(lighting.direction),
+            position: lighting.position ? toPlainVector(lighting.position) : null,
+            ambientIntensity: lighting.ambientIntensity,
+            directionalIntensity: lighting.directionalIntensity,
+            castShadows: state.showShadows
+        },
+        background: colorToRGB(config.RAY_TRACE.skyColor)
+    };
+}
+
+/**
+ * Removes the rendered image from hemi2D
+ */
+export function clearHemiRayTrace() {
+    const image = state.rayTraceImage;
+    pendingRequest = null;
+    if (!image) return;
+
+    state.scenes.hemi2D.remove(image.mesh);
+    image.mesh.geometry.dispose();
+    image.mesh.material.map.dispose();
+    image.mesh.material.dispose();
+    state.rayTraceImage = null;
+}
+
+function showRenderedImage(result, boundaryRadius) {
+    // The image's rows run from the top, a DataTexture's from the bottom
+    const texture = new THREE.DataTexture(new Uint8Array(result.data.buffer), result.width, result.height, THREE.RGBAFormat);
+    texture.repeat.set(1, -1);
+    texture.offset.set(0, 1);
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    if (!state.rayTraceImage) {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+        );
+        mesh.position.z = config.RAY_TRACE.z;
+        state.rayTraceImage = { mesh };
+        state.scenes.hemi2D.add(mesh);
+    } else {
+        state.rayTraceImage.mesh.material.map.dispose();
+        state.rayTraceImage.mesh.material.map = texture;
+    }
+    state.rayTraceImage.mesh.scale.set(2 * boundaryRadius, 2 * boundaryRadius, 1);
+}
+
+function postRequest(request) {
+    renderingRequest = request;
+    worker.postMessage({ scene: request.scene, size: request.size });
+}
+
+function startWorker(onRendered) {
+    if (worker) return;
+
+    worker = new Worker(new URL('./ray-tracer-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+        const { boundaryRadius } = renderingRequest;
+        renderingRequest = null;
+        // A render that finishes after the view was switched off is dropped
+        if (state.showRayTrace) {
+            showRenderedImage(event.data, boundaryRadius);
+            onRendered();
+        }
+
+        if (pendingRequest) {
+            const request = pendingRequest;
+            pendingRequest = null;
+            postRequest(request);
+        }
+    };
+    worker.onerror = (error) => {
+        renderingRequest = null;
+        console.warn('Ray tracer worker failed:', error.message);
+    };
+}
+
+/**
+ * Starts a render of the current scene, or clears the image when the ray-traced view is off
+ * @param {Function} onRendered - Called once a finished image is in hemi2D, to redraw the view
+ */
+export function updateHemiRayTrace(onRendered) {
+    if (!state.showRayTrace) {
+        clearHemiRayTrace();
+        return;
+    }
+    if (typeof Worker === 'undefined') {
+        console.warn('Web Workers are not available; the ray-traced view needs one');
+        return;
+    }
+
+    const request = {
+        scene: buildRayTraceScene(),
+        size: config.RAY_TRACE.resolution,
+        boundaryRadius: getBoundaryRadius(state.hemisphereRadius, state.fisheyeMapping)
+    };
+    startWorker(onRendered);
+    if (renderingRequest) {
+        pendingRequest = request;
+        return;
+    }
+    postRequest(request);
+}
@@ -0,0 +1,12 @@
+import { renderHemisphericalImage } from './ray-tracer.js';
+
+/**
+ * Ray Tracer Worker
+ * Renders the hemispherical image off the main thread and hands the pixels back without copying them
+ */
+
+self.onmessage = (event) => {
+    const { scene, size } = event.data;
+    const image = renderHemisphericalImage(scene, size);
+    self.postMessage(image, [image.data.buffer]);
+};
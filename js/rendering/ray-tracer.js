@@ -0,0 +1,196 @@
+import { subtract, dot, normalize, getBoundaryRadius, hemisphericalImageDirection } from '../projections/projection-math.js';
+
+/**
+ * Ray Tracer Module
+ * A software render of what the hemispherical image would show: every pixel of the hemi2D disc is turned back
+ * into a viewing ray by inverting the radial mapping, and the ray is shaded by the nearest face or the ground.
+ * Free of THREE, state and the DOM, so it runs in a Web Worker and in Node, where its output is compared with
+ * stored reference images
+ */
+
+// Hits closer than this to the ray origin are ignored
+const HIT_EPSILON = 1e-9;
+// Shadow rays start this far towards the light, clear of the surface they leave
+const SHADOW_BIAS = 1e-6;
+
+function cross(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function pointAlong(origin, direction, distance) {
+    return {
+        x: origin.x + direction.x * distance,
+        y: origin.y + direction.y * distance,
+        z: origin.z + direction.z * distance
+    };
+}
+
+/**
+ * Splits a colour such as 0x00aaff into channels from 0 to 1
+ */
+export function colorToRGB(color) {
+    return [((color >> 16) & 255) / 255, ((color >> 8) & 255) / 255, (color & 255) / 255];
+}
+
+/**
+ * Distance along a ray to a triangle (Möller–Trumbore), hitting either side
+ * @returns {number|null} Distance in units of the direction's length; null when the ray misses
+ */
+export function intersectTriangle(origin, direction, a, b, c) {
+    const edge1 = subtract(b, a);
+    const edge2 = subtract(c, a);
+    const p = cross(direction, edge2);
+    const determinant = dot(edge1, p);
+    if (Math.abs(determinant) < 1e-12) {
+        return null;
+    }
+
+    const toOrigin = subtract(origin, a);
+    const u = dot(toOrigin, p) / determinant;
+    if (u < 0 || u > 1) {
+        return null;
+    }
+    const q = cross(toOrigin, edge1);
+    const v = dot(direction, q) / determinant;
+    if (v < 0 || u + v > 1) {
+        return null;
+    }
+
+    const distance = dot(edge2, q) / determinant;
+    return distance > HIT_EPSILON ? distance : null;
+}
+
+/**
+ * Direction from a point towards the light and the distance to it (a sun's is infinite)
+ */
+function getLightRay(point, lighting) {
+    if (!lighting.position) {
+        return { direction: lighting.direction, distance: Infinity };
+    }
+    const toLight = subtract(lighting.position, point);
+    const distance = Math.hypot(toLight.x, toLight.y, toLight.z);
+    return { direction: normalize(toLight), distance };
+}
+
+function isInShadow(scene, point, lightRay) {
+    const origin = pointAlong(point, lightRay.direction, SHADOW_BIAS);
+    return scene.triangles.some(triangle => {
+        const distance = intersectTriangle(origin, lightRay.direction, ...triangle.vertices);
+        return distance !== null && distance < lightRay.distance;
+    });
+}
+
+/**
+ * Flat Lambert shade, as the 2D views fill faces, lighting whichever side the ray sees.
+ * With castShadows set, a point the light cannot see gets the ambient light only
+ */
+function shade(scene, rgb, normal, direction, point) {
+    const { lighting } = scene;
+    const lightRay = getLightRay(point, lighting);
+    const facing = dot(normal, direction) > 0 ? -1 : 1;
+    let diffuse = Math.max(0, facing * dot(normal, lightRay.direction));
+    if (diffuse > 0 && lighting.castShadows && isInShadow(scene, point, lightRay)) {
+        diffuse = 0;
+    }
+    const brightness = Math.min(1, lighting.ambientIntensity + lighting.directionalIntensity * diffuse);
+    return rgb.map(channel => channel * brightness);
+}
+
+/**
+ * Ground colour at a point of the floor: a checkerboard of the grid cells inside its extent, plain beyond
+ */
+function groundColor(point, ground) {
+    const half = ground.extent / 2;
+    if (Math.abs(point.x) > half || Math.abs(point.z) > half) {
+        return ground.outerColor;
+    }
+    const cell = Math.floor((point.x + half) / ground.spacing) + Math.floor((point.z + half) / ground.spacing);
+    return cell % 2 === 0 ? ground.colors[0] : ground.colors[1];
+}
+
+/**
+ * Colour seen along a world ray: the nearest triangle, else the ground plane, else the sky
+ * @param {Object} scene - See renderHemisphericalImage
+ * @returns {Array<number>} RGB from 0 to 1
+ */
+export function traceRay(scene, origin, direction) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    scene.triangles.forEach(triangle => {
+        const distance = intersectTriangle(origin, direction, ...triangle.vertices);
+        if (distance !== null && distance < nearestDistance) {
+            nearest = triangle;
+            nearestDistance = distance;
+        }
+    });
+
+    const ground = scene.ground;
+    if (ground && Math.abs(direction.y) > 1e-12) {
+        const distance = (ground.height - origin.y) / direction.y;
+        if (distance > HIT_EPSILON && distance < nearestDistance) {
+            const point = pointAlong(origin, direction, distance);
+            return shade(scene, groundColor(point, ground), { x: 0, y: 1, z: 0 }, direction, point);
+        }
+    }
+
+    return nearest
+        ? shade(scene, nearest.rgb, nearest.normal, direction, pointAlong(origin, direction, nearestDistance))
+        : scene.background;
+}
+
+/**
+ * Renders the hemispherical disc as a square RGBA image spanning the boundary circle, rows from the top.
+ * Pixels outside the disc are transparent
+ * @param {Object} scene - Plain scene description:
+ *   viewpoint and domeCenter (world points; the same for a centred hemisphere), viewAxes {x, y, z} (world
+ *   directions of the dome's frame, whose pole is -z: the camera frame, or the one a fixed dome was pinned
+ *   with), hemisphereRadius, mapping, triangles [{vertices, normal, rgb}], ground {height, extent, spacing,
+ *   colors, outerColor} or null, lighting {direction, position (a point light's; none for a sun along
+ *   direction), ambientIntensity, directionalIntensity, castShadows} and background (RGB from 0 to 1)
+ * @param {number} size - Width and height in pixels
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+export function renderHemisphericalImage(scene, size) {
+    const data = new Uint8ClampedArray(size * size * 4);
+    const boundaryRadius = getBoundaryRadius(scene.hemisphereRadius, scene.mapping);
+    const pixelSize = 2 * boundaryRadius / size;
+    const { viewAxes } = scene;
+    const domeOffset = subtract(scene.domeCenter, scene.viewpoint);
+    const centred = Math.hypot(domeOffset.x, domeOffset.y, domeOffset.z) < HIT_EPSILON;
+
+    for (let row = 0; row < size; row++) {
+        for (let column = 0; column < size; column++) {
+            const point = {
+                x: -boundaryRadius + (column + 0.5) * pixelSize,
+                y: boundaryRadius - (row + 0.5) * pixelSize
+            };
+            if (Math.hypot(point.x, point.y) > boundaryRadius) {
+                continue;
+            }
+
+            const view = hemisphericalImageDirection(point, scene.hemisphereRadius, scene.mapping);
+            let direction = {
+                x: viewAxes.x.x * view.x + viewAxes.y.x * view.y + viewAxes.z.x * view.z,
+                y: viewAxes.x.y * view.x + viewAxes.y.y * view.y + viewAxes.z.y * view.z,
+                z: viewAxes.x.z * view.x + viewAxes.y.z * view.y + viewAxes.z.z * view.z
+            };
+            // A fixed dome is seen from an off-centre viewpoint: the ray runs to the dome point this pixel shows
+            if (!centred) {
+                direction = normalize(subtract(pointAlong(scene.domeCenter, direction, scene.hemisphereRadius), scene.viewpoint));
+            }
+
+            const rgb = traceRay(scene, scene.viewpoint, direction);
+            const offset = 4 * (row * size + column);
+            data[offset] = Math.round(rgb[0] * 255);
+            data[offset + 1] = Math.round(rgb[1] * 255);
+            data[offset + 2] = Math.round(rgb[2] * 255);
+            data[offset + 3] = 255;
+        }
+    }
+
+    return { width: size, height: size, data };
+}
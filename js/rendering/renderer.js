@@ -75,7 +75,7 @@ export class Renderer {
     }
 
     update2DCameras() {
-        ['linear2D', 'hemi2D'].forEach(id => {
+        ['linear2D', 'hemi2D', 'equirect2D', 'cylinder2D', 'parallel2D'].forEach(id => {
             const viewElement = document.getElementById(id);
             const aspect = viewElement.clientWidth / viewElement.clientHeight;
             const camera = this.cameras[id];
@@ -121,7 +121,7 @@ export class Renderer {
             });
             
             // Observe all view elements
-            ['linear3D', 'linear2D', 'hemi3D', 'hemi2D'].forEach(id => {
+            ['linear3D', 'linear2D', 'hemi3D', 'hemi2D', 'equirect2D', 'cylinder3D', 'cylinder2D', 'parallel2D'].forEach(id => {
                 const element = document.getElementById(id);
                 if (element) {
                     resizeObserver.observe(element);
@@ -237,6 +237,14 @@ export class Renderer {
             // Hemispherical 3D viewport: show hemisphere, hide image plane
             state.imagePlane.visible = false;
             state.hemisphere.visible = true;
+        } else if (viewportId === 'cylinder3D') {
+            // Cylindrical 3D viewport: show only the cylinder
+            state.imagePlane.visible = false;
+            state.hemisphere.visible = false;
+        }
+        
+        if (state.cylinder) {
+            state.cylinder.visible = viewportId === 'cylinder3D';
         }
     }
 
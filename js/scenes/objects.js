@@ -1,8 +1,10 @@
 // 3D Objects Creation and Management
 import { config } from '../config.js';
-import { state, getImagePlaneZ } from '../state.js';
+import { state, getImagePlaneCenter, getViewQuaternion } from '../state.js';
 import { createLinear2DBoundary, createHemi2DBoundary } from './scene-manager.js';
-import { safeDispose, createHemisphere } from '../utils/three-utils.js';
+import { safeDispose, createHemisphere, createCylinder } from '../utils/three-utils.js';
+import { createInitialSceneObject } from './scene-objects.js';
+import { updateGroundGridHelper } from '../utils/ground-plane.js';
 
 export function createSceneObjects() {
     // Step 2: Create shared objects in master scene instead of duplicating
@@ -25,10 +27,22 @@ export function createSceneObjects() {
         color: config.COLORS.viewpoint, 
         side: THREE.DoubleSide 
     });
+    const pvRingMat3 = new THREE.MeshBasicMaterial({ 
+        color: config.COLORS.viewpoint, 
+        side: THREE.DoubleSide 
+    });
+    const pvRingMat4 = new THREE.MeshBasicMaterial({ 
+        color: config.COLORS.viewpoint, 
+        side: THREE.DoubleSide 
+    });
     const projectedViewpointMarker1 = new THREE.Mesh(pvRingGeom, pvRingMat1);
     const projectedViewpointMarker2 = new THREE.Mesh(pvRingGeom, pvRingMat2);
+    const projectedViewpointMarker3 = new THREE.Mesh(pvRingGeom, pvRingMat3);
+    const projectedViewpointMarker4 = new THREE.Mesh(pvRingGeom, pvRingMat4);
     state.scenes.linear2D.add(projectedViewpointMarker1);
     state.scenes.hemi2D.add(projectedViewpointMarker2);
+    state.scenes.equirect2D.add(projectedViewpointMarker3);
+    state.scenes.cylinder2D.add(projectedViewpointMarker4);
     
     // Initialize projections (this will be moved to projections module later)
     if (window.updateProjections) {
@@ -45,7 +59,7 @@ export function createSceneObjects() {
 
 /**
  * Step 2: Create Shared Objects in Master Scene
- * Creates cube, viewpoint sphere, and grid helper once in the master scene
+ * Creates the first scene object, viewpoint sphere, and grid helper once in the master scene
  */
 function createSharedObjectsInMasterScene() {
     if (!state.master3D) {
@@ -53,23 +67,8 @@ function createSharedObjectsInMasterScene() {
         return;
     }
     
-    // Create cube (single instance in master scene)
-    const cubeGeometry = new THREE.BoxGeometry(config.CUBE_SIZE, config.CUBE_SIZE, config.CUBE_SIZE);
-    const cubeMaterial = new THREE.MeshPhongMaterial({ 
-        color: config.COLORS.cube, 
-        opacity: 0.75, 
-        transparent: true 
-    });
-    state.cube = new THREE.Mesh(cubeGeometry, cubeMaterial);
-    state.cube.position.z = -5;
-    
-    const edges = new THREE.EdgesGeometry(cubeGeometry);
-    const lineMaterial = new THREE.LineBasicMaterial({ color: config.COLORS.cubeEdges });
-    const cubeEdges = new THREE.LineSegments(edges, lineMaterial);
-    state.cube.add(cubeEdges);
-    
-    // Add cube to master scene only
-    state.master3D.add(state.cube);
+    // Create the first scene object (the cube); more can be added from the controls
+    createInitialSceneObject();
     
     // Create viewpoint sphere (single instance in master scene)
     const viewpointGeometry = new THREE.SphereGeometry(0.2, 32, 32);
@@ -80,10 +79,8 @@ function createSharedObjectsInMasterScene() {
     // Add viewpoint sphere to master scene only
     state.master3D.add(state.viewpointSphere);
     
-    // Add grid helper (single instance in master scene)
-    const gridHelper = new THREE.GridHelper(20, 20, 0xcccccc, 0xdddddd);
-    gridHelper.position.y = -5;
-    state.master3D.add(gridHelper);
+    // Add grid helper (single instance in master scene, rebuilt when the ground grid settings change)
+    updateGroundGridHelper();
     
     console.log('✅ Shared objects created in master scene (Step 2)');
 }
@@ -121,11 +118,8 @@ function createProjectionSurfacesInMasterScene() {
         side: THREE.DoubleSide 
     });
     state.imagePlane = new THREE.Mesh(planeGeometry, planeMaterial);
-    state.imagePlane.position.set(
-        state.viewpointPosition.x, 
-        state.viewpointPosition.y, 
-        getImagePlaneZ()
-    );
+    state.imagePlane.position.copy(getImagePlaneCenter());
+    state.imagePlane.quaternion.copy(getViewQuaternion());
     
     const planeEdgesMaterial = new THREE.LineBasicMaterial({ 
         color: config.COLORS.imagePlane, 
@@ -152,13 +146,18 @@ function createProjectionSurfacesInMasterScene() {
     // Create hemisphere for master scene (actual state object, not copy)
     state.hemisphere = createHemisphere(state.hemisphereRadius, state.viewpointPosition);
     
-    // Add both surfaces to master scene with initial visibility settings
+    // Create cylinder for master scene (panoramic projection surface)
+    state.cylinder = createCylinder(state.hemisphereRadius, state.viewpointPosition);
+    
+    // Add all surfaces to master scene with initial visibility settings
     state.master3D.add(state.imagePlane);
     state.master3D.add(state.hemisphere);
+    state.master3D.add(state.cylinder);
     
-    // Initially hide both - visibility will be controlled per viewport
+    // Initially hide all - visibility will be controlled per viewport
     state.imagePlane.visible = false;
     state.hemisphere.visible = false;
+    state.cylinder.visible = false;
     
     console.log('✅ Projection surfaces moved to master scene with visibility control (Step 3)');
 } 
\ No newline at end of file
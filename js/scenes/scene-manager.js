@@ -1,9 +1,10 @@
 // Scene Management System
 import { config } from '../config.js';
-import { state, getImagePlaneZ } from '../state.js';
+import { state } from '../state.js';
+import { getHemi2DBoundaryRadius } from '../projections/hemispherical-projection.js';
 
 export function setupScenes() {
-    const viewIds = ['linear3D', 'linear2D', 'hemi3D', 'hemi2D'];
+    const viewIds = ['linear3D', 'linear2D', 'hemi3D', 'hemi2D', 'equirect2D', 'cylinder3D', 'cylinder2D', 'parallel2D'];
     
     viewIds.forEach(id => {
         const viewElement = document.getElementById(id);
@@ -38,19 +39,29 @@ export function setupScenes() {
             // Phase 4: 3D scene groups are deprecated - master3D handles all 3D groups
             // Create minimal empty groups for compatibility only
             state.groups[id] = {
+                projectedFaces: new THREE.Group(),
                 projectionLines: new THREE.Group(),
                 projectedCubeLines: new THREE.Group(),
                 vanishingPoints: new THREE.Group(),
-                extensionLines: new THREE.Group()
+                extensionLines: new THREE.Group(),
+                primitiveOutlines: new THREE.Group(),
+                ground: new THREE.Group(),
+                shadows: new THREE.Group(),
+                diagnostics: new THREE.Group()
             };
             // Note: Groups not added to scene - master3D scene handles all 3D objects
         } else {
             // 2D scenes still need their groups
             state.groups[id] = {
+                projectedFaces: new THREE.Group(),
                 projectionLines: new THREE.Group(),
                 projectedCubeLines: new THREE.Group(),
                 vanishingPoints: new THREE.Group(),
-                extensionLines: new THREE.Group()
+                extensionLines: new THREE.Group(),
+                primitiveOutlines: new THREE.Group(),
+                ground: new THREE.Group(),
+                shadows: new THREE.Group(),
+                diagnostics: new THREE.Group()
             };
             Object.values(state.groups[id]).forEach(group => scene.add(group));
         }
@@ -72,9 +83,11 @@ export function setupMaster3DScene() {
     state.master3D.background = new THREE.Color(0xffffff);
     
     // Add lighting (same as individual 3D scenes)
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 10, 7.5);
+    const { ambientIntensity, directionalIntensity } = config.LIGHTING;
+    const ambientLight = new THREE.AmbientLight(0xffffff, ambientIntensity);
+    const directionalLight = new THREE.DirectionalLight(0xffffff, directionalIntensity);
+    const { lightPosition } = config.DEFAULTS;
+    directionalLight.position.set(lightPosition.x, lightPosition.y, lightPosition.z);
     state.master3D.add(ambientLight, directionalLight);
     
     // Initialize groups for master scene
@@ -82,7 +95,8 @@ export function setupMaster3DScene() {
         projectionLines: new THREE.Group(),
         projectedCubeLines: new THREE.Group(),
         vanishingPoints: new THREE.Group(),
-        extensionLines: new THREE.Group()
+        extensionLines: new THREE.Group(),
+        shadows: new THREE.Group()
     };
     
     Object.values(state.groups.master3D).forEach(group => state.master3D.add(group));
@@ -91,7 +105,7 @@ export function setupMaster3DScene() {
 }
 
 export function update2DCameras() {
-    ['linear2D', 'hemi2D'].forEach(id => {
+    ['linear2D', 'hemi2D', 'equirect2D', 'cylinder2D', 'parallel2D'].forEach(id => {
         const viewElement = document.getElementById(id);
         const aspect = viewElement.clientWidth / viewElement.clientHeight;
         const camera = state.cameras[id];
@@ -119,7 +133,7 @@ export function createLinear2DBoundary() {
 }
 
 export function createHemi2DBoundary() {
-    const boundaryRadius = (Math.PI / 2) * state.hemisphereRadius;
+    const boundaryRadius = getHemi2DBoundaryRadius(state.hemisphereRadius);
     const circleGeometry = new THREE.RingGeometry(boundaryRadius - 0.05, boundaryRadius, 64);
     const circleMaterial = new THREE.MeshBasicMaterial({ color: config.COLORS.boundary, side: THREE.DoubleSide });
     window.hemiBoundary = new THREE.Mesh(circleGeometry, circleMaterial);
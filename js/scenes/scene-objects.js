@@ -0,0 +1,336 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { getCubeModel, createModelGeometry, createModelEdgesGeometry, setMeshModel } from '../utils/polyhedron.js';
+
+/**
+ * Scene Objects Module
+ * Keeps the list of polyhedra placed in the master3D scene, each with its own position, rotation,
+ * size (mesh scale) and colour. The selected object is state.cube, so the rotation controls act on it,
+ * while every view projects all of them through one combined model (state.model)
+ */
+
+let nextObjectId = 1;
+
+function createObjectMesh(model, color) {
+    const geometry = createModelGeometry(model);
+    const material = new THREE.MeshPhongMaterial({
+        color: color,
+        opacity: 0.75,
+        transparent: true
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+
+    const edges = createModelEdgesGeometry(model, geometry);
+    const lineMaterial = new THREE.LineBasicMaterial({ color: config.COLORS.cubeEdges });
+    mesh.add(new THREE.LineSegments(edges, lineMaterial));
+    return mesh;
+}
+
+function disposeObjectMesh(mesh) {
+    mesh.children.forEach(child => child.geometry.dispose());
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+}
+
+/**
+ * Places a new object in the master3D scene
+ * @param {Object} model - Polyhedron from utils/polyhedron.js (defaults to the cube)
+ * @param {{position?: THREE.Vector3, quaternion?: THREE.Quaternion, scale?: THREE.Vector3, color?: number}} options
+ */
+export function addSceneObject(model = getCubeModel(), options = {}) {
+    const color = options.color !== undefined
+        ? options.color
+        : config.SCENE_OBJECTS.colors[state.sceneObjects.length % config.SCENE_OBJECTS.colors.length];
+    const mesh = createObjectMesh(model, color);
+
+    if (options.position) {
+        mesh.position.copy(options.position);
+    } else {
+        // Spread new objects left and right of the first, each turned a little further about Y
+        const count = state.sceneObjects.length;
+        const side = count % 2 === 1 ? 1 : -1;
+        const defaults = config.SCENE_OBJECTS.defaultPosition;
+        mesh.position.set(defaults.x + side * Math.ceil(count / 2) * config.SCENE_OBJECTS.spacing, defaults.y, defaults.z);
+        mesh.rotation.y = count * config.SCENE_OBJECTS.turnDegrees * Math.PI / 180;
+    }
+    if (options.quaternion) mesh.quaternion.copy(options.quaternion);
+    if (options.scale) mesh.scale.copy(options.scale);
+
+    const object = { id: nextObjectId++, model, color, mesh };
+    state.sceneObjects.push(object);
+    if (state.master3D) {
+        state.master3D.add(mesh);
+    }
+    state.cachedWorldVertices = null;
+    return object;
+}
+
+/**
+ * Copies an object (model, transform and colour), raised above it so both stay visible
+ */
+export function duplicateSceneObject(index = state.selectedObjectIndex) {
+    const source = state.sceneObjects[index];
+    if (!source) {
+        throw new Error(`No scene object at index ${index}`);
+    }
+
+    return addSceneObject(source.model, {
+        position: source.mesh.position.clone().add(new THREE.Vector3(0, config.SCENE_OBJECTS.spacing, 0)),
+        quaternion: source.mesh.quaternion,
+        scale: source.mesh.scale,
+        color: source.color
+    });
+}
+
+/**
+ * Removes an object from the scene; the last remaining object cannot be removed
+ * @returns {boolean} Whether the object was removed
+ */
+export function removeSceneObject(index = state.selectedObjectIndex) {
+    if (state.sceneObjects.length <= 1 || !state.sceneObjects[index]) {
+        return false;
+    }
+
+    const [object] = state.sceneObjects.splice(index, 1);
+    if (object.mesh.parent) {
+        object.mesh.parent.remove(object.mesh);
+    }
+    disposeObjectMesh(object.mesh);
+
+    selectSceneObject(Math.min(state.selectedObjectIndex, state.sceneObjects.length - 1));
+    state.cachedWorldVertices = null;
+    return true;
+}
+
+/**
+ * Makes an object the target of the rotation controls
+ */
+export function selectSceneObject(index) {
+    const object = state.sceneObjects[index];
+    if (!object) {
+        throw new Error(`No scene object at index ${index}`);
+    }
+
+    state.selectedObjectIndex = index;
+    state.cube = object.mesh;
+    state.cube.updateMatrixWorld();
+    if (window.sceneObjects) {
+        window.sceneObjects.cube = state.cube;
+    }
+    return object;
+}
+
+export function getSelectedSceneObject() {
+    return state.sceneObjects[state.selectedObjectIndex];
+}
+
+export function setSceneObjectColor(object, color) {
+    object.color = color;
+    object.mesh.material.color.set(color);
+}
+
+/**
+ * Replaces an object's polyhedron, keeping its transform and colour
+ */
+export function setSceneObjectModel(object, model) {
+    setMeshModel(object.mesh, model);
+    object.model = model;
+    state.cachedWorldVertices = null;
+
+    console.log(`🧊 Loaded model: ${model.name} (${model.vertices.length} vertices, ${model.edges.length / 2} edges, ${Object.keys(model.edgeAxisMapping).length} vanishing directions)`);
+}
+
+/**
+ * Bounding box of a model's own vertices
+ */
+function getModelBounds(model) {
+    // Curved primitives have no vertices and carry their own box
+    return model.bounds ? model.bounds.clone() : new THREE.Box3().setFromPoints(model.vertices);
+}
+
+/**
+ * Width, height and depth of an object along its own axes, in world units
+ */
+export function getSceneObjectSize(object) {
+    return getModelBounds(object.model).getSize(new THREE.Vector3()).multiply(object.mesh.scale);
+}
+
+/**
+ * Stretches an object along one of its own axes ('x' width, 'y' height, 'z' depth) about its centre
+ */
+export function setSceneObjectSize(object, axis, size) {
+    const extent = getModelBounds(object.model).getSize(new THREE.Vector3())[axis];
+    // Flat models have nothing to stretch across their plane
+    if (extent > 0) {
+        object.mesh.scale[axis] = Math.max(config.SCENE_OBJECTS.minSize, size) / extent;
+    }
+}
+
+/**
+ * Drags one vertex to a world point by stretching the object along its own axes, keeping the
+ * opposite side of its bounding box in place (for a box, the diagonally opposite corner)
+ */
+export function moveSceneObjectVertex(object, vertexIndex, worldPoint) {
+    const { mesh, model } = object;
+    const vertex = model.vertices[vertexIndex];
+    const bounds = getModelBounds(model);
+    const center = bounds.getCenter(new THREE.Vector3());
+
+    // Anchor: the bounding box side facing away from the vertex on each axis
+    const anchor = new THREE.Vector3();
+    ['x', 'y', 'z'].forEach(axis => {
+        anchor[axis] = vertex[axis] > center[axis] ? bounds.min[axis] : bounds.max[axis];
+    });
+
+    mesh.updateMatrixWorld();
+    const anchorWorld = anchor.clone().applyMatrix4(mesh.matrixWorld);
+
+    // Target offset from the anchor in the object's rotated (but unscaled) frame
+    const offset = worldPoint.clone().sub(anchorWorld).applyQuaternion(mesh.quaternion.clone().invert());
+
+    const extent = bounds.getSize(new THREE.Vector3());
+    ['x', 'y', 'z'].forEach(axis => {
+        // Vertices midway along an axis (such as a pyramid's apex) leave that axis alone
+        if (Math.abs(vertex[axis] - center[axis]) > 1e-9) {
+            const minScale = config.SCENE_OBJECTS.minSize / extent[axis];
+            mesh.scale[axis] = Math.max(minScale, offset[axis] / (vertex[axis] - anchor[axis]));
+        }
+    });
+
+    // Move the object so the anchor stays where it was
+    const scaledAnchor = anchor.clone().multiply(mesh.scale).applyQuaternion(mesh.quaternion);
+    mesh.position.copy(anchorWorld).sub(scaledAnchor);
+    mesh.updateMatrixWorld();
+}
+
+/**
+ * World direction of one of an object's own edge families (a key of its model's edgeAxisMapping)
+ */
+export function getSceneObjectFamilyDirection(object, familyKey) {
+    const pairs = object.model.edgeAxisMapping[familyKey];
+    object.mesh.updateMatrixWorld();
+    const start = object.model.vertices[pairs[0]].clone().applyMatrix4(object.mesh.matrixWorld);
+    const end = object.model.vertices[pairs[1]].clone().applyMatrix4(object.mesh.matrixWorld);
+    return end.sub(start).normalize();
+}
+
+/**
+ * Finds the object's own edge family running along a world direction (either sense), as buildSceneModel merges them
+ * @returns {string|null} Its key in the model's edgeAxisMapping
+ */
+export function findSceneObjectFamily(object, direction) {
+    const cosTolerance = Math.cos(config.MODELS.clusterToleranceDegrees * Math.PI / 180);
+    const unit = direction.clone().normalize();
+    return Object.keys(object.model.edgeAxisMapping)
+        .find(key => Math.abs(getSceneObjectFamilyDirection(object, key).dot(unit)) >= cosTolerance) || null;
+}
+
+/**
+ * Turns the object by the smallest rotation that lays one of its edge families along a world direction.
+ * The whole object turns rigidly, so its other families keep their angles to this one. Families are lines,
+ * so the sense nearer the family's current direction is used and the object never flips over
+ */
+export function alignSceneObjectFamily(object, familyKey, direction) {
+    const current = getSceneObjectFamilyDirection(object, familyKey);
+    const target = direction.clone().normalize();
+    if (target.dot(current) < 0) {
+        target.negate();
+    }
+
+    object.mesh.quaternion.premultiply(new THREE.Quaternion().setFromUnitVectors(current, target));
+    object.mesh.updateMatrixWorld();
+}
+
+/**
+ * Label for the object list, e.g. "2: Cube"
+ */
+export function getSceneObjectLabel(object) {
+    return `${state.sceneObjects.indexOf(object) + 1}: ${object.model.name}`;
+}
+
+/**
+ * Changes whenever any object's model, transform or colour changes (used for caching and update checks)
+ */
+export function getSceneSignature() {
+    return state.sceneObjects.map(object => {
+        object.mesh.updateMatrixWorld();
+        return `${object.model.id}:${object.color}:${object.mesh.matrixWorld.elements.join(',')}`;
+    }).join('|');
+}
+
+/**
+ * Joins the objects into one model in world space. Edge families of different objects are merged
+ * when their world directions are parallel, so each distinct orientation gets its own vanishing points
+ * @returns {{model: Object, worldVertices: Array<THREE.Vector3>}}
+ */
+export function buildSceneModel(objects = state.sceneObjects) {
+    const parts = objects.map(object => ({
+        object,
+        worldVertices: object.model.vertices.map(vertex => vertex.clone().applyMatrix4(object.mesh.matrixWorld))
+    }));
+
+    // A single object keeps its own edge families, in its own order
+    if (parts.length === 1) {
+        const { object, worldVertices } = parts[0];
+        return {
+            model: { ...object.model, faceColors: object.model.faces.map(() => object.color) },
+            worldVertices
+        };
+    }
+
+    const cosTolerance = Math.cos(config.MODELS.clusterToleranceDegrees * Math.PI / 180);
+    const families = [];
+    const model = {
+        id: parts.map(part => part.object.model.id).join('+'),
+        name: 'Scene',
+        vertices: [],
+        edges: [],
+        faces: [],
+        faceColors: [],
+        edgeAxisMapping: {},
+        edgeDirections: {}
+    };
+
+    parts.forEach(({ object, worldVertices }) => {
+        const offset = model.vertices.length;
+        model.vertices.push(...worldVertices);
+        model.edges.push(...object.model.edges.map(index => index + offset));
+        object.model.faces.forEach(face => {
+            model.faces.push(face.map(index => index + offset));
+            model.faceColors.push(object.color);
+        });
+
+        Object.values(object.model.edgeAxisMapping).forEach(pairs => {
+            const direction = new THREE.Vector3().subVectors(worldVertices[pairs[1]], worldVertices[pairs[0]]).normalize();
+            let familyIndex = families.findIndex(existing => Math.abs(existing.dot(direction)) >= cosTolerance);
+            if (familyIndex < 0) {
+                familyIndex = families.push(direction) - 1;
+                model.edgeAxisMapping[familyIndex] = [];
+            }
+
+            for (let i = 0; i < pairs.length; i += 2) {
+                const a = pairs[i] + offset;
+                const b = pairs[i + 1] + offset;
+                model.edgeAxisMapping[familyIndex].push(a, b);
+                model.edgeDirections[`${a},${b}`] = familyIndex;
+                model.edgeDirections[`${b},${a}`] = familyIndex;
+            }
+        });
+    });
+
+    return { model, worldVertices: model.vertices };
+}
+
+/**
+ * Creates the first object (the cube, unless a model was set beforehand) and selects it
+ */
+export function createInitialSceneObject() {
+    addSceneObject(state.model || getCubeModel(), {
+        position: new THREE.Vector3(
+            config.SCENE_OBJECTS.defaultPosition.x,
+            config.SCENE_OBJECTS.defaultPosition.y,
+            config.SCENE_OBJECTS.defaultPosition.z
+        )
+    });
+    return selectSceneObject(0);
+}
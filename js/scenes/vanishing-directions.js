@@ -0,0 +1,72 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+
+/**
+ * Vanishing Directions Module
+ * Directions added by the user on top of the scene objects' edge families, such as the slope of a roof.
+ * Each is typed as a vector or picked as the line between two points in the scene, and gets its own
+ * coloured vanishing points and a guide along the line through its anchor point
+ */
+
+let nextDirectionId = 1;
+
+function formatComponent(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Short text for a vector, e.g. "(0, 1, 0.5)"
+ */
+export function formatDirection(vector) {
+    return `(${formatComponent(vector.x)}, ${formatComponent(vector.y)}, ${formatComponent(vector.z)})`;
+}
+
+/**
+ * Adds a direction with its own colour
+ * @param {THREE.Vector3} direction - World direction (any length but zero)
+ * @param {THREE.Vector3} anchor - World point the guide lines pass through
+ * @param {string} label - Name for the direction list
+ */
+export function addVanishingDirection(direction, anchor, label = formatDirection(direction)) {
+    if (direction.lengthSq() < 1e-12) {
+        throw new Error('A vanishing direction needs a non-zero vector');
+    }
+
+    const colors = config.VANISHING_DIRECTIONS.colors;
+    const id = nextDirectionId++;
+    const entry = {
+        id,
+        direction: direction.clone().normalize(),
+        anchor: anchor.clone(),
+        color: colors[(id - 1) % colors.length],
+        label
+    };
+    state.vanishingDirections.push(entry);
+    return entry;
+}
+
+/**
+ * Adds the direction from one picked point to another, anchored at the first
+ */
+export function addVanishingDirectionFromPoints(start, end) {
+    const direction = end.clone().sub(start);
+    return addVanishingDirection(direction, start, `${formatDirection(start)} → ${formatDirection(end)}`);
+}
+
+/**
+ * @returns {boolean} Whether a direction was removed
+ */
+export function removeVanishingDirection(index) {
+    if (!state.vanishingDirections[index]) {
+        return false;
+    }
+    state.vanishingDirections.splice(index, 1);
+    return true;
+}
+
+/**
+ * Changes whenever a direction is added or removed (directions themselves never change)
+ */
+export function getVanishingDirectionSignature() {
+    return state.vanishingDirections.map(entry => entry.id).join(',');
+}
@@ -12,19 +12,30 @@ export const state = {
     master3D: null,
     
     // 3D objects
+    // Polyhedra placed in the scene (see scenes/scene-objects.js); cube is the selected one's mesh
+    sceneObjects: [],
+    selectedObjectIndex: 0,
     cube: null,
+    // All scene objects joined into one world-space polyhedron, as drawn by every view
+    model: null,
     viewpointSphere: null,
     imagePlane: null,
     hemisphere: null,
+    cylinder: null,
     hemisphereCenter: new THREE.Vector3(),
+    // View orientation a fixed dome was pinned with, so turning the gaze afterwards leaves the dome in place
+    hemisphereOrientation: new THREE.Quaternion(),
     
     // Parameters
     hemisphereRadius: config.DEFAULTS.hemisphereRadius,
+    focalDistance: config.DEFAULTS.focalDistance,
+    focalLocked: config.DEFAULTS.focalLocked,
     viewpointPosition: new THREE.Vector3(
         config.DEFAULTS.viewpointPosition.x,
         config.DEFAULTS.viewpointPosition.y,
         config.DEFAULTS.viewpointPosition.z
     ),
+    viewOrientation: { ...config.DEFAULTS.viewOrientation },
     cubeLocalRotation: { ...config.DEFAULTS.cubeLocalRotation },
     // Precise orientation using zx'z'' intrinsic Euler angles (in degrees)
     cubeEulerAngles: { ...config.DEFAULTS.cubeEulerAngles },
@@ -40,7 +51,11 @@ export const state = {
         'linear3D-window': true,
         'linear2D-window': true,
         'hemi3D-window': true,
-        'hemi2D-window': true
+        'hemi2D-window': true,
+        'equirect2D-window': false,
+        'cylinder3D-window': false,
+        'cylinder2D-window': false,
+        'parallel2D-window': false
     },
     
     // Drag state for window management
@@ -65,7 +80,11 @@ export const state = {
         linear3D: true,
         linear2D: true,
         hemi3D: true,
-        hemi2D: true
+        hemi2D: true,
+        equirect2D: true,
+        cylinder3D: true,
+        cylinder2D: true,
+        parallel2D: true
     },
     
     // Ray visualization toggles
@@ -74,9 +93,65 @@ export const state = {
     // Linear projection plane shape toggle
     linearProjectionShape: 'circle', // 'square' or 'circle'
     
+    // Radial mapping used by the hemispherical 2D view (key of config.FISHEYE_MAPPINGS)
+    fisheyeMapping: config.DEFAULTS.fisheyeMapping,
+    
+    // Hemisphere placement: 'centred' follows the viewpoint, 'fixed' keeps it at hemisphereCenter
+    hemisphereMode: config.DEFAULTS.hemisphereMode,
+    
+    // Drawing of edges hidden behind front faces (key of config.HIDDEN_EDGE_STYLES)
+    hiddenEdgeStyle: config.DEFAULTS.hiddenEdgeStyle,
+    
+    // Filled, shaded cube faces in the 2D views
+    showFaces: config.DEFAULTS.showFaces,
+    
+    // Ray-traced image under the hemi2D wireframe, rendered in a worker (see rendering/hemi-ray-trace.js)
+    showRayTrace: config.DEFAULTS.showRayTrace,
+    rayTraceImage: null,
+    
+    // Residuals between the arc construction and the direct formula in hemi2D
+    showDiagnostics: config.DEFAULTS.showDiagnostics,
+    
+    // Projected floor grid (width and line spacing, in scene units) and horizon
+    showGroundGrid: config.DEFAULTS.showGroundGrid,
+    showHorizon: config.DEFAULTS.showHorizon,
+    groundExtent: config.DEFAULTS.groundExtent,
+    groundSpacing: config.DEFAULTS.groundSpacing,
+    groundGridHelper: null,
+    
+    // Directions added by the user, each with its own vanishing points (see scenes/vanishing-directions.js)
+    vanishingDirections: [],
+    // Points picked so far while choosing a direction from two scene points; null when not picking
+    directionPickPoints: null,
+    
+    // Light that casts shadows on the ground (see utils/shadows.js)
+    showShadows: config.DEFAULTS.showShadows,
+    lightType: config.DEFAULTS.lightType,
+    lightPosition: new THREE.Vector3(config.DEFAULTS.lightPosition.x, config.DEFAULTS.lightPosition.y, config.DEFAULTS.lightPosition.z),
+    
+    // Parallel projection window: view preset (key of config.PARALLEL_PRESETS) and how far off the viewer is,
+    // as a slider position where 1 is at infinity (see projections/parallel-projection.js)
+    parallelPreset: config.DEFAULTS.parallelPreset,
+    parallelDistance: config.DEFAULTS.parallelDistance,
+    
+    // Circular fisheye photo behind hemi2D and how it is fitted to the boundary circle (see ui/fisheye-overlay.js)
+    fisheyeOverlay: null,
+    fisheyeFit: { ...config.DEFAULTS.fisheyeFit },
+    
+    // Photo underlay in linear2D with its three calibration markers; null until a photo is loaded (see ui/photo-calibration.js)
+    calibration: null,
+    
+    // Vanishing directions found by the latest linear and hemispherical updates (camera frame), for the grid sheets
+    vanishingPoints: { linear: [], hemi: [] },
+    
+    // Printable perspective grid: sheet type (key of config.GRID_SHEETS.types), lines per family and paper
+    gridSheetType: config.DEFAULTS.gridSheetType,
+    gridSheetDensity: config.DEFAULTS.gridSheetDensity,
+    gridSheetPaper: config.DEFAULTS.gridSheetPaper,
+    
     // Cached data for performance
     cachedWorldVertices: null,
-    lastCubeMatrixWorld: new THREE.Matrix4(),
+    lastSceneSignature: '',
     lastUpdateHash: '',
     
     // Performance monitoring
@@ -101,8 +176,176 @@ export const state = {
 };
 
 // State helper functions
-export function getImagePlaneZ() {
-    return state.viewpointPosition.z - state.hemisphereRadius;
+/**
+ * Rotation of the camera frame relative to the world (identity = looking down -Z with +Y up)
+ * Yaw turns about world Y, pitch tilts about the camera X axis, roll spins about the gaze
+ */
+export function getViewQuaternion() {
+    const toRadians = Math.PI / 180;
+    const euler = new THREE.Euler(
+        state.viewOrientation.pitch * toRadians,
+        state.viewOrientation.yaw * toRadians,
+        state.viewOrientation.roll * toRadians,
+        'YXZ'
+    );
+    return new THREE.Quaternion().setFromEuler(euler);
+}
+
+/**
+ * Expresses a world direction in the camera frame, where the gaze is -Z
+ */
+export function directionToViewFrame(direction) {
+    return direction.clone().applyQuaternion(getViewQuaternion().invert());
+}
+
+/**
+ * Expresses a world point relative to the viewpoint in the camera frame
+ */
+export function toViewFrame(worldPoint) {
+    return directionToViewFrame(worldPoint.clone().sub(state.viewpointPosition));
+}
+
+/**
+ * Expresses a camera-frame direction in world coordinates
+ */
+export function viewFrameToWorld(direction) {
+    return direction.clone().applyQuaternion(getViewQuaternion());
+}
+
+/**
+ * Rotation of the hemisphere's frame: the camera frame, or for a fixed dome the one it was pinned with
+ */
+export function getDomeQuaternion() {
+    return state.hemisphereMode === 'fixed' ? state.hemisphereOrientation.clone() : getViewQuaternion();
+}
+
+/**
+ * Expresses a world direction in the hemisphere's frame, whose pole is -Z
+ */
+export function directionToDomeFrame(direction) {
+    return direction.clone().applyQuaternion(getDomeQuaternion().invert());
+}
+
+/**
+ * Expresses a hemisphere-frame direction in world coordinates
+ */
+export function domeFrameToWorld(direction) {
+    return direction.clone().applyQuaternion(getDomeQuaternion());
+}
+
+/**
+ * Clips a camera-frame segment to the half-space in front of the viewer (z <= clipZ)
+ * Returns the visible part with flags for which end was cut, or null if the whole segment is behind
+ */
+export function clipSegmentToViewFront(start, end, clipZ = 0) {
+    const startVisible = start.z <= clipZ;
+    const endVisible = end.z <= clipZ;
+
+    if (!startVisible && !endVisible) {
+        return null;
+    }
+    if (startVisible && endVisible) {
+        return { start: start.clone(), end: end.clone(), startClipped: false, endClipped: false };
+    }
+
+    const t = (clipZ - start.z) / (end.z - start.z);
+    const clipPoint = start.clone().lerp(end, t);
+    clipPoint.z = clipZ;
+
+    return startVisible
+        ? { start: start.clone(), end: clipPoint, startClipped: false, endClipped: true }
+        : { start: clipPoint, end: end.clone(), startClipped: true, endClipped: false };
+}
+
+/**
+ * Clips a camera-frame polygon to the half-space in front of the viewer (z <= clipZ)
+ * Vertices are { point, edgeTag } where edgeTag labels the edge leaving that vertex;
+ * edges made along the clip plane are tagged 'clip'
+ */
+export function clipPolygonToViewFront(vertices, clipZ = 0) {
+    const clipped = [];
+
+    vertices.forEach((vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        const vertexVisible = vertex.point.z <= clipZ;
+        const nextVisible = next.point.z <= clipZ;
+
+        if (vertexVisible) {
+            clipped.push({ point: vertex.point.clone(), edgeTag: vertex.edgeTag });
+        }
+        if (vertexVisible !== nextVisible) {
+            const t = (clipZ - vertex.point.z) / (next.point.z - vertex.point.z);
+            const clipPoint = vertex.point.clone().lerp(next.point, t);
+            clipPoint.z = clipZ;
+            // Leaving the visible side, the outline runs along the clip plane until it re-enters
+            clipped.push({ point: clipPoint, edgeTag: vertexVisible ? 'clip' : vertex.edgeTag });
+        }
+    });
+
+    return clipped;
+}
+
+/**
+ * Clips a camera-frame polyline to the half-space in front of the viewer (z <= clipZ)
+ * Returns the visible runs, each ending exactly on the clip plane where it was cut;
+ * a closed polyline that stays in front comes back as one run ending where it began
+ */
+export function clipPolylineToViewFront(points, closed = false, clipZ = 0) {
+    const path = closed ? [...points, points[0]] : points;
+    const runs = [];
+    let run = [];
+
+    path.forEach((point, i) => {
+        const visible = point.z <= clipZ;
+        const previous = path[i - 1];
+
+        if (previous && visible !== (previous.z <= clipZ)) {
+            const t = (clipZ - previous.z) / (point.z - previous.z);
+            const clipPoint = previous.clone().lerp(point, t);
+            clipPoint.z = clipZ;
+            run.push(clipPoint);
+            if (!visible) {
+                runs.push(run);
+                run = [];
+            }
+        }
+        if (visible) {
+            run.push(point.clone());
+        }
+    });
+    if (run.length > 0) {
+        runs.push(run);
+    }
+
+    // A closed loop cut open joins its last run back onto its first
+    if (closed && runs.length > 1 && path[0].z <= clipZ) {
+        const last = runs.pop();
+        runs[0] = [...last, ...runs[0].slice(1)];
+    }
+
+    return runs.filter(visibleRun => visibleRun.length > 1);
+}
+
+/**
+ * Distance from the viewpoint to the linear image plane
+ * While locked it follows the hemisphere radius, as in the original combined setup
+ */
+export function getFocalDistance() {
+    return state.focalLocked ? state.hemisphereRadius : state.focalDistance;
+}
+
+/**
+ * Full field of view (degrees) across the linear image plane, whose half-width is R
+ */
+export function getLinearFieldOfView() {
+    return 2 * Math.atan(state.hemisphereRadius / getFocalDistance()) * 180 / Math.PI;
+}
+
+/**
+ * World-space centre of the linear image plane, one focal distance along the gaze from the viewpoint
+ */
+export function getImagePlaneCenter() {
+    return state.viewpointPosition.clone().add(viewFrameToWorld(new THREE.Vector3(0, 0, -getFocalDistance())));
 }
 
 // Rotation mode management
@@ -152,9 +395,13 @@ export function markViewportsDirty(updateType = 'all') {
     } else if (updateType === 'camera') {
         state.viewportDirty.linear3D = true;
         state.viewportDirty.hemi3D = true;
+        state.viewportDirty.cylinder3D = true;
     } else if (updateType === 'zoom2D') {
         state.viewportDirty.linear2D = true;
         state.viewportDirty.hemi2D = true;
+        state.viewportDirty.equirect2D = true;
+        state.viewportDirty.cylinder2D = true;
+        state.viewportDirty.parallel2D = true;
     }
     
     state.needsUpdate.render = true;
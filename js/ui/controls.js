@@ -1,6 +1,14 @@
-import { state, setRotationMode, isLocalRotationMode, isPreciseOrientationMode } from '../state.js';
+import { state, setRotationMode, isLocalRotationMode, isPreciseOrientationMode, getFocalDistance, getLinearFieldOfView, getViewQuaternion } from '../state.js';
 import { config } from '../config.js';
 import { safeDispose, createHemisphere, setPreciseOrientation, validateEulerAngles, synchronizeRotationState, resetCubeOrientation } from '../utils/three-utils.js';
+import { createPresetModel, parsePolyhedronJSON, parseOBJ } from '../utils/polyhedron.js';
+import { addSceneObject, duplicateSceneObject, removeSceneObject, selectSceneObject, getSelectedSceneObject, setSceneObjectColor, setSceneObjectModel, getSceneObjectLabel, getSceneObjectSize, setSceneObjectSize } from '../scenes/scene-objects.js';
+import { addVanishingDirection, removeVanishingDirection } from '../scenes/vanishing-directions.js';
+import { updateGroundGridHelper } from '../utils/ground-plane.js';
+import { exportGridSheet } from './grid-sheet.js';
+import { loadCalibrationPhoto, clearCalibrationPhoto, applyPhotoCalibration } from './photo-calibration.js';
+import { loadFisheyeOverlay, clearFisheyeOverlay } from './fisheye-overlay.js';
+import { getHemi2DBoundaryRadius } from '../projections/hemispherical-projection.js';
 
 /**
  * Controls Module
@@ -13,6 +21,72 @@ let hasDragged = false;
 let dragOffset = { x: 0, y: 0 };
 let controlsContainer = null;
 
+// Size sliders and the object axis each one stretches
+const OBJECT_SIZE_SLIDERS = { objectWidth: 'x', objectHeight: 'y', objectDepth: 'z' };
+
+// Fisheye photo fit sliders and the state.fisheyeFit value each one sets
+const FISHEYE_FIT_SLIDERS = { fisheyeCenterX: 'centerX', fisheyeCenterY: 'centerY', fisheyeRadius: 'radius', fisheyeRotation: 'rotation' };
+
+function setSliderValue(elementId, value) {
+    const slider = document.getElementById(elementId);
+    const numberInput = document.getElementById(elementId + '-number');
+    if (slider && numberInput) {
+        slider.value = value;
+        numberInput.value = value;
+    }
+}
+
+/**
+ * Shows the selected object's position and size on its sliders (after selecting, loading or dragging)
+ */
+export function updateObjectTransformControls() {
+    const object = getSelectedSceneObject();
+    if (!object) return;
+
+    const round = (value) => Math.round(value * 10) / 10;
+    ['x', 'y', 'z'].forEach(axis => {
+        setSliderValue(`object${axis.toUpperCase()}`, round(object.mesh.position[axis]));
+    });
+    const size = getSceneObjectSize(object);
+    Object.entries(OBJECT_SIZE_SLIDERS).forEach(([elementId, axis]) => {
+        setSliderValue(elementId, round(size[axis]));
+    });
+}
+
+const DIRECTION_HINT = 'Type a direction (x, y, z) through the selected object, or pick two points in a 3D view';
+
+/**
+ * Lists the added vanishing directions and shows how far a two-point pick has got (after adding, removing or picking)
+ */
+export function updateVanishingDirectionControls() {
+    const directionSelect = document.getElementById('direction-select');
+    if (directionSelect) {
+        const previous = directionSelect.selectedIndex;
+        directionSelect.innerHTML = state.vanishingDirections
+            .map((entry, i) => `<option value="${i}" style="color: #${new THREE.Color(entry.color).getHexString()}">${i + 1}: ${entry.label}</option>`)
+            .join('');
+        directionSelect.selectedIndex = Math.min(Math.max(previous, 0), state.vanishingDirections.length - 1);
+    }
+
+    const removeButton = document.getElementById('remove-direction-btn');
+    if (removeButton) {
+        removeButton.disabled = state.vanishingDirections.length === 0;
+    }
+
+    const picking = state.directionPickPoints !== null;
+    const pickButton = document.getElementById('pick-direction-btn');
+    if (pickButton) {
+        pickButton.classList.toggle('active', picking);
+        pickButton.textContent = picking ? 'Cancel Pick' : 'Pick Two Points';
+    }
+    const readout = document.getElementById('direction-readout');
+    if (readout) {
+        readout.textContent = picking
+            ? `Click the ${state.directionPickPoints.length === 0 ? 'first' : 'second'} point in a 3D view: a corner, a surface or the floor`
+            : DIRECTION_HINT;
+    }
+}
+
 export class Controls {
     constructor(projectionManager, cameras, sceneObjects) {
         this.projectionManager = projectionManager;
@@ -72,11 +146,41 @@ export class Controls {
             state.viewpointPosition.z = value;
         });
         
+        // View direction (tilts the image plane and hemisphere with the gaze)
+        this.setupSliderControl('viewYaw', (value) => {
+            state.viewOrientation.yaw = value;
+        });
+        
+        this.setupSliderControl('viewPitch', (value) => {
+            state.viewOrientation.pitch = value;
+        });
+        
+        this.setupSliderControl('viewRoll', (value) => {
+            state.viewOrientation.roll = value;
+        });
+        
         this.setupSliderControl('hemisphereRadius', (value) => {
             state.hemisphereRadius = value;
             this.recreateHemisphere();
+            this.updateFocalControls();
         });
 
+        // Linear image plane distance, independent of R once unlocked
+        this.setupSliderControl('focalDistance', (value) => {
+            state.focalDistance = value;
+            this.updateFocalControls();
+        });
+
+        this.setupCheckboxControl('focal-lock', (checked) => {
+            state.focalLocked = checked;
+            if (!checked) {
+                // Start unlocked editing from the distance the plane currently has
+                state.focalDistance = state.hemisphereRadius;
+            }
+            this.updateFocalControls();
+        });
+        this.updateFocalControls();
+
         // Setup mode toggle
         this.setupModeToggle();
         
@@ -95,7 +199,7 @@ export class Controls {
 
         this.setupSliderControl('zoom3D', (value) => {
             const newDistance = value;
-            ['linear3D', 'hemi3D'].forEach(id => {
+            ['linear3D', 'hemi3D', 'cylinder3D'].forEach(id => {
                 const camera = this.cameras[id];
                 const currentDistance = camera.position.length();
                 if (currentDistance > 0) {
@@ -116,6 +220,131 @@ export class Controls {
             state.linearProjectionShape = checked ? 'circle' : 'square';
         });
 
+        // Filled faces toggle
+        this.setupCheckboxControl('show-faces', (checked) => {
+            state.showFaces = checked;
+        });
+
+        // Light source and the shadows it casts on the ground
+        this.setupCheckboxControl('show-shadows', (checked) => {
+            state.showShadows = checked;
+        });
+        this.setupSelectControl('light-type', (value) => {
+            if (!config.LIGHT_TYPES[value]) {
+                console.warn(`Unknown light type: ${value}`);
+                return;
+            }
+            state.lightType = value;
+        });
+        ['x', 'y', 'z'].forEach(axis => {
+            this.setupSliderControl(`light${axis.toUpperCase()}`, (value) => {
+                state.lightPosition[axis] = value;
+            });
+        });
+
+        // Ray-traced hemi2D image toggle
+        this.setupCheckboxControl('show-ray-trace', (checked) => {
+            state.showRayTrace = checked;
+        });
+
+        // Construction diagnostics toggle
+        this.setupCheckboxControl('show-diagnostics', (checked) => {
+            state.showDiagnostics = checked;
+        });
+
+        // Projected floor grid and horizon; the 3D grid is rebuilt to match the extent and spacing
+        this.setupCheckboxControl('show-ground-grid', (checked) => {
+            state.showGroundGrid = checked;
+        });
+        this.setupCheckboxControl('show-horizon', (checked) => {
+            state.showHorizon = checked;
+        });
+        this.setupSliderControl('groundExtent', (value) => {
+            state.groundExtent = value;
+            updateGroundGridHelper();
+        });
+        this.setupSliderControl('groundSpacing', (value) => {
+            state.groundSpacing = value;
+            updateGroundGridHelper();
+        });
+
+        // Printable grid sheet, oriented by the vanishing points of the latest update
+        this.setupGridSheetControls();
+
+        // Photo underlay whose marked vanishing points set the focal distance, viewpoint and object turn
+        this.setupCalibrationControls();
+
+        // Circular fisheye photo behind hemi2D and its fit to the boundary circle
+        this.setupFisheyeOverlayControls();
+
+        // Fixed dome: pin the hemisphere where the viewpoint is now, facing the current gaze, then let the
+        // viewpoint move and turn inside it
+        this.setupCheckboxControl('fixed-dome-toggle', (checked) => {
+            if (checked) {
+                state.hemisphereCenter.copy(state.viewpointPosition);
+                state.hemisphereOrientation.copy(getViewQuaternion());
+            }
+            state.hemisphereMode = checked ? 'fixed' : 'centred';
+        });
+
+        // Hemispherical radial mapping selector
+        this.setupSelectControl('fisheye-mapping', (value) => {
+            if (!config.FISHEYE_MAPPINGS[value]) {
+                console.warn(`Unknown fisheye mapping: ${value}`);
+                return;
+            }
+            state.fisheyeMapping = value;
+        });
+
+        // Scene object list: add, duplicate, delete, select and recolour
+        this.setupSceneObjectControls();
+
+        // Extra vanishing directions, typed or picked from two scene points
+        this.setupVanishingDirectionControls();
+
+        // Position and size of the selected object, along the world axes and its own axes
+        ['x', 'y', 'z'].forEach(axis => {
+            this.setupSliderControl(`object${axis.toUpperCase()}`, (value) => {
+                getSelectedSceneObject().mesh.position[axis] = value;
+            });
+        });
+        Object.entries(OBJECT_SIZE_SLIDERS).forEach(([elementId, axis]) => {
+            this.setupSliderControl(elementId, (value) => {
+                setSceneObjectSize(getSelectedSceneObject(), axis, value);
+            });
+        });
+
+        // Model selector and file loader (JSON or Wavefront OBJ), applied to the selected object
+        this.setupSelectControl('model-preset', (value) => {
+            try {
+                this.showModel(createPresetModel(value));
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+        this.setupModelFileControl();
+
+        // Parallel projection window: view preset, and the viewer brought in from infinity
+        this.setupSelectControl('parallel-preset', (value) => {
+            if (!config.PARALLEL_PRESETS[value]) {
+                console.warn(`Unknown parallel projection preset: ${value}`);
+                return;
+            }
+            state.parallelPreset = value;
+        });
+        this.setupSliderControl('parallelDistance', (value) => {
+            state.parallelDistance = value;
+        });
+
+        // Hidden edge style selector
+        this.setupSelectControl('hidden-edge-style', (value) => {
+            if (!config.HIDDEN_EDGE_STYLES[value]) {
+                console.warn(`Unknown hidden edge style: ${value}`);
+                return;
+            }
+            state.hiddenEdgeStyle = value;
+        });
+
         setupControlDragging();
     }
 
@@ -194,6 +423,313 @@ export class Controls {
         });
     }
 
+    setupSelectControl(elementId, updateCallback) {
+        const select = document.getElementById(elementId);
+        
+        if (!select) {
+            console.error('Select element not found with ID:', elementId);
+            return;
+        }
+        
+        select.addEventListener('change', (e) => {
+            if (updateCallback) {
+                updateCallback(e.target.value, e);
+            }
+            this.scheduleUpdate();
+        });
+    }
+
+    setupModelFileControl() {
+        const fileInput = document.getElementById('model-file');
+        if (!fileInput) {
+            console.error('Model file input not found');
+            return;
+        }
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const name = file.name.replace(/\.[^.]+$/, '');
+                const model = file.name.toLowerCase().endsWith('.obj')
+                    ? parseOBJ(text, name)
+                    : parsePolyhedronJSON(text);
+                this.showModel(model);
+                this.scheduleUpdate();
+            } catch (error) {
+                console.warn(`Could not load model from ${file.name}:`, error);
+                const readout = document.getElementById('model-readout');
+                if (readout) {
+                    readout.textContent = `Could not load ${file.name}: ${error.message}`;
+                }
+            }
+        });
+    }
+
+    showModel(model) {
+        setSceneObjectModel(getSelectedSceneObject(), model);
+        this.updateModelReadout(model);
+        this.updateSceneObjectList();
+        updateObjectTransformControls();
+    }
+
+    updateModelReadout(model) {
+        const readout = document.getElementById('model-readout');
+        if (readout) {
+            const directionCount = Object.keys(model.edgeAxisMapping).length;
+            readout.textContent = `${model.name}: ${directionCount} vanishing direction${directionCount === 1 ? '' : 's'}`;
+        }
+    }
+
+    setupGridSheetControls() {
+        const button = document.getElementById('grid-sheet-btn');
+        const readout = document.getElementById('grid-sheet-readout');
+        if (!button) {
+            console.error('Grid sheet controls not found');
+            return;
+        }
+
+        this.setupSelectControl('grid-sheet-type', (value) => {
+            state.gridSheetType = value;
+        });
+        this.setupSelectControl('grid-sheet-paper', (value) => {
+            state.gridSheetPaper = value;
+        });
+        this.setupSliderControl('gridSheetDensity', (value) => {
+            state.gridSheetDensity = value;
+        });
+
+        button.addEventListener('click', () => {
+            try {
+                const note = exportGridSheet();
+                if (readout) readout.textContent = note;
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+    }
+
+    setupCalibrationControls() {
+        const fileInput = document.getElementById('calibration-photo');
+        const calibrateButton = document.getElementById('calibrate-btn');
+        const clearButton = document.getElementById('clear-photo-btn');
+        const readout = document.getElementById('calibration-readout');
+        if (!fileInput || !calibrateButton || !clearButton) {
+            console.error('Photo calibration controls not found');
+            return;
+        }
+
+        const showPhotoState = (note) => {
+            calibrateButton.disabled = !state.calibration;
+            clearButton.disabled = !state.calibration;
+            if (readout) readout.textContent = note;
+            this.projectionManager.scheduleUpdate('zoom2D');
+        };
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                await loadCalibrationPhoto(file);
+                showPhotoState(`${file.name}: drag the red, green and blue rings onto the vanishing points of the selected object's first three edge directions`);
+            } catch (error) {
+                console.warn(`Could not load photo ${file.name}:`, error);
+                showPhotoState(`Could not load ${file.name}`);
+            }
+        });
+
+        calibrateButton.addEventListener('click', () => {
+            let result;
+            try {
+                result = applyPhotoCalibration();
+            } catch (error) {
+                showPhotoState(error.message);
+                return;
+            }
+
+            setSliderValue('hemisphereRadius', Math.round(result.focalDistance * 10) / 10);
+            ['x', 'y', 'z'].forEach(axis => {
+                setSliderValue(`viewpoint${axis.toUpperCase()}`, Math.round(state.viewpointPosition[axis] * 10) / 10);
+            });
+            this.recreateHemisphere();
+            this.updateFocalControls();
+            synchronizeRotationState(state.rotationMode);
+            showPhotoState(`Focal distance ${result.focalDistance.toFixed(2)}, principal point (${result.principalPoint.x.toFixed(2)}, ${result.principalPoint.y.toFixed(2)}) moved to the centre`);
+            this.scheduleUpdate();
+        });
+
+        clearButton.addEventListener('click', () => {
+            clearCalibrationPhoto();
+            fileInput.value = '';
+            showPhotoState('Photo removed');
+        });
+    }
+
+    setupFisheyeOverlayControls() {
+        const fileInput = document.getElementById('fisheye-photo');
+        const clearButton = document.getElementById('clear-fisheye-btn');
+        const readout = document.getElementById('fisheye-readout');
+        if (!fileInput || !clearButton) {
+            console.error('Fisheye photo controls not found');
+            return;
+        }
+
+        const showPhotoState = (note) => {
+            clearButton.disabled = !state.fisheyeOverlay;
+            if (readout) readout.textContent = note;
+            this.projectionManager.scheduleUpdate('zoom2D');
+        };
+
+        fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                await loadFisheyeOverlay(file, getHemi2DBoundaryRadius());
+                showPhotoState(`${file.name}: fit its image circle to the boundary, then pick the mapping whose edges follow the photo`);
+            } catch (error) {
+                console.warn(`Could not load photo ${file.name}:`, error);
+                showPhotoState(`Could not load ${file.name}`);
+            }
+        });
+
+        clearButton.addEventListener('click', () => {
+            clearFisheyeOverlay();
+            fileInput.value = '';
+            showPhotoState('Photo removed');
+        });
+
+        // Fit values live in state so the overlay follows the boundary when R or the mapping changes
+        Object.entries(FISHEYE_FIT_SLIDERS).forEach(([elementId, key]) => {
+            this.setupSliderControl(elementId, (value) => {
+                state.fisheyeFit[key] = value;
+            });
+        });
+    }
+
+    setupSceneObjectControls() {
+        const objectSelect = document.getElementById('object-select');
+        const colorInput = document.getElementById('object-color');
+        if (!objectSelect || !colorInput) {
+            console.error('Scene object controls not found');
+            return;
+        }
+
+        this.setupSelectControl('object-select', (value) => {
+            this.selectObject(parseInt(value, 10));
+        });
+
+        colorInput.addEventListener('input', (e) => {
+            setSceneObjectColor(getSelectedSceneObject(), new THREE.Color(e.target.value).getHex());
+            this.scheduleUpdate();
+        });
+
+        const buttonActions = {
+            'add-object-btn': () => addSceneObject(),
+            'duplicate-object-btn': () => duplicateSceneObject()
+        };
+        Object.entries(buttonActions).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (!button) {
+                console.error(`Scene object button not found: ${id}`);
+                return;
+            }
+            button.addEventListener('click', () => {
+                action();
+                this.selectObject(state.sceneObjects.length - 1);
+                this.scheduleUpdate();
+            });
+        });
+
+        const deleteButton = document.getElementById('delete-object-btn');
+        if (deleteButton) {
+            deleteButton.addEventListener('click', () => {
+                if (removeSceneObject()) {
+                    this.selectObject(state.selectedObjectIndex);
+                    this.scheduleUpdate();
+                }
+            });
+        }
+
+        this.updateSceneObjectList();
+    }
+
+    setupVanishingDirectionControls() {
+        const addButton = document.getElementById('add-direction-btn');
+        const pickButton = document.getElementById('pick-direction-btn');
+        const removeButton = document.getElementById('remove-direction-btn');
+        if (!addButton || !pickButton || !removeButton) {
+            console.error('Vanishing direction controls not found');
+            return;
+        }
+
+        addButton.addEventListener('click', () => {
+            const direction = new THREE.Vector3(
+                ...['x', 'y', 'z'].map(axis => parseFloat(document.getElementById(`direction-${axis}`).value) || 0)
+            );
+            try {
+                addVanishingDirection(direction, getSelectedSceneObject().mesh.position);
+            } catch (error) {
+                console.warn(error.message);
+                return;
+            }
+            updateVanishingDirectionControls();
+            this.scheduleUpdate();
+        });
+
+        // The 3D views take the next two left clicks as the points; clicking again cancels
+        pickButton.addEventListener('click', () => {
+            state.directionPickPoints = state.directionPickPoints ? null : [];
+            updateVanishingDirectionControls();
+        });
+
+        removeButton.addEventListener('click', () => {
+            const directionSelect = document.getElementById('direction-select');
+            if (directionSelect && removeVanishingDirection(directionSelect.selectedIndex)) {
+                updateVanishingDirectionControls();
+                this.scheduleUpdate();
+            }
+        });
+
+        updateVanishingDirectionControls();
+    }
+
+    /**
+     * Points the rotation controls, colour and model readout at another scene object
+     */
+    selectObject(index) {
+        const object = selectSceneObject(index);
+
+        // The rotation sliders read the object's current orientation
+        synchronizeRotationState(state.rotationMode);
+
+        const colorInput = document.getElementById('object-color');
+        if (colorInput) {
+            colorInput.value = `#${new THREE.Color(object.color).getHexString()}`;
+        }
+        this.updateModelReadout(object.model);
+        this.updateSceneObjectList();
+        updateObjectTransformControls();
+    }
+
+    updateSceneObjectList() {
+        const objectSelect = document.getElementById('object-select');
+        if (!objectSelect) return;
+
+        objectSelect.innerHTML = state.sceneObjects
+            .map((object, i) => `<option value="${i}">${getSceneObjectLabel(object)}</option>`)
+            .join('');
+        objectSelect.value = String(state.selectedObjectIndex);
+
+        const deleteButton = document.getElementById('delete-object-btn');
+        if (deleteButton) {
+            deleteButton.disabled = state.sceneObjects.length <= 1;
+        }
+    }
+
     setupRotationControl(elementId, axis, rotationObj) {
         const slider = document.getElementById(elementId);
         const numberInput = document.getElementById(elementId + '-number');
@@ -439,6 +975,24 @@ export class Controls {
         numberInput.value = currentValue;
     }
 
+    updateFocalControls() {
+        const slider = document.getElementById('focalDistance');
+        const numberInput = document.getElementById('focalDistance-number');
+        const readout = document.getElementById('focal-fov-readout');
+        
+        if (slider && numberInput) {
+            const focalDistance = getFocalDistance();
+            slider.value = focalDistance;
+            numberInput.value = focalDistance;
+            slider.disabled = state.focalLocked;
+            numberInput.disabled = state.focalLocked;
+        }
+        
+        if (readout) {
+            readout.textContent = `Field of view: ${getLinearFieldOfView().toFixed(1)}°`;
+        }
+    }
+
     recreateHemisphere() {
         // Phase 4: Use master3D architecture instead of individual scenes
         const hemisphere = state.hemisphere;
@@ -0,0 +1,49 @@
+import { config } from '../config.js';
+
+/**
+ * Diagnostics Panel Module
+ * Lists the residuals between the hemispherical arc construction and the direct mapping formula
+ * in an overlay on the hemi2D window
+ */
+
+const PANEL_ID = 'hemi2D-diagnostics';
+
+function formatResidual(residual) {
+    return isFinite(residual) ? residual.toExponential(2) : 'no intersection';
+}
+
+/**
+ * Shows a diagnostics report in the hemi2D overlay, or hides the overlay when report is null
+ * @param {{mapping: string, entries: Array<{label: string, residual: number}>, note?: string}|null} report
+ */
+export function updateDiagnosticsPanel(report) {
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel) return;
+
+    if (!report) {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+
+    if (report.note) {
+        panel.innerHTML = `<div class="diagnostics-title">Construction check</div><div>${report.note}</div>`;
+        return;
+    }
+
+    const tolerance = config.DIAGNOSTICS.tolerance;
+    const flagged = report.entries.filter(entry => !(entry.residual <= tolerance));
+    const maxResidual = report.entries.reduce((max, entry) => Math.max(max, entry.residual), 0);
+    const mapping = config.FISHEYE_MAPPINGS[report.mapping];
+
+    const rows = report.entries.map(entry => {
+        const rowClass = entry.residual <= tolerance ? '' : ' class="diagnostics-flagged"';
+        return `<tr${rowClass}><td>${entry.label}</td><td>${formatResidual(entry.residual)}</td></tr>`;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="diagnostics-title">Construction vs ${mapping ? mapping.formula : report.mapping}</div>
+        <table>${rows}</table>
+        <div>Max ${formatResidual(maxResidual)} · ${flagged.length} over ${tolerance.toExponential(0)}</div>
+    `;
+}
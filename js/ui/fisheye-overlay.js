@@ -0,0 +1,60 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { loadTextureFromFile } from '../utils/three-utils.js';
+
+/**
+ * Fisheye Overlay Module
+ * A circular fisheye photograph shown behind hemi2D, its image circle scaled to the boundary circle.
+ * Centre, radius and rotation fit the photo to the disc; with the photo's lens model chosen as the
+ * mapping, the projected object's curved edges should then follow the photo's
+ */
+
+/**
+ * Places the photo for the current fit: the image circle (the largest circle in the frame) is centred on the fit
+ * centre with the fit radius, both measured in boundary radii, and turned by the fit rotation
+ * @param {number} boundaryRadius - Radius of hemi2D's boundary circle
+ */
+export function updateFisheyeOverlay(boundaryRadius) {
+    const overlay = state.fisheyeOverlay;
+    if (!overlay) return;
+
+    const { width, height } = overlay.mesh.material.map.image;
+    const circleRadius = boundaryRadius * state.fisheyeFit.radius;
+    const shortSide = Math.min(width, height);
+    overlay.mesh.scale.set(2 * circleRadius * width / shortSide, 2 * circleRadius * height / shortSide, 1);
+    overlay.mesh.position.set(state.fisheyeFit.centerX * boundaryRadius, state.fisheyeFit.centerY * boundaryRadius, config.FISHEYE_OVERLAY.z);
+    overlay.mesh.rotation.z = state.fisheyeFit.rotation * Math.PI / 180;
+}
+
+/**
+ * Removes the photo from hemi2D
+ */
+export function clearFisheyeOverlay() {
+    const overlay = state.fisheyeOverlay;
+    if (!overlay) return;
+
+    state.scenes.hemi2D.remove(overlay.mesh);
+    overlay.mesh.geometry.dispose();
+    overlay.mesh.material.map.dispose();
+    overlay.mesh.material.dispose();
+    state.fisheyeOverlay = null;
+}
+
+/**
+ * Shows a circular fisheye photo behind hemi2D, fitted to the boundary circle by the current fit settings
+ * @param {File} file - Local image file
+ * @param {number} boundaryRadius - Radius of hemi2D's boundary circle
+ */
+export async function loadFisheyeOverlay(file, boundaryRadius) {
+    const texture = await loadTextureFromFile(file);
+    clearFisheyeOverlay();
+
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: config.FISHEYE_OVERLAY.opacity })
+    );
+    state.fisheyeOverlay = { mesh, name: file.name };
+    updateFisheyeOverlay(boundaryRadius);
+    state.scenes.hemi2D.add(mesh);
+    console.log(`📷 Loaded fisheye photo ${file.name} (${texture.image.width}×${texture.image.height})`);
+}
@@ -0,0 +1,256 @@
+import { state, getFocalDistance, directionToViewFrame, clipPolylineToViewFront } from '../state.js';
+import { config } from '../config.js';
+import { linearHorizon, familyGreatCircles, postelProjection, getBoundaryRadius } from '../projections/projection-math.js';
+import { getHorizonDirections } from '../utils/ground-plane.js';
+import { downloadSVG } from './svg-export.js';
+
+/**
+ * Grid Sheet Module
+ * Printable perspective guide grids: fans of lines through the vanishing points of the linear image plane,
+ * or great circles through the vanishing points of the hemispherical disc. Each sheet is oriented by the
+ * vanishing directions of the latest projection update and written as SVG in millimetres on the chosen paper
+ */
+
+// Vanishing point dots, in millimetres on the paper
+const MARK_RADIUS = 1;
+
+function formatNumber(value) {
+    return Number(value.toFixed(3)).toString();
+}
+
+function toHexColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function pointAlong(point, direction, distance) {
+    return { x: point.x + direction.x * distance, y: point.y + direction.y * distance };
+}
+
+/**
+ * A length that, measured from any point of a box around the origin, reaches past all of it
+ */
+function getSpan(bounds) {
+    return 2 * Math.max(Math.abs(bounds.minX), Math.abs(bounds.maxX)) + 2 * Math.max(Math.abs(bounds.minY), Math.abs(bounds.maxY));
+}
+
+function padBounds(bounds, fraction) {
+    const padX = (bounds.maxX - bounds.minX) * fraction;
+    const padY = (bounds.maxY - bounds.minY) * fraction;
+    return { minX: bounds.minX - padX, maxX: bounds.maxX + padX, minY: bounds.minY - padY, maxY: bounds.maxY + padY };
+}
+
+/**
+ * Linear sheet: the families whose vanishing points lie nearest the image centre converge on them,
+ * and any others are drawn as parallels in their on-screen direction
+ */
+function buildLinearSheet(pointCount, density) {
+    const radius = state.hemisphereRadius;
+    const maxReach = radius * config.MAX_VANISHING_POINT_EXTENT;
+    const families = state.vanishingPoints.linear
+        .map(family => ({ ...family, reach: Math.hypot(family.point.x, family.point.y) }))
+        .sort((a, b) => a.reach - b.reach);
+    const converging = families.filter(family => family.reach <= maxReach).slice(0, pointCount);
+    const parallel = families.filter(family => !converging.includes(family));
+
+    // The page covers the image and every vanishing point the fans start from
+    let bounds = { minX: -radius, maxX: radius, minY: -radius, maxY: radius };
+    converging.forEach(family => {
+        bounds.minX = Math.min(bounds.minX, family.point.x);
+        bounds.maxX = Math.max(bounds.maxX, family.point.x);
+        bounds.minY = Math.min(bounds.minY, family.point.y);
+        bounds.maxY = Math.max(bounds.maxY, family.point.y);
+    });
+    bounds = padBounds(bounds, 0.05);
+    const span = getSpan(bounds);
+
+    const lines = [];
+    const marks = [];
+    converging.forEach(family => {
+        for (let i = 0; i < density; i++) {
+            const angle = 2 * Math.PI * i / density;
+            lines.push({
+                points: [family.point, pointAlong(family.point, { x: Math.cos(angle), y: Math.sin(angle) }, span)],
+                color: family.color
+            });
+        }
+        marks.push({ point: family.point, color: family.color });
+    });
+
+    const spacing = span / (2 * density);
+    parallel.forEach(family => {
+        const along = Math.hypot(family.direction.x, family.direction.y);
+        if (along < 1e-6) return;
+
+        const direction = { x: family.direction.x / along, y: family.direction.y / along };
+        const normal = { x: -direction.y, y: direction.x };
+        const reach = Math.ceil(span / 2 / spacing);
+        for (let k = -reach; k <= reach; k++) {
+            const base = pointAlong({ x: 0, y: 0 }, normal, k * spacing);
+            lines.push({ points: [pointAlong(base, direction, -span), pointAlong(base, direction, span)], color: family.color });
+        }
+    });
+
+    const horizon = linearHorizon(directionToViewFrame(new THREE.Vector3(0, 1, 0)), getFocalDistance());
+    if (horizon) {
+        lines.push({
+            points: [pointAlong(horizon.point, horizon.direction, -2 * span), pointAlong(horizon.point, horizon.direction, 2 * span)],
+            color: config.GRID_SHEETS.horizonColor,
+            width: config.GRID_SHEETS.horizonWidth
+        });
+    }
+
+    // Outline of the image, as in the linear 2D view
+    const frames = [];
+    if (state.linearProjectionShape === 'circle') {
+        frames.push({ center: { x: 0, y: 0 }, radius });
+    } else {
+        lines.push({
+            points: [{ x: -radius, y: -radius }, { x: radius, y: -radius }, { x: radius, y: radius }, { x: -radius, y: radius }, { x: -radius, y: -radius }],
+            color: config.GRID_SHEETS.frameColor
+        });
+    }
+
+    return { lines, marks, frames, bounds, drawnPoints: converging.length };
+}
+
+/**
+ * Curvilinear sheet: 4 points are the two families most nearly across the gaze, 5 adds the family along it,
+ * and 6 adds a second disc for the hemisphere behind the viewer, where the last vanishing point lies
+ */
+function buildHemiSheet(pointCount, density) {
+    const radius = state.hemisphereRadius;
+    const boundaryRadius = getBoundaryRadius(radius, state.fisheyeMapping);
+    const families = [...state.vanishingPoints.hemi]
+        .sort((a, b) => Math.abs(a.direction.z) - Math.abs(b.direction.z))
+        .slice(0, pointCount === 4 ? 2 : 3);
+
+    // The rear disc looks the other way: turned half round about the vertical of the view
+    const discs = pointCount === 6
+        ? [
+            { offset: -1.1 * boundaryRadius, turn: (p) => new THREE.Vector3(p.x, p.y, p.z) },
+            { offset: 1.1 * boundaryRadius, turn: (p) => new THREE.Vector3(-p.x, p.y, -p.z) }
+        ]
+        : [{ offset: 0, turn: (p) => new THREE.Vector3(p.x, p.y, p.z) }];
+
+    const origin = { x: 0, y: 0, z: 0 };
+    const lines = [];
+    const marks = [];
+    const frames = [];
+
+    discs.forEach(disc => {
+        const toDisc = (viewPoint) => {
+            const projected = postelProjection(viewPoint.clone().setLength(radius), origin, radius, state.fisheyeMapping);
+            return { x: projected.x + disc.offset, y: projected.y };
+        };
+        // Closed loops of view directions, cut where they leave this disc's hemisphere
+        const addLoop = (directions, color, width) => {
+            clipPolylineToViewFront(directions.map(disc.turn), true).forEach(run => {
+                lines.push({ points: run.map(toDisc), color, width });
+            });
+        };
+
+        families.forEach(family => {
+            familyGreatCircles(family.direction, Math.max(1, Math.round(density / 2)), config.GRID_SHEETS.circleSamples)
+                .forEach(circle => addLoop(circle, family.color));
+
+            [1, -1].forEach(sign => {
+                const vanishing = disc.turn(family.direction).multiplyScalar(sign);
+                if (vanishing.z <= 0) {
+                    marks.push({ point: toDisc(vanishing), color: family.color });
+                }
+            });
+        });
+
+        addLoop(getHorizonDirections().map(direction => directionToViewFrame(direction)),
+            config.GRID_SHEETS.horizonColor, config.GRID_SHEETS.horizonWidth);
+        frames.push({ center: { x: disc.offset, y: 0 }, radius: boundaryRadius });
+    });
+
+    const halfWidth = Math.abs(discs[0].offset) + boundaryRadius;
+    const bounds = padBounds({ minX: -halfWidth, maxX: halfWidth, minY: -boundaryRadius, maxY: boundaryRadius }, 0.03);
+    // Each family has two vanishing points, though one may lie behind the viewer on 4- and 5-point sheets
+    return { lines, marks, frames, bounds, drawnPoints: Math.min(pointCount, 2 * families.length) };
+}
+
+/**
+ * Fits a sheet drawn in scene units onto the paper, inside the margins, and writes it out
+ */
+function sheetToSVG(sheet, paper, caption) {
+    const { margin, lineWidth, frameColor } = config.GRID_SHEETS;
+    const { bounds } = sheet;
+    const scale = Math.min(
+        (paper.width - 2 * margin) / (bounds.maxX - bounds.minX),
+        (paper.height - 2 * margin) / (bounds.maxY - bounds.minY)
+    );
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    // Paper coordinates have y down
+    const toPaper = (point) => ({
+        x: paper.width / 2 + (point.x - centerX) * scale,
+        y: paper.height / 2 - (point.y - centerY) * scale
+    });
+
+    const elements = [];
+    sheet.frames.forEach(frame => {
+        const center = toPaper(frame.center);
+        elements.push(`<circle cx="${formatNumber(center.x)}" cy="${formatNumber(center.y)}" r="${formatNumber(frame.radius * scale)}" fill="none" stroke="${toHexColor(frameColor)}" stroke-width="${formatNumber(lineWidth)}"/>`);
+    });
+    sheet.lines.forEach(line => {
+        const path = line.points.map((point, i) => {
+            const paperPoint = toPaper(point);
+            return `${i === 0 ? 'M' : 'L'} ${formatNumber(paperPoint.x)} ${formatNumber(paperPoint.y)}`;
+        }).join(' ');
+        elements.push(`<path d="${path}" fill="none" stroke="${toHexColor(line.color)}" stroke-width="${formatNumber(line.width || lineWidth)}"/>`);
+    });
+    sheet.marks.forEach(mark => {
+        const center = toPaper(mark.point);
+        elements.push(`<circle cx="${formatNumber(center.x)}" cy="${formatNumber(center.y)}" r="${MARK_RADIUS}" fill="${toHexColor(mark.color)}"/>`);
+    });
+
+    const width = formatNumber(paper.width);
+    const height = formatNumber(paper.height);
+    const innerWidth = formatNumber(paper.width - 2 * margin);
+    const innerHeight = formatNumber(paper.height - 2 * margin);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}mm" height="${height}mm">`,
+        `  <defs><clipPath id="sheet-area"><rect x="${margin}" y="${margin}" width="${innerWidth}" height="${innerHeight}"/></clipPath></defs>`,
+        `  <rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`,
+        '  <g clip-path="url(#sheet-area)" stroke-linecap="round" stroke-linejoin="round">',
+        ...elements.map(element => `    ${element}`),
+        '  </g>',
+        `  <text x="${margin}" y="${formatNumber(paper.height - margin / 3)}" font-family="sans-serif" font-size="3" fill="${toHexColor(frameColor)}">${caption}</text>`,
+        '</svg>'
+    ].join('\n');
+}
+
+/**
+ * Builds the grid sheet for the current settings
+ * @returns {{svg: string, drawnPoints: number, type: Object}} drawnPoints may fall short of type.points when
+ *   the view has fewer vanishing points than the sheet asks for
+ */
+export function buildGridSheet(typeKey = state.gridSheetType, density = state.gridSheetDensity, paperKey = state.gridSheetPaper) {
+    const type = config.GRID_SHEETS.types[typeKey];
+    const paper = config.GRID_SHEETS.paperSizes[paperKey];
+    if (!type || !paper) {
+        throw new Error(`Unknown grid sheet: ${typeKey} on ${paperKey}`);
+    }
+
+    const sheet = type.view === 'linear' ? buildLinearSheet(type.points, density) : buildHemiSheet(type.points, density);
+    const caption = `${type.label}, ${density} lines per vanishing point`;
+    return { svg: sheetToSVG(sheet, paper, caption), drawnPoints: sheet.drawnPoints, type };
+}
+
+/**
+ * Downloads the grid sheet for the current settings
+ * @returns {string} A note for the controls on how many vanishing points the sheet could use
+ */
+export function exportGridSheet() {
+    const { svg, drawnPoints, type } = buildGridSheet();
+    downloadSVG(svg, `grid-${state.gridSheetType}-${state.gridSheetPaper}.svg`);
+    console.log(`📄 Exported ${type.label} grid sheet`);
+
+    return drawnPoints < type.points
+        ? `${type.label}: the current view only has ${drawnPoints} of its ${type.points} vanishing points`
+        : `${type.label}: saved`;
+}
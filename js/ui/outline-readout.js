@@ -0,0 +1,36 @@
+import { state } from '../state.js';
+
+/**
+ * Outline Readout Module
+ * Names the conics the selected curved object projects to in the linear view
+ */
+
+const READOUT_ID = 'outline-readout';
+
+/**
+ * Shows which conics the selected object's outlines are, or clears the readout for polyhedra
+ * @param {Array<{object: Object, kind: string, conic?: string}>} outlines - From getPrimitiveOutlines
+ */
+export function updateOutlineReadout(outlines) {
+    const readout = document.getElementById(READOUT_ID);
+    if (!readout) return;
+
+    const selected = state.sceneObjects[state.selectedObjectIndex];
+    if (!selected || !selected.model.primitive) {
+        readout.textContent = '';
+        return;
+    }
+
+    const conics = outlines
+        .filter(outline => outline.object === selected && outline.conic)
+        .map(outline => outline.conic);
+    const name = selected.model.name;
+
+    if (conics.length === 0) {
+        readout.textContent = `${name}: the viewpoint is inside it, so it has no outline`;
+    } else if (selected.model.primitive === 'cylinder') {
+        readout.textContent = `${name} rims project to: ${conics.join(' and ')}`;
+    } else {
+        readout.textContent = `${name} ${selected.model.primitive === 'sphere' ? 'outline' : 'rim'} projects to: ${conics[0]}`;
+    }
+}
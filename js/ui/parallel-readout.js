@@ -0,0 +1,28 @@
+/**
+ * Parallel Readout Module
+ * Tells how far off the parallel view's viewer is and what has become of its vanishing points
+ */
+
+const READOUT_ID = 'parallel-readout';
+
+/**
+ * @param {number|null} eyeDistance - Viewer's distance from the picture plane (Infinity for a true parallel
+ *   view), or null to clear the readout when there is nothing to view
+ * @param {Array<{x: number, y: number}>} vanishingPoints - Those the edge families still have
+ */
+export function updateParallelReadout(eyeDistance, vanishingPoints) {
+    const readout = document.getElementById(READOUT_ID);
+    if (!readout) return;
+
+    if (eyeDistance === null) {
+        readout.textContent = '';
+    } else if (!isFinite(eyeDistance)) {
+        readout.textContent = 'Viewer at infinity: parallel edges stay parallel, so there are no vanishing points';
+    } else if (vanishingPoints.length === 0) {
+        readout.textContent = `Viewer ${eyeDistance.toFixed(1)} from the picture plane: every edge family lies parallel to it, so none converges`;
+    } else {
+        const nearest = Math.min(...vanishingPoints.map(point => Math.hypot(point.x, point.y)));
+        const count = vanishingPoints.length === 1 ? '1 vanishing point' : `${vanishingPoints.length} vanishing points`;
+        readout.textContent = `Viewer ${eyeDistance.toFixed(1)} from the picture plane: ${count}, the nearest ${nearest.toFixed(1)} from the centre`;
+    }
+}
@@ -0,0 +1,191 @@
+import { state, viewFrameToWorld } from '../state.js';
+import { config } from '../config.js';
+import { calibrateFromVanishingPoints } from '../projections/projection-math.js';
+import { getSelectedSceneObject, getSceneObjectFamilyDirection } from '../scenes/scene-objects.js';
+import { getAxisColors } from '../utils/polyhedron.js';
+import { loadTextureFromFile } from '../utils/three-utils.js';
+
+/**
+ * Photo Calibration Module
+ * A photograph shown behind linear2D with three markers to drag onto the vanishing points of its converging
+ * lines. Solving them gives the photo's principal point and focal distance and the turn of the selected object,
+ * which is then set so its projection lines up with the photo. Vanishing points carry no distance or scale,
+ * so the object keeps its distance from the viewpoint and is placed straight ahead of it
+ */
+
+/**
+ * Orthonormal frame whose first axis is a and whose second lies in the plane of a and b
+ */
+function makeFrame(a, b) {
+    const first = a.clone().normalize();
+    const second = b.clone().sub(first.clone().multiplyScalar(b.dot(first))).normalize();
+    return new THREE.Matrix4().makeBasis(first, second, new THREE.Vector3().crossVectors(first, second));
+}
+
+function updateCalibrationGroup() {
+    const calibration = state.calibration;
+    calibration.group.position.set(calibration.offset.x, calibration.offset.y, 0);
+    calibration.markers.forEach((marker, i) => {
+        marker.position.set(calibration.points[i].x, calibration.points[i].y, config.CALIBRATION.markerZ);
+    });
+    calibration.triangle.geometry.setFromPoints(
+        [...calibration.points, calibration.points[0]].map(point => new THREE.Vector3(point.x, point.y, config.CALIBRATION.markerZ))
+    );
+}
+
+/**
+ * Removes the photo and its markers from linear2D
+ */
+export function clearCalibrationPhoto() {
+    const calibration = state.calibration;
+    if (!calibration) return;
+
+    state.scenes.linear2D.remove(calibration.group);
+    calibration.group.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+    state.calibration = null;
+}
+
+/**
+ * Shows a photo behind linear2D, as wide as the image plane, with the three vanishing point markers on it
+ * @param {File} file - Local image file
+ */
+export async function loadCalibrationPhoto(file) {
+    const texture = await loadTextureFromFile(file);
+    clearCalibrationPhoto();
+
+    // The photo keeps the size it is given here, so calibrating (which changes R) does not stretch it
+    const halfWidth = state.hemisphereRadius;
+    const halfHeight = halfWidth * texture.image.height / texture.image.width;
+    const group = new THREE.Group();
+    const photo = new THREE.Mesh(
+        new THREE.PlaneGeometry(2 * halfWidth, 2 * halfHeight),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, opacity: config.CALIBRATION.photoOpacity })
+    );
+    photo.position.z = config.CALIBRATION.photoZ;
+    group.add(photo);
+
+    const triangle = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: config.CALIBRATION.triangleColor }));
+    group.add(triangle);
+
+    const { innerRadius, outerRadius } = config.CALIBRATION;
+    const markers = [0, 1, 2].map(i => {
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(innerRadius, outerRadius, 24),
+            new THREE.MeshBasicMaterial({ color: getAxisColors(i).vanishingPoint, side: THREE.DoubleSide })
+        );
+        group.add(marker);
+        return marker;
+    });
+
+    state.calibration = {
+        group,
+        markers,
+        triangle,
+        // Marker positions on the photo (before the offset), starting as a wide acute triangle
+        points: [
+            new THREE.Vector2(-0.9 * halfWidth, 0.3 * halfHeight),
+            new THREE.Vector2(0.9 * halfWidth, 0.3 * halfHeight),
+            new THREE.Vector2(0, -1.5 * halfHeight)
+        ],
+        // Shift of the photo in linear2D; calibrating moves its principal point to the centre of the view
+        offset: new THREE.Vector2()
+    };
+    updateCalibrationGroup();
+    state.scenes.linear2D.add(group);
+    console.log(`📷 Loaded calibration photo ${file.name} (${texture.image.width}×${texture.image.height})`);
+}
+
+/**
+ * Index of the calibration marker nearest a point of linear2D within the given distance, or -1
+ */
+export function findCalibrationMarker(point, maxDistance) {
+    const calibration = state.calibration;
+    if (!calibration) return -1;
+
+    let nearest = -1;
+    let nearestDistance = maxDistance;
+    calibration.points.forEach((marker, i) => {
+        const distance = Math.hypot(marker.x + calibration.offset.x - point.x, marker.y + calibration.offset.y - point.y);
+        if (distance <= nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Moves a calibration marker to a point of linear2D
+ */
+export function moveCalibrationMarker(index, point) {
+    const calibration = state.calibration;
+    calibration.points[index].set(point.x - calibration.offset.x, point.y - calibration.offset.y);
+    updateCalibrationGroup();
+}
+
+/**
+ * Solves the markers for the photo's camera and applies it: R (and an unlocked focal distance) become the focal
+ * distance, the selected object is turned so its first three edge families vanish at the markers, and the
+ * viewpoint moves so the object sits straight ahead at its present distance. The photo shifts so its principal
+ * point lies at the centre of linear2D, where the image plane's gaze foot is
+ * @returns {{focalDistance: number, principalPoint: THREE.Vector2}}
+ * @throws {Error} When there is no photo, the selected object's first three edge families are missing or not
+ *   perpendicular, or the markers cannot be the vanishing points of perpendicular directions within the radius
+ *   slider's range
+ */
+export function applyPhotoCalibration() {
+    const calibration = state.calibration;
+    if (!calibration) {
+        throw new Error('Load a photo first');
+    }
+    const object = getSelectedSceneObject();
+    const familyKeys = Object.keys(object.model.edgeAxisMapping);
+    if (familyKeys.length < 3) {
+        throw new Error(`${object.model.name} has no three edge directions to match`);
+    }
+    // The markers stand for perpendicular directions, so a prism's or pyramid's families cannot be matched to them
+    const familyDirections = familyKeys.slice(0, 3).map(key => getSceneObjectFamilyDirection(object, key));
+    const sinTolerance = Math.sin(config.MODELS.clusterToleranceDegrees * Math.PI / 180);
+    const arePerpendicular = [[0, 1], [0, 2], [1, 2]]
+        .every(([i, j]) => Math.abs(familyDirections[i].dot(familyDirections[j])) <= sinTolerance);
+    if (!arePerpendicular) {
+        throw new Error(`${object.model.name}'s first three edge directions are not perpendicular, so they cannot match the markers`);
+    }
+
+    const solution = calibrateFromVanishingPoints(calibration.points);
+    if (!solution) {
+        throw new Error('The markers must form a triangle with every angle under 90°');
+    }
+    const { focalDistance } = solution;
+    const { minRadius, maxRadius } = config.CALIBRATION;
+    if (focalDistance < minRadius || focalDistance > maxRadius) {
+        throw new Error(`The focal distance ${focalDistance.toFixed(2)} is outside the radius range ${minRadius} to ${maxRadius}`);
+    }
+
+    // Turn the object so the frame of its first two families matches that of their photo directions
+    const [first, second] = solution.directions.map(direction => viewFrameToWorld(new THREE.Vector3(direction.x, direction.y, direction.z)));
+    object.mesh.quaternion.identity();
+    object.mesh.updateMatrixWorld();
+    const ownFrame = makeFrame(getSceneObjectFamilyDirection(object, familyKeys[0]), getSceneObjectFamilyDirection(object, familyKeys[1]));
+    const rotation = makeFrame(first, second).multiply(ownFrame.transpose());
+    object.mesh.quaternion.setFromRotationMatrix(rotation);
+    object.mesh.updateMatrixWorld();
+
+    state.hemisphereRadius = focalDistance;
+    state.focalDistance = focalDistance;
+
+    const distance = object.mesh.position.distanceTo(state.viewpointPosition);
+    const gaze = viewFrameToWorld(new THREE.Vector3(0, 0, -1));
+    state.viewpointPosition.copy(object.mesh.position).addScaledVector(gaze, -distance);
+
+    calibration.offset.set(-solution.principalPoint.x, -solution.principalPoint.y);
+    updateCalibrationGroup();
+
+    return { focalDistance, principalPoint: new THREE.Vector2(solution.principalPoint.x, solution.principalPoint.y) };
+}
@@ -0,0 +1,254 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+
+/**
+ * SVG Export Module
+ * Writes the current content of a 2D projection scene as vector paths, in scene units,
+ * so the file is the same whatever the window size or 2D zoom
+ */
+
+// Line widths in the SVG are relative to R so drawings keep their weight at any radius
+const STROKE_WIDTH_PER_RADIUS = 0.006;
+
+// Polylines whose points all lie this close to one circle (relative to its radius) are written as arcs
+const ARC_FIT_TOLERANCE = 1e-6;
+
+function formatNumber(value) {
+    return Number(value.toFixed(4)).toString();
+}
+
+function toHexColor(color) {
+    return `#${color.getHexString()}`;
+}
+
+function getBoundaryExtent(viewId) {
+    const radius = state.hemisphereRadius;
+    if (viewId === 'hemi2D' && window.hemiBoundary) {
+        return window.hemiBoundary.geometry.parameters.outerRadius;
+    }
+    return radius;
+}
+
+function isObjectVisible(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+function getWorldPoints(object) {
+    const positions = object.geometry.attributes.position;
+    const points = [];
+    for (let i = 0; i < positions.count; i++) {
+        const point = new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(object.matrixWorld);
+        if (isFinite(point.x) && isFinite(point.y)) {
+            points.push(point);
+        }
+    }
+    return points;
+}
+
+/**
+ * Finds the circle through a polyline's first, middle and last points if every point lies on it
+ * @returns {{center: {x, y}, radius: number, sweep: number}|null} Circle and signed angle swept from first to last point
+ */
+function fitArc(points) {
+    if (points.length < 5) return null;
+
+    const a = points[0];
+    const b = points[Math.floor(points.length / 2)];
+    const c = points[points.length - 1];
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-12) return null;
+
+    const center = {
+        x: ((a.x * a.x + a.y * a.y) * (b.y - c.y) + (b.x * b.x + b.y * b.y) * (c.y - a.y) + (c.x * c.x + c.y * c.y) * (a.y - b.y)) / d,
+        y: ((a.x * a.x + a.y * a.y) * (c.x - b.x) + (b.x * b.x + b.y * b.y) * (a.x - c.x) + (c.x * c.x + c.y * c.y) * (b.x - a.x)) / d
+    };
+    const radius = Math.hypot(a.x - center.x, a.y - center.y);
+
+    let sweep = 0;
+    for (let i = 0; i < points.length; i++) {
+        if (Math.abs(Math.hypot(points[i].x - center.x, points[i].y - center.y) - radius) > ARC_FIT_TOLERANCE * radius) {
+            return null;
+        }
+        if (i > 0) {
+            let step = Math.atan2(points[i].y - center.y, points[i].x - center.x) -
+                Math.atan2(points[i - 1].y - center.y, points[i - 1].x - center.x);
+            if (step > Math.PI) step -= 2 * Math.PI;
+            if (step < -Math.PI) step += 2 * Math.PI;
+            sweep += step;
+        }
+    }
+
+    return { center, radius, sweep };
+}
+
+function getStrokeAttributes(material, strokeUnit) {
+    const attributes = [
+        'fill="none"',
+        `stroke="${toHexColor(material.color)}"`,
+        `stroke-width="${formatNumber(strokeUnit * (material.linewidth || 1))}"`,
+        'stroke-linecap="round"',
+        'stroke-linejoin="round"'
+    ];
+    if (material.transparent && material.opacity < 1) {
+        attributes.push(`stroke-opacity="${formatNumber(material.opacity)}"`);
+    }
+    if (material.isLineDashedMaterial) {
+        attributes.push(`stroke-dasharray="${formatNumber(material.dashSize)} ${formatNumber(material.gapSize)}"`);
+    }
+    return attributes.join(' ');
+}
+
+function getFillAttributes(material) {
+    const attributes = [`fill="${toHexColor(material.color)}"`, 'stroke="none"'];
+    if (material.transparent && material.opacity < 1) {
+        attributes.push(`fill-opacity="${formatNumber(material.opacity)}"`);
+    }
+    return attributes.join(' ');
+}
+
+/**
+ * Path commands continuing from a run's first point to its last, as one arc where the run is circular
+ */
+function runToPathCommands(run, offset) {
+    const end = run[run.length - 1];
+    const arc = fitArc(run);
+    if (arc && Math.abs(arc.sweep) < 2 * Math.PI - 1e-3) {
+        const r = formatNumber(arc.radius);
+        return `A ${r} ${r} 0 ${Math.abs(arc.sweep) > Math.PI ? 1 : 0} ${arc.sweep > 0 ? 1 : 0} ${formatNumber(end.x + offset.x)} ${formatNumber(end.y + offset.y)}`;
+    }
+    return run.slice(1).map(point => `L ${formatNumber(point.x + offset.x)} ${formatNumber(point.y + offset.y)}`).join(' ');
+}
+
+function lineToSVG(object, strokeUnit) {
+    const points = getWorldPoints(object);
+    if (points.length < 2) return null;
+
+    const stroke = getStrokeAttributes(object.material, strokeUnit);
+    const arc = fitArc(points);
+
+    if (arc && Math.abs(arc.sweep) > 2 * Math.PI - 1e-3) {
+        return `<circle cx="${formatNumber(arc.center.x)}" cy="${formatNumber(arc.center.y)}" r="${formatNumber(arc.radius)}" ${stroke}/>`;
+    }
+    const origin = { x: 0, y: 0 };
+    const path = `M ${formatNumber(points[0].x)} ${formatNumber(points[0].y)} ${runToPathCommands(points, origin)}`;
+    return `<path d="${path}${object.isLineLoop ? ' Z' : ''}" ${stroke}/>`;
+}
+
+function meshToSVG(object, strokeUnit) {
+    const { geometry, material } = object;
+    const center = new THREE.Vector3().setFromMatrixPosition(object.matrixWorld);
+    const scale = new THREE.Vector3().setFromMatrixScale(object.matrixWorld).x;
+
+    switch (geometry.type) {
+        case 'CircleGeometry':
+            return `<circle cx="${formatNumber(center.x)}" cy="${formatNumber(center.y)}" r="${formatNumber(geometry.parameters.radius * scale)}" ${getFillAttributes(material)}/>`;
+        case 'RingGeometry': {
+            // Rings (boundary circles, viewpoint markers) become stroked circles of the ring's width
+            const { innerRadius, outerRadius } = geometry.parameters;
+            const attributes = [
+                'fill="none"',
+                `stroke="${toHexColor(material.color)}"`,
+                `stroke-width="${formatNumber((outerRadius - innerRadius) * scale)}"`
+            ];
+            if (material.transparent && material.opacity < 1) {
+                attributes.push(`stroke-opacity="${formatNumber(material.opacity)}"`);
+            }
+            return `<circle cx="${formatNumber(center.x)}" cy="${formatNumber(center.y)}" r="${formatNumber((innerRadius + outerRadius) / 2 * scale)}" ${attributes.join(' ')}/>`;
+        }
+        case 'ShapeGeometry': {
+            if (object.userData.outlineRuns) {
+                // Curved face patches keep their edge arcs
+                const runs = object.userData.outlineRuns.filter(run => run.length > 1);
+                const start = runs[0][0];
+                const path = [`M ${formatNumber(start.x + center.x)} ${formatNumber(start.y + center.y)}`];
+                runs.forEach(run => path.push(runToPathCommands(run, center)));
+                return `<path d="${path.join(' ')} Z" ${getFillAttributes(material)}/>`;
+            }
+            const shapes = [].concat(geometry.parameters.shapes);
+            const path = shapes.map(shape => shape.getPoints()
+                .map((point, i) => `${i === 0 ? 'M' : 'L'} ${formatNumber(point.x + center.x)} ${formatNumber(point.y + center.y)}`)
+                .join(' ') + ' Z').join(' ');
+            return `<path d="${path}" ${getFillAttributes(material)}/>`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Builds an SVG document for a 2D projection view
+ * @param {string} viewId - 'linear2D' or 'hemi2D'
+ * @returns {string} SVG markup
+ */
+export function buildViewSVG(viewId) {
+    const scene = state.scenes[viewId];
+    if (!scene) {
+        throw new Error(`No 2D scene for view: ${viewId}`);
+    }
+    scene.updateMatrixWorld(true);
+
+    const boundaryExtent = getBoundaryExtent(viewId);
+    const strokeUnit = state.hemisphereRadius * STROKE_WIDTH_PER_RADIUS;
+
+    // Page covers the boundary plus any vanishing points that are not too far out
+    let extent = boundaryExtent;
+    state.groups[viewId].vanishingPoints.children.forEach(marker => {
+        const reach = Math.max(Math.abs(marker.position.x), Math.abs(marker.position.y));
+        if (isFinite(reach) && reach <= boundaryExtent * config.MAX_VANISHING_POINT_EXTENT) {
+            extent = Math.max(extent, reach);
+        }
+    });
+    extent *= 1.1;
+
+    // Paint in z order, as the orthographic 2D camera sees it
+    const items = [];
+    scene.traverse(object => {
+        if (!object.geometry || !isObjectVisible(object)) return;
+        const element = object.isLine ? lineToSVG(object, strokeUnit) : object.isMesh ? meshToSVG(object, strokeUnit) : null;
+        if (element) {
+            const boundingBox = new THREE.Box3().setFromObject(object);
+            items.push({ element, z: isFinite(boundingBox.max.z) ? boundingBox.max.z : 0 });
+        }
+    });
+    items.sort((a, b) => a.z - b.z);
+
+    const size = formatNumber(2 * extent);
+    const background = scene.background ? toHexColor(scene.background) : '#ffffff';
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${formatNumber(-extent)} ${formatNumber(-extent)} ${size} ${size}" width="${size}cm" height="${size}cm">`,
+        `  <rect x="${formatNumber(-extent)}" y="${formatNumber(-extent)}" width="${size}" height="${size}" fill="${background}"/>`,
+        '  <!-- Scene coordinates have +y up; flip them into SVG coordinates -->',
+        '  <g transform="scale(1,-1)">',
+        ...items.map(item => `    ${item.element}`),
+        '  </g>',
+        '</svg>'
+    ].join('\n');
+}
+
+/**
+ * Saves SVG markup as a file through a temporary download link
+ */
+export function downloadSVG(svg, filename) {
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads the given 2D view as an SVG file
+ */
+export function exportViewAsSVG(viewId) {
+    downloadSVG(buildViewSVG(viewId), `${viewId}-projection.svg`);
+    console.log(`📄 Exported ${viewId} as SVG`);
+}
@@ -85,7 +85,7 @@ export class WindowManager {
 
     updateWindowMenuCheckmarks() {
         const menuItems = document.querySelectorAll('.window-menu-item');
-        const windowIds = ['linear3D-window', 'linear2D-window', 'hemi3D-window', 'hemi2D-window'];
+        const windowIds = ['linear3D-window', 'linear2D-window', 'hemi3D-window', 'hemi2D-window', 'equirect2D-window', 'cylinder3D-window', 'cylinder2D-window', 'parallel2D-window'];
         
         menuItems.forEach((item, index) => {
             const checkmark = item.querySelector('.checkmark');
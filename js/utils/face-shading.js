@@ -0,0 +1,93 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { getCubeFaces } from './visibility.js';
+
+/**
+ * Face Shading Utilities
+ * Fills the projected cube faces with flat colours lit like the master3D scene
+ */
+
+// Faces are stacked below every line in the 2D views, the nearest face on top
+const FACE_BASE_Z = -0.5;
+const FACE_Z_STEP = 0.01;
+
+/**
+ * Direction towards the master3D directional light (or the position of its point light, when that is the one
+ * shining), with its and the ambient light's intensity (config.LIGHTING's until the scene has its lights)
+ */
+export function getSceneLighting() {
+    const lights = state.master3D ? state.master3D.children : [];
+    const directional = lights.find(object => object.isDirectionalLight && object.visible);
+    const point = lights.find(object => object.isPointLight && object.visible);
+    const ambient = lights.find(object => object.isAmbientLight);
+    const { ambientIntensity, directionalIntensity } = config.LIGHTING;
+    const { lightPosition } = config.DEFAULTS;
+
+    if (point) {
+        return {
+            direction: point.position.clone().normalize(),
+            position: point.position.clone(),
+            directionalIntensity: point.intensity,
+            ambientIntensity: ambient ? ambient.intensity : ambientIntensity
+        };
+    }
+
+    const direction = directional
+        ? directional.position.clone().sub(directional.target.position).normalize()
+        : new THREE.Vector3(lightPosition.x, lightPosition.y, lightPosition.z).normalize();
+
+    return {
+        direction,
+        position: null,
+        directionalIntensity: directional ? directional.intensity : directionalIntensity,
+        ambientIntensity: ambient ? ambient.intensity : ambientIntensity
+    };
+}
+
+/**
+ * Flat (Lambert) shade of an object colour (the cube's by default) for a face with the given outward normal;
+ * a point light shines on the face from its position towards the given point of it
+ */
+export function getFaceShadeColor(normal, lighting = getSceneLighting(), baseColor = config.COLORS.cube, point = null) {
+    const direction = lighting.position && point
+        ? lighting.position.clone().sub(point).normalize()
+        : lighting.direction;
+    const diffuse = Math.max(0, normal.dot(direction));
+    const brightness = Math.min(1, lighting.ambientIntensity + lighting.directionalIntensity * diffuse);
+    return new THREE.Color(baseColor).multiplyScalar(brightness);
+}
+
+/**
+ * Faces turned towards the viewpoint, shaded and sorted far to near for painting
+ */
+export function getShadedFaces(worldVertices, viewpoint = state.viewpointPosition) {
+    const lighting = getSceneLighting();
+
+    return getCubeFaces(worldVertices, viewpoint)
+        .filter(face => face.frontFacing)
+        .map(face => {
+            const centroid = face.vertices.reduce((sum, vertex) => sum.add(vertex), new THREE.Vector3())
+                .multiplyScalar(1 / face.vertices.length);
+            return {
+                ...face,
+                color: getFaceShadeColor(face.normal, lighting, face.baseColor, centroid),
+                depth: centroid.distanceTo(viewpoint)
+            };
+        })
+        .sort((a, b) => b.depth - a.depth);
+}
+
+/**
+ * Filled mesh for a projected face outline; paintOrder is the face's index in the far-to-near list.
+ * The outline can be given as separate runs (one per edge arc), which are kept for vector export
+ */
+export function createFaceMesh(outline, color, paintOrder, outlineRuns = null) {
+    const shape = new THREE.Shape(outline.map(point => new THREE.Vector2(point.x, point.y)));
+    const material = new THREE.MeshBasicMaterial({ color: color, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+    mesh.position.z = FACE_BASE_Z + paintOrder * FACE_Z_STEP;
+    if (outlineRuns) {
+        mesh.userData.outlineRuns = outlineRuns;
+    }
+    return mesh;
+}
@@ -0,0 +1,76 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+
+/**
+ * Ground Plane Module
+ * The floor grid at config.GROUND.height, shared by the 3D GridHelper and the grid projected into the 2D views,
+ * and the horizon: the vanishing line of every horizontal direction, which always sits at the viewpoint's height
+ */
+
+/**
+ * Number of grid cells across the floor; the spacing is rounded so the lines fit the extent exactly
+ */
+function getGroundDivisions() {
+    return Math.max(1, Math.round(state.groundExtent / state.groundSpacing));
+}
+
+/**
+ * Grid lines as world segments, running along X and along Z
+ * @returns {Array<{start: THREE.Vector3, end: THREE.Vector3, center: boolean}>} center marks the two lines through the origin
+ */
+export function getGroundGridLines() {
+    const half = state.groundExtent / 2;
+    const divisions = getGroundDivisions();
+    const y = config.GROUND.height;
+    const lines = [];
+
+    for (let i = 0; i <= divisions; i++) {
+        const offset = -half + state.groundExtent * i / divisions;
+        const center = i * 2 === divisions;
+        lines.push({ start: new THREE.Vector3(-half, y, offset), end: new THREE.Vector3(half, y, offset), center });
+        lines.push({ start: new THREE.Vector3(offset, y, -half), end: new THREE.Vector3(offset, y, half), center });
+    }
+    return lines;
+}
+
+/**
+ * Horizontal unit directions all the way round; seen from the viewpoint they trace the horizon
+ */
+export function getHorizonDirections(samples = config.GROUND.horizonSamples) {
+    const directions = [];
+    for (let i = 0; i < samples; i++) {
+        const angle = 2 * Math.PI * i / samples;
+        directions.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+    }
+    return directions;
+}
+
+/**
+ * Line materials for the projected grid (its centre lines stronger, as in the GridHelper) and the horizon
+ */
+export function createGroundMaterials() {
+    return {
+        grid: new THREE.LineBasicMaterial({ color: config.GROUND.gridColor }),
+        center: new THREE.LineBasicMaterial({ color: config.GROUND.centerColor }),
+        horizon: new THREE.LineBasicMaterial({ color: config.GROUND.horizonColor, linewidth: 2 })
+    };
+}
+
+/**
+ * Replaces the 3D views' GridHelper so it matches the projected grid's extent and spacing
+ */
+export function updateGroundGridHelper() {
+    if (!state.master3D) {
+        return;
+    }
+    if (state.groundGridHelper) {
+        state.master3D.remove(state.groundGridHelper);
+        state.groundGridHelper.geometry.dispose();
+        state.groundGridHelper.material.dispose();
+    }
+
+    const gridHelper = new THREE.GridHelper(state.groundExtent, getGroundDivisions(), config.GROUND.centerColor, config.GROUND.gridColor);
+    gridHelper.position.y = config.GROUND.height;
+    state.master3D.add(gridHelper);
+    state.groundGridHelper = gridHelper;
+}
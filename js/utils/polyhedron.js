@@ -0,0 +1,380 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { PRIMITIVE_NAMES, createPrimitiveModel, createPrimitiveGeometry } from './primitives.js';
+
+/**
+ * Polyhedron Model Module
+ * Describes the object being projected as vertices, edges and faces, loads it from JSON or
+ * Wavefront OBJ, and groups its edges into families of parallel directions (one vanishing point each)
+ *
+ * A model has the same layout as config.CUBE_MAPPINGS, plus its local vertices:
+ *   { id, name, vertices: THREE.Vector3[], edges: [a, b, ...], faces: [[i, j, k, ...]],
+ *     edgeAxisMapping: { axisIndex: [a, b, ...] }, edgeDirections: { 'a,b': axisIndex } }
+ */
+
+let nextModelId = 1;
+
+// Adjacent faces whose normals agree this closely share no visible edge (e.g. triangulated quads)
+const COPLANAR_NORMAL_TOLERANCE = 1e-6;
+
+/**
+ * The built-in cube, using the hand-written mappings from config
+ */
+export function getCubeModel() {
+    const halfSize = config.CUBE_SIZE / 2;
+    const vertices = [
+        new THREE.Vector3(-halfSize, -halfSize, -halfSize), new THREE.Vector3( halfSize, -halfSize, -halfSize),
+        new THREE.Vector3( halfSize,  halfSize, -halfSize), new THREE.Vector3(-halfSize,  halfSize, -halfSize),
+        new THREE.Vector3(-halfSize, -halfSize,  halfSize), new THREE.Vector3( halfSize, -halfSize,  halfSize),
+        new THREE.Vector3( halfSize,  halfSize,  halfSize), new THREE.Vector3(-halfSize,  halfSize,  halfSize)
+    ];
+    const { edges, faces, edgeAxisMapping, edgeDirections } = config.CUBE_MAPPINGS;
+
+    return { id: 0, name: 'Cube', isCube: true, vertices, edges, faces, edgeAxisMapping, edgeDirections };
+}
+
+/**
+ * Outward normal of a (possibly non-convex) face by Newell's method
+ */
+export function getFaceNormal(faceVertices) {
+    const normal = new THREE.Vector3();
+    faceVertices.forEach((current, i) => {
+        const next = faceVertices[(i + 1) % faceVertices.length];
+        normal.x += (current.y - next.y) * (current.z + next.z);
+        normal.y += (current.z - next.z) * (current.x + next.x);
+        normal.z += (current.x - next.x) * (current.y + next.y);
+    });
+    return normal.normalize();
+}
+
+/**
+ * Splits a planar face into triangles (as index triples into the face's own vertex list), wound like the face
+ */
+export function triangulateFace(faceVertices, normal = getFaceNormal(faceVertices)) {
+    if (faceVertices.length === 3) return [[0, 1, 2]];
+
+    // Flatten onto the face plane, keeping counter-clockwise order seen from the normal
+    const u = Math.abs(normal.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    u.sub(normal.clone().multiplyScalar(u.dot(normal))).normalize();
+    const v = normal.clone().cross(u);
+    const contour = faceVertices.map(vertex => new THREE.Vector2(vertex.dot(u), vertex.dot(v)));
+
+    // Keep every triangle counter-clockwise too, so it faces the same way as the face
+    return THREE.ShapeUtils.triangulateShape(contour, []).map(([a, b, c]) =>
+        THREE.ShapeUtils.isClockWise([contour[a], contour[b], contour[c]]) ? [a, c, b] : [a, b, c]);
+}
+
+/**
+ * Groups edges into families of parallel directions, in order of first appearance
+ * @param {Array<THREE.Vector3>} vertices - Model vertices
+ * @param {Array<number>} edges - Flat list of vertex index pairs
+ * @param {number} toleranceDegrees - Largest angle between edges counted as parallel
+ * @returns {Array<Array<number>>} Flat vertex index pairs for each family
+ */
+export function clusterEdgeDirections(vertices, edges, toleranceDegrees = config.MODELS.clusterToleranceDegrees) {
+    const cosTolerance = Math.cos(toleranceDegrees * Math.PI / 180);
+    const clusters = [];
+
+    for (let i = 0; i < edges.length; i += 2) {
+        const direction = new THREE.Vector3().subVectors(vertices[edges[i + 1]], vertices[edges[i]]);
+        if (direction.lengthSq() === 0) continue;
+        direction.normalize();
+
+        // Opposite senses belong to the same family
+        const cluster = clusters.find(candidate => Math.abs(candidate.direction.dot(direction)) >= cosTolerance);
+        if (cluster) {
+            cluster.pairs.push(edges[i], edges[i + 1]);
+        } else {
+            clusters.push({ direction, pairs: [edges[i], edges[i + 1]] });
+        }
+    }
+
+    return clusters.map(cluster => cluster.pairs);
+}
+
+/**
+ * Edges along the face outlines, leaving out those between coplanar faces
+ */
+function deriveEdgesFromFaces(vertices, faces) {
+    const normals = faces.map(face => getFaceNormal(face.map(index => vertices[index])));
+    const edgeFaces = new Map();
+
+    faces.forEach((face, faceIndex) => {
+        face.forEach((a, i) => {
+            const b = face[(i + 1) % face.length];
+            const key = a < b ? `${a},${b}` : `${b},${a}`;
+            if (!edgeFaces.has(key)) edgeFaces.set(key, { a, b, faces: [] });
+            edgeFaces.get(key).faces.push(faceIndex);
+        });
+    });
+
+    const edges = [];
+    edgeFaces.forEach(({ a, b, faces: adjacent }) => {
+        const isFlat = adjacent.length === 2 &&
+            normals[adjacent[0]].dot(normals[adjacent[1]]) > 1 - COPLANAR_NORMAL_TOLERANCE;
+        if (!isFlat) edges.push(a, b);
+    });
+    return edges;
+}
+
+/**
+ * Builds a model from raw vertices, faces and (optionally) edges
+ * @param {{name?: string, vertices: Array<Array<number>|{x, y, z}>, faces?: Array<Array<number>>, edges?: Array<Array<number>>}} data
+ * @param {{fit?: boolean}} options - fit: centre the model and scale it to the cube's size
+ */
+export function createModel(data, options = { fit: true }) {
+    if (!data || !Array.isArray(data.vertices) || data.vertices.length === 0) {
+        throw new Error('A model needs a non-empty "vertices" list');
+    }
+
+    const vertices = data.vertices.map((vertex, i) => {
+        const [x, y, z] = Array.isArray(vertex) ? vertex : [vertex.x, vertex.y, vertex.z];
+        if (![x, y, z].every(Number.isFinite)) {
+            throw new Error(`Vertex ${i} is not three finite numbers`);
+        }
+        return new THREE.Vector3(x, y, z);
+    });
+
+    const checkIndex = (index) => {
+        if (!Number.isInteger(index) || index < 0 || index >= vertices.length) {
+            throw new Error(`Vertex index ${index} is out of range (0-${vertices.length - 1})`);
+        }
+        return index;
+    };
+    let faces = (data.faces || []).map(face => {
+        if (!Array.isArray(face) || face.length < 3) {
+            throw new Error('Each face needs at least three vertex indices');
+        }
+        return face.map(checkIndex);
+    });
+
+    if (options.fit) {
+        const box = new THREE.Box3().setFromPoints(vertices);
+        const size = box.getSize(new THREE.Vector3());
+        const scale = config.CUBE_SIZE / (Math.max(size.x, size.y, size.z) || 1);
+        const center = box.getCenter(new THREE.Vector3());
+        vertices.forEach(vertex => vertex.sub(center).multiplyScalar(scale));
+    }
+
+    // Faces must wind counter-clockwise seen from outside; flip a model that was wound the other way
+    let signedVolume = 0;
+    faces.forEach(face => {
+        for (let i = 1; i < face.length - 1; i++) {
+            signedVolume += vertices[face[0]].dot(new THREE.Vector3().crossVectors(vertices[face[i]], vertices[face[i + 1]]));
+        }
+    });
+    if (signedVolume < 0) {
+        faces = faces.map(face => face.slice().reverse());
+    }
+
+    const edges = data.edges && data.edges.length > 0
+        ? data.edges.flatMap(edge => {
+            if (!Array.isArray(edge) || edge.length !== 2) {
+                throw new Error('Each edge must be a pair of vertex indices');
+            }
+            return edge.map(checkIndex);
+        })
+        : deriveEdgesFromFaces(vertices, faces);
+
+    if (edges.length === 0) {
+        throw new Error('A model needs edges, or faces to take them from');
+    }
+
+    const edgeAxisMapping = {};
+    const edgeDirections = {};
+    clusterEdgeDirections(vertices, edges).forEach((pairs, axisIndex) => {
+        edgeAxisMapping[axisIndex] = pairs;
+        for (let i = 0; i < pairs.length; i += 2) {
+            edgeDirections[`${pairs[i]},${pairs[i + 1]}`] = axisIndex;
+            edgeDirections[`${pairs[i + 1]},${pairs[i]}`] = axisIndex;
+        }
+    });
+
+    return {
+        id: nextModelId++,
+        name: data.name || 'Model',
+        isCube: false,
+        vertices,
+        edges,
+        faces,
+        edgeAxisMapping,
+        edgeDirections
+    };
+}
+
+/**
+ * Parses the JSON model format: { "name", "vertices": [[x, y, z]], "faces": [[i, j, k, ...]], "edges": [[i, j]] }
+ * Faces and edges are both optional, but at least one must be given
+ */
+export function parsePolyhedronJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return createModel(data);
+}
+
+/**
+ * Parses the geometry of a Wavefront OBJ file: "v" vertices, "f" faces and "l" polylines
+ * Texture and normal indices are ignored; "l" lines, when present, are used as the edges
+ */
+export function parseOBJ(text, name = 'OBJ model') {
+    const vertices = [];
+    const faces = [];
+    const edges = [];
+    const toIndex = (token) => {
+        const index = parseInt(token.split('/')[0], 10);
+        return index < 0 ? vertices.length + index : index - 1; // OBJ indices are 1-based or relative
+    };
+
+    text.split('\n').forEach(rawLine => {
+        const parts = rawLine.trim().split(/\s+/);
+        switch (parts[0]) {
+            case 'v':
+                vertices.push(parts.slice(1, 4).map(Number));
+                break;
+            case 'f':
+                faces.push(parts.slice(1).map(toIndex));
+                break;
+            case 'l': {
+                const indices = parts.slice(1).map(toIndex);
+                for (let i = 0; i < indices.length - 1; i++) {
+                    edges.push([indices[i], indices[i + 1]]);
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    return createModel({ name, vertices, faces, edges });
+}
+
+/**
+ * Prism from a counter-clockwise 2D profile, extruded along z (or upwards along y)
+ */
+function extrudeProfile(name, profile, depth, axis = 'z') {
+    const count = profile.length;
+    const toPoint = ([u, v], w) => axis === 'y' ? [u, w, -v] : [u, v, w];
+    const vertices = [
+        ...profile.map(point => toPoint(point, depth / 2)),
+        ...profile.map(point => toPoint(point, -depth / 2))
+    ];
+    const faces = [
+        profile.map((point, i) => i),
+        profile.map((point, i) => 2 * count - 1 - i)
+    ];
+    for (let i = 0; i < count; i++) {
+        const j = (i + 1) % count;
+        faces.push([i, i + count, j + count, j]);
+    }
+    return { name, vertices, faces };
+}
+
+// Built-in models for the model selector, in the JSON model format
+const MODEL_PRESETS = {
+    prism: () => extrudeProfile('Triangular prism', [[-1, -1], [1, -1], [0, 1]], 3),
+    pyramid: () => ({
+        name: 'Square pyramid',
+        vertices: [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1], [0, 1, 0]],
+        faces: [[0, 1, 2, 3], [0, 4, 1], [1, 4, 2], [2, 4, 3], [3, 4, 0]]
+    }),
+    staircase: () => extrudeProfile('Staircase', [[0, 0], [3, 0], [3, 1], [2, 1], [2, 2], [1, 2], [1, 3], [0, 3]], 2),
+    massing: () => extrudeProfile('L-shaped block', [[0, 0], [3, 0], [3, 1], [1, 1], [1, 3], [0, 3]], 1.5, 'y')
+};
+
+/**
+ * Builds one of the built-in models by key ('cube', 'prism', 'pyramid', 'staircase' or 'massing')
+ */
+export function createPresetModel(key) {
+    if (key === 'cube') return getCubeModel();
+    if (PRIMITIVE_NAMES[key]) return createPrimitiveModel(key);
+    if (!MODEL_PRESETS[key]) {
+        throw new Error(`Unknown model preset: ${key}`);
+    }
+    return createModel(MODEL_PRESETS[key]());
+}
+
+/**
+ * Vanishing point and guide colours for an edge family; the first three match the cube's X, Y and Z
+ */
+export function getAxisColors(axisIndex) {
+    const palette = config.COLORS.axisPalette;
+    return palette[axisIndex % palette.length];
+}
+
+/**
+ * One entry per edge family: its world direction (from its first edge), colours and edge pairs
+ */
+export function getModelAxes(worldVertices, model = state.model) {
+    return Object.keys(model.edgeAxisMapping).map(key => {
+        const axisIndex = Number(key);
+        const pairs = model.edgeAxisMapping[key];
+        return {
+            axisIndex,
+            direction: new THREE.Vector3().subVectors(worldVertices[pairs[1]], worldVertices[pairs[0]]),
+            pairs,
+            ...getAxisColors(axisIndex)
+        };
+    });
+}
+
+/**
+ * Solid geometry for a model's faces, flat shaded
+ */
+export function createModelGeometry(model) {
+    if (model.primitive) {
+        return createPrimitiveGeometry(model);
+    }
+    if (model.isCube) {
+        return new THREE.BoxGeometry(config.CUBE_SIZE, config.CUBE_SIZE, config.CUBE_SIZE);
+    }
+
+    const positions = [];
+    model.faces.forEach(face => {
+        const faceVertices = face.map(index => model.vertices[index]);
+        triangulateFace(faceVertices).forEach(triangle => {
+            triangle.forEach(corner => {
+                const vertex = faceVertices[corner];
+                positions.push(vertex.x, vertex.y, vertex.z);
+            });
+        });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * Line geometry along a model's edges; the cube and curved primitives take theirs from the solid geometry
+ */
+export function createModelEdgesGeometry(model, solidGeometry) {
+    if (model.isCube) {
+        return new THREE.EdgesGeometry(solidGeometry);
+    }
+    if (model.primitive) {
+        return new THREE.EdgesGeometry(solidGeometry, config.PRIMITIVES.edgeThresholdDegrees);
+    }
+    const points = model.edges.map(index => model.vertices[index]);
+    return new THREE.BufferGeometry().setFromPoints(points);
+}
+
+/**
+ * Gives a mesh made from a model, with its edge lines as a child, another model's geometry
+ */
+export function setMeshModel(mesh, model) {
+    const oldGeometry = mesh.geometry;
+    mesh.geometry = createModelGeometry(model);
+    oldGeometry.dispose();
+
+    const edgeLines = mesh.children.find(child => child.isLineSegments);
+    if (edgeLines) {
+        edgeLines.geometry.dispose();
+        edgeLines.geometry = createModelEdgesGeometry(model, mesh.geometry);
+    }
+}
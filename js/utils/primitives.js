@@ -0,0 +1,156 @@
+import { state, toViewFrame } from '../state.js';
+import { config } from '../config.js';
+import { sphereContour, cylinderContourAngles, classifyProjectedEllipse } from '../projections/projection-math.js';
+
+/**
+ * Curved Primitives Module
+ * Spheres, cylinders and discs placed as scene objects. Instead of vertices and edges they are drawn
+ * by their outlines, found analytically from the viewpoint: the contour circle of a sphere, the rims
+ * and silhouette rulings of a cylinder and the rim of a disc
+ *
+ * Each is modelled at the cube's size on a unit shape (radius 1, axis along local Y, y in [-1, 1]);
+ * the object's matrix then places, turns and stretches it, so spheres may become ellipsoids
+ */
+
+export const PRIMITIVE_NAMES = {
+    sphere: 'Sphere',
+    cylinder: 'Cylinder',
+    disc: 'Disc'
+};
+
+let nextPrimitiveId = 1;
+
+/**
+ * A model with no vertices or edges, so only the outlines below are projected
+ */
+export function createPrimitiveModel(type) {
+    if (!PRIMITIVE_NAMES[type]) {
+        throw new Error(`Unknown primitive: ${type}`);
+    }
+
+    const halfSize = config.CUBE_SIZE / 2;
+    const halfHeight = type === 'disc' ? 0 : halfSize;
+    return {
+        id: `${type}-${nextPrimitiveId++}`,
+        name: PRIMITIVE_NAMES[type],
+        primitive: type,
+        vertices: [],
+        edges: [],
+        faces: [],
+        edgeAxisMapping: {},
+        edgeDirections: {},
+        bounds: new THREE.Box3(
+            new THREE.Vector3(-halfSize, -halfHeight, -halfSize),
+            new THREE.Vector3(halfSize, halfHeight, halfSize)
+        )
+    };
+}
+
+/**
+ * Solid geometry for the 3D views
+ */
+export function createPrimitiveGeometry(model) {
+    const radius = config.CUBE_SIZE / 2;
+    const segments = config.PRIMITIVES.meshSegments;
+
+    switch (model.primitive) {
+        case 'sphere':
+            return new THREE.SphereGeometry(radius, segments, segments / 2);
+        case 'cylinder':
+            return new THREE.CylinderGeometry(radius, radius, config.CUBE_SIZE, segments);
+        case 'disc':
+            // CircleGeometry lies in XY; turn it into the XZ plane so its axis is Y like the cylinder's
+            return new THREE.CircleGeometry(radius, segments).rotateX(-Math.PI / 2);
+        default:
+            throw new Error(`Unknown primitive: ${model.primitive}`);
+    }
+}
+
+/**
+ * Matrix from the unit shape to the world
+ */
+function getUnitShapeMatrix(object) {
+    const halfSize = config.CUBE_SIZE / 2;
+    object.mesh.updateMatrixWorld();
+    return object.mesh.matrixWorld.clone().multiply(new THREE.Matrix4().makeScale(halfSize, halfSize, halfSize));
+}
+
+/**
+ * Samples a circle of the unit shape in world space, and names the conic it projects to
+ */
+function getCircleOutline(kind, matrix, center, u, v, radius) {
+    const toWorld = (point) => new THREE.Vector3(point.x, point.y, point.z).applyMatrix4(matrix);
+    const worldCenter = toWorld(center);
+    const worldU = toWorld({ x: center.x + radius * u.x, y: center.y + radius * u.y, z: center.z + radius * u.z }).sub(worldCenter);
+    const worldV = toWorld({ x: center.x + radius * v.x, y: center.y + radius * v.y, z: center.z + radius * v.z }).sub(worldCenter);
+
+    const segments = config.PRIMITIVES.outlineSegments;
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = 2 * Math.PI * i / segments;
+        points.push(worldCenter.clone()
+            .addScaledVector(worldU, Math.cos(angle))
+            .addScaledVector(worldV, Math.sin(angle)));
+    }
+
+    // The conic type follows from the circle's place relative to the viewpoint, in the camera frame
+    const viewCenter = toViewFrame(worldCenter);
+    const conic = classifyProjectedEllipse(
+        viewCenter,
+        toViewFrame(worldCenter.clone().add(worldU)).sub(viewCenter),
+        toViewFrame(worldCenter.clone().add(worldV)).sub(viewCenter)
+    );
+
+    return { kind, points, closed: true, conic };
+}
+
+/**
+ * Outlines of every curved object as seen from the viewpoint
+ * @returns {Array<{object: Object, kind: string, points: Array<THREE.Vector3>, closed: boolean, conic?: string}>}
+ *   World-space polylines; kind is 'contour' (sphere), 'rim' (cylinder ends, disc) or 'ruling' (cylinder sides)
+ */
+export function getPrimitiveOutlines(objects = state.sceneObjects, viewpoint = state.viewpointPosition) {
+    const outlines = [];
+    const xAxis = { x: 1, y: 0, z: 0 };
+    const zAxis = { x: 0, y: 0, z: 1 };
+
+    objects.filter(object => object.model.primitive).forEach(object => {
+        const matrix = getUnitShapeMatrix(object);
+        const eye = viewpoint.clone().applyMatrix4(matrix.clone().invert());
+        const add = (outline) => outlines.push({ object, ...outline });
+
+        switch (object.model.primitive) {
+            case 'sphere': {
+                const contour = sphereContour(eye);
+                if (contour) {
+                    add(getCircleOutline('contour', matrix, contour.center, contour.u, contour.v, contour.radius));
+                }
+                break;
+            }
+            case 'cylinder': {
+                [-1, 1].forEach(y => add(getCircleOutline('rim', matrix, { x: 0, y, z: 0 }, xAxis, zAxis, 1)));
+
+                // Rulings are straight, but sampled so the hemispherical view can bend them
+                const angles = cylinderContourAngles(eye);
+                if (angles) {
+                    const samples = config.PRIMITIVES.rulingSegments;
+                    angles.forEach(angle => {
+                        const bottom = new THREE.Vector3(Math.cos(angle), -1, Math.sin(angle)).applyMatrix4(matrix);
+                        const top = new THREE.Vector3(Math.cos(angle), 1, Math.sin(angle)).applyMatrix4(matrix);
+                        const points = [];
+                        for (let i = 0; i <= samples; i++) {
+                            points.push(bottom.clone().lerp(top, i / samples));
+                        }
+                        add({ kind: 'ruling', points, closed: false });
+                    });
+                }
+                break;
+            }
+            case 'disc':
+                add(getCircleOutline('rim', matrix, { x: 0, y: 0, z: 0 }, xAxis, zAxis, 1));
+                break;
+        }
+    });
+
+    return outlines;
+}
@@ -0,0 +1,205 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { projectShadowPoint } from '../projections/projection-math.js';
+import { getCubeFaces } from './visibility.js';
+import { getCachedWorldVertices, clearGroup } from './three-utils.js';
+
+// Faces are cut this far below a point light, where their shadows are still finite
+const LAMP_HEIGHT_TOLERANCE = 1e-6;
+// Cut faces and shadows with less area than this are dropped
+const AREA_TOLERANCE = 1e-9;
+
+/**
+ * Shadow Utilities
+ * The movable light and the shadows it casts on the ground plane. A shadow is a projection with the light as
+ * the eye and the floor as the image plane, so each face turned to the light casts the polygon its corners
+ * project to, and together they cover the object's shadow
+ */
+
+/**
+ * The light in the plain form projectShadowPoint takes: a sun far off towards the light position from the
+ * origin, or a point light at that position
+ */
+export function getLight() {
+    const position = state.lightPosition;
+    return state.lightType === 'point'
+        ? { type: 'point', position: { x: position.x, y: position.y, z: position.z } }
+        : { type: 'sun', direction: position.clone().normalize() };
+}
+
+/**
+ * Unit direction from a point towards the light
+ */
+function getDirectionToLight(point, light) {
+    return light.type === 'point'
+        ? new THREE.Vector3(light.position.x, light.position.y, light.position.z).sub(point).normalize()
+        : new THREE.Vector3(light.direction.x, light.direction.y, light.direction.z);
+}
+
+/**
+ * Cuts a polygon to the part where a coordinate ('x', 'y' or 'z') is at or above a value (keepAbove), or at
+ * or below it
+ */
+function clipPolygon(vertices, axis, value, keepAbove) {
+    const isKept = (vertex) => keepAbove ? vertex[axis] >= value : vertex[axis] <= value;
+    const clipped = [];
+    vertices.forEach((vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        if (isKept(vertex)) {
+            clipped.push(vertex);
+        }
+        if (isKept(vertex) !== isKept(next)) {
+            const crossing = vertex.clone().lerp(next, (value - vertex[axis]) / (next[axis] - vertex[axis]));
+            crossing[axis] = value;
+            clipped.push(crossing);
+        }
+    });
+    return clipped;
+}
+
+/**
+ * Area of a polygon's outline seen along an axis ('x', 'y' or 'z')
+ */
+function getProjectedArea(vertices, axis) {
+    const [u, v] = ['x', 'y', 'z'].filter(other => other !== axis);
+    let doubleArea = 0;
+    vertices.forEach((vertex, i) => {
+        const next = vertices[(i + 1) % vertices.length];
+        doubleArea += vertex[u] * next[v] - next[u] * vertex[v];
+    });
+    return Math.abs(doubleArea) / 2;
+}
+
+/**
+ * Shadows of the faces turned towards the light, on the ground plane. Each face is first cut to the part the
+ * light reaches from above (see projectShadowPoint): above the ground and, for a point light, below its
+ * height. Its shadow is then cut to within config.SHADOWS.maxReach of the ground beneath the face's centre
+ * @returns {Array<{outline: Array<THREE.Vector3>, triangles: Array<Array<number>>}>} Triangles index the outline
+ */
+export function getShadowPolygons(worldVertices = getCachedWorldVertices()) {
+    const light = getLight();
+    const groundHeight = config.GROUND.height;
+    const { maxReach } = config.SHADOWS;
+
+    const polygons = [];
+    getCubeFaces(worldVertices).forEach(face => {
+        const centroid = face.vertices.reduce((sum, vertex) => sum.add(vertex), new THREE.Vector3())
+            .multiplyScalar(1 / face.vertices.length);
+        if (face.normal.dot(getDirectionToLight(centroid, light)) <= 0) return;
+
+        let vertices = clipPolygon(face.vertices, 'y', groundHeight, true);
+        if (light.type === 'point') {
+            vertices = clipPolygon(vertices, 'y', light.position.y - LAMP_HEIGHT_TOLERANCE, false);
+        }
+        // Faces wholly below the ground, or above a point light, cast none
+        if (vertices.length < 3) return;
+
+        let outline = vertices.map(vertex => projectShadowPoint(vertex, light, groundHeight));
+        if (outline.some(point => !point)) return;
+        outline = outline.map(point => new THREE.Vector3(point.x, point.y, point.z));
+
+        const clipped = vertices.length !== face.vertices.length || vertices.some((vertex, i) => vertex !== face.vertices[i]);
+        const reachedOutline = [['x', centroid.x], ['z', centroid.z]].reduce((cut, [axis, centre]) =>
+            clipPolygon(clipPolygon(cut, axis, centre - maxReach, true), axis, centre + maxReach, false), outline);
+        if (reachedOutline.length < 3 || getProjectedArea(reachedOutline, 'y') < AREA_TOLERANCE) return;
+
+        // A cut face or shadow no longer matches the face's own triangles; the shadow lies flat on the
+        // ground, so triangulate that
+        const triangles = !clipped && reachedOutline.length === outline.length
+            && reachedOutline.every((point, i) => point === outline[i])
+            ? face.triangles
+            : THREE.ShapeUtils.triangulateShape(reachedOutline.map(point => new THREE.Vector2(point.x, point.z)), []);
+        polygons.push({ outline: reachedOutline, triangles });
+    });
+    return polygons;
+}
+
+/**
+ * World viewing directions of the light's vanishing points: for a sun, its direction and that of its foot on
+ * the horizon, where the shadows of vertical edges run to (both senses of each have an image); for a point
+ * light, the directions to the lamp and to the point of the floor beneath it
+ * @returns {Array<{direction: THREE.Vector3, bothSenses: boolean}>}
+ */
+export function getLightImageDirections() {
+    const light = getLight();
+    if (light.type === 'point') {
+        const lamp = state.lightPosition.clone();
+        const foot = new THREE.Vector3(lamp.x, config.GROUND.height, lamp.z);
+        return [lamp, foot].map(point => ({ direction: point.sub(state.viewpointPosition).normalize(), bothSenses: false }));
+    }
+
+    const sun = new THREE.Vector3(light.direction.x, light.direction.y, light.direction.z);
+    const directions = [{ direction: sun, bothSenses: true }];
+    const foot = new THREE.Vector3(sun.x, 0, sun.z);
+    // A sun straight overhead has no foot on the horizon
+    if (foot.lengthSq() > 1e-12) {
+        directions.push({ direction: foot.normalize(), bothSenses: true });
+    }
+    return directions;
+}
+
+/**
+ * Filled shadow region for a 2D view, above the floor grid and below the faces
+ */
+export function createShadowMesh(outline) {
+    const shape = new THREE.Shape(outline.map(point => new THREE.Vector2(point.x, point.y)));
+    const material = new THREE.MeshBasicMaterial({ color: config.SHADOWS.color, side: THREE.DoubleSide });
+    const mesh = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+    mesh.position.z = config.SHADOWS.z;
+    return mesh;
+}
+
+/**
+ * Puts the scene's light where shadows are cast from, so faces are shaded the same way: the directional light
+ * for a sun, or a point light (added the first time) in its place. Draws the light and the shadows into the
+ * 3D views
+ */
+export function updateShadowsInScene() {
+    const lights = state.master3D.children;
+    const directional = lights.find(object => object.isDirectionalLight);
+    let pointLight = lights.find(object => object.isPointLight);
+    const isPoint = state.lightType === 'point';
+
+    if (directional) {
+        directional.position.copy(state.lightPosition);
+        directional.visible = !isPoint;
+    }
+    if (isPoint && !pointLight) {
+        pointLight = new THREE.PointLight(0xffffff, config.LIGHTING.directionalIntensity, 0);
+        state.master3D.add(pointLight);
+    }
+    if (pointLight) {
+        pointLight.position.copy(state.lightPosition);
+        pointLight.visible = isPoint;
+    }
+
+    const group = state.groups.master3D.shadows;
+    clearGroup(group);
+    if (!state.showShadows) return;
+
+    const lightMarker = new THREE.Mesh(
+        new THREE.SphereGeometry(config.SHADOWS.lightMarkerRadius, 16, 16),
+        new THREE.MeshBasicMaterial({ color: config.SHADOWS.lightColor })
+    );
+    lightMarker.position.copy(state.lightPosition);
+    group.add(lightMarker);
+    const foot = new THREE.Vector3(state.lightPosition.x, config.GROUND.height, state.lightPosition.z);
+    group.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([state.lightPosition, foot]),
+        new THREE.LineBasicMaterial({ color: config.SHADOWS.lightColor })
+    ));
+
+    // Lifted just off the floor so the grid does not show through
+    const positions = [];
+    getShadowPolygons().forEach(polygon => {
+        polygon.triangles.forEach(triangle => triangle.forEach(corner => {
+            const point = polygon.outline[corner];
+            positions.push(point.x, point.y + config.SHADOWS.lift, point.z);
+        }));
+    });
+    if (positions.length === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: config.SHADOWS.color, side: THREE.DoubleSide })));
+}
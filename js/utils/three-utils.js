@@ -1,6 +1,7 @@
 // Three.js Utility Functions
 import { config } from '../config.js';
 import { state } from '../state.js';
+import { getSceneSignature, buildSceneModel } from '../scenes/scene-objects.js';
 
 // Utility function to safely dispose Three.js objects
 export function safeDispose(object) {
@@ -21,6 +22,19 @@ export function safeDispose(object) {
     }
 }
 
+/**
+ * Loads a local image file (from a file input) as a texture
+ * @returns {Promise<THREE.Texture>}
+ */
+export async function loadTextureFromFile(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        return await new Promise((resolve, reject) => new THREE.TextureLoader().load(url, resolve, undefined, reject));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
 // Helper function to clear and dispose group contents
 export function clearGroup(group) {
     group.children.forEach(child => safeDispose(child));
@@ -37,8 +51,8 @@ export function createMaterial(type, options = {}) {
         LineBasicMaterial: { color: config.COLORS.cubeEdge, linewidth: 2 },
         MeshBasicMaterial: { color: config.COLORS.viewpoint },
         ProjectionLineMaterial: { color: config.COLORS.projectionLine, transparent: true, opacity: 0.5 },
-        VanishingPointMaterial: { color: config.COLORS.vanishingPoints.x },
-        GuideMaterial: { color: config.COLORS.guideLines.x, opacity: 0.4, transparent: true, linewidth: 1 }
+        VanishingPointMaterial: { color: config.COLORS.axisPalette[0].vanishingPoint },
+        GuideMaterial: { color: config.COLORS.axisPalette[0].guide, opacity: 0.4, transparent: true, linewidth: 1 }
     };
     
     const materialConfig = { ...defaults[type], ...options };
@@ -78,16 +92,9 @@ export const RAY_MATERIALS = {
     })
 };
 
-export function updateCubeInScene(sceneId, targetCube, scene) {
-    const sceneObject = findObjectByGeometryType(scene, 'BoxGeometry');
-    if (sceneObject) {
-        sceneObject.rotation.copy(targetCube.rotation);
-        sceneObject.position.copy(targetCube.position);
-    }
-}
-
 export function updateViewpointInScene(sceneId, position, scene) {
-    const viewpointObject = findObjectByGeometryType(scene, 'SphereGeometry');
+    // Sphere scene objects share the geometry type, so prefer the marker kept in state
+    const viewpointObject = state.viewpointSphere || findObjectByGeometryType(scene, 'SphereGeometry');
     if (viewpointObject) {
         viewpointObject.position.copy(position);
     }
@@ -100,25 +107,18 @@ export function updateProjectedViewpointMarker(sceneId, x, y, scene, z = 0.1) {
     }
 }
 
-export function getCachedWorldVertices(cube) {
-    cube.updateMatrixWorld();
-    
-    // Check if cube transform has changed
-    if (!state.lastCubeMatrixWorld.equals(cube.matrixWorld) || !state.cachedWorldVertices) {
-        const halfSize = config.CUBE_SIZE / 2;
-        const localVertices = [
-            new THREE.Vector3(-halfSize, -halfSize, -halfSize), new THREE.Vector3( halfSize, -halfSize, -halfSize),
-            new THREE.Vector3( halfSize,  halfSize, -halfSize), new THREE.Vector3(-halfSize,  halfSize, -halfSize),
-            new THREE.Vector3(-halfSize, -halfSize,  halfSize), new THREE.Vector3( halfSize, -halfSize,  halfSize),
-            new THREE.Vector3( halfSize,  halfSize,  halfSize), new THREE.Vector3(-halfSize,  halfSize,  halfSize)
-        ];
-        
-        state.cachedWorldVertices = localVertices.map(v => v.clone().applyMatrix4(cube.matrixWorld));
-        state.lastCubeMatrixWorld.copy(cube.matrixWorld);
+export function getCachedWorldVertices() {
+    // Rebuild the combined model whenever any scene object has moved or changed
+    const signature = getSceneSignature();
+    if (signature !== state.lastSceneSignature || !state.cachedWorldVertices) {
+        const { model, worldVertices } = buildSceneModel();
+        state.model = model;
+        state.cachedWorldVertices = worldVertices;
+        state.lastSceneSignature = signature;
     }
     
     return state.cachedWorldVertices;
-} 
+}
 
 
 
@@ -132,16 +132,15 @@ export function updateMaster3DScene(options = {}) {
     const groups = state.groups.master3D;
     
     // Find cube and viewpoint objects in master scene
-    const cube = findObjectByGeometryType(scene, 'BoxGeometry');
-    const viewpointSphere = findObjectByGeometryType(scene, 'SphereGeometry');
+    const cube = state.cube;
+    const viewpointSphere = state.viewpointSphere || findObjectByGeometryType(scene, 'SphereGeometry');
     
     if (!cube || !viewpointSphere) {
         console.warn('Master scene objects not found. Ensure setupMaster3DScene() was called.');
         return [];
     }
     
-    // Update shared objects in master scene
-    updateCubeInScene('master3D', cube, scene);
+    // Update shared objects in master scene (scene objects live there already)
     updateViewpointInScene('master3D', state.viewpointPosition, scene);
     
     // Only clear projection lines if not using custom ray handling
@@ -150,7 +149,7 @@ export function updateMaster3DScene(options = {}) {
     }
     
     // Get world vertices for ray drawing
-    const worldVertices = getCachedWorldVertices(cube);
+    const worldVertices = getCachedWorldVertices();
     
     // Draw projection rays only if not using custom ray handling
     if (!options.customRayHandling) {
@@ -276,35 +275,39 @@ export function validateEulerAngles(alpha, beta, gamma) {
 }
 
 /**
- * Converts current object rotation back to approximate zx'z'' Euler angles
- * Note: This is approximate due to gimbal lock and multiple representations
+ * Converts current object rotation back to zx'z'' Euler angles
+ * Note: At gimbal lock (β = 0° or 180°) only α ± γ is defined, so γ is taken as 0
  * @param {THREE.Object3D} object - The object to analyze
- * @returns {Object} Approximate Euler angles in degrees
+ * @returns {Object} Euler angles in degrees
  */
 export function extractEulerAngles(object) {
     if (!object) {
         return { alpha: 0, beta: 0, gamma: 0 };
     }
     
-    // Get rotation matrix from object
-    const matrix = object.matrixWorld.clone();
-    matrix.decompose(new THREE.Vector3(), object.quaternion, new THREE.Vector3());
+    // Rotation matrix Rz(α)·Rx(β)·Rz(γ), read by row and column (THREE stores it column by column)
+    const e = new THREE.Matrix4().makeRotationFromQuaternion(object.quaternion).elements;
+    const m = (row, column) => e[(column - 1) * 4 + (row - 1)];
     
-    // Convert to Euler angles (zx'z'' order)
-    const euler = new THREE.Euler();
-    euler.setFromQuaternion(object.quaternion, 'ZXZ');
+    const beta = Math.acos(Math.max(-1, Math.min(1, m(3, 3))));
+    let alpha;
+    let gamma;
+    if (Math.sin(beta) > 1e-6) {
+        alpha = Math.atan2(m(1, 3), -m(2, 3));
+        gamma = Math.atan2(m(3, 1), m(3, 2));
+    } else {
+        alpha = Math.atan2(m(2, 1), m(1, 1));
+        gamma = 0;
+    }
     
     // Convert radians to degrees
-    const alpha = (euler.z * 180) / Math.PI;
-    const beta = (euler.x * 180) / Math.PI;
-    const gamma = (euler.y * 180) / Math.PI;
-    
-    return validateEulerAngles(alpha, beta, gamma);
+    return validateEulerAngles(alpha * 180 / Math.PI, beta * 180 / Math.PI, gamma * 180 / Math.PI);
 }
 
 /**
- * Synchronizes state between local and precise rotation modes
- * This function attempts to convert the current cube orientation to the target mode
+ * Shows the cube's current orientation on the sliders of a rotation mode, without turning the cube
+ * Precise sliders read its zx'z'' Euler angles; local sliders read its XYZ Euler angles, and since they
+ * turn the cube by the change in their value they carry on from there
  * @param {string} targetMode - 'local' or 'precise'
  */
 export function synchronizeRotationState(targetMode) {
@@ -315,28 +318,15 @@ export function synchronizeRotationState(targetMode) {
     }
     
     if (targetMode === 'precise') {
-        // Switching TO precise mode: try to extract current Euler angles
         const extracted = extractEulerAngles(cube);
         state.cubeEulerAngles.alpha = extracted.alpha;
         state.cubeEulerAngles.beta = extracted.beta;
         state.cubeEulerAngles.gamma = extracted.gamma;
-        
-        console.log(`Synchronized to precise mode: α=${extracted.alpha}°, β=${extracted.beta}°, γ=${extracted.gamma}°`);
-        
-        // Update UI controls to reflect new values
         updateEulerControlValues();
-        
     } else if (targetMode === 'local') {
-        // Switching TO local mode: reset local rotation tracking
-        // Note: We don't try to reverse-engineer local rotations since they're cumulative
-        // Instead, we reset the tracking and let the user continue from current position
-        state.cubeLocalRotation.x = 0;
-        state.cubeLocalRotation.y = 0;
-        state.cubeLocalRotation.z = 0;
-        
-        console.log('Synchronized to local mode: Reset local rotation tracking');
-        
-        // Update UI controls to reflect reset values
+        state.cubeLocalRotation.x = cube.rotation.x * 180 / Math.PI;
+        state.cubeLocalRotation.y = cube.rotation.y * 180 / Math.PI;
+        state.cubeLocalRotation.z = cube.rotation.z * 180 / Math.PI;
         updateLocalControlValues();
     }
 }
@@ -356,8 +346,9 @@ function updateEulerControlValues() {
         const numberInput = document.getElementById(id + '-number');
         
         if (slider && numberInput) {
-            slider.value = value;
-            numberInput.value = value;
+            // Extracted angles are rarely whole degrees; show them to a tenth
+            slider.value = Math.round(value * 10) / 10;
+            numberInput.value = Math.round(value * 10) / 10;
         }
     });
 }
@@ -377,8 +368,8 @@ function updateLocalControlValues() {
         const numberInput = document.getElementById(id + '-number');
         
         if (slider && numberInput) {
-            slider.value = value;
-            numberInput.value = value;
+            slider.value = Math.round(value * 10) / 10;
+            numberInput.value = Math.round(value * 10) / 10;
         }
     });
 }
@@ -488,3 +479,32 @@ export function createHemisphere(radius = state.hemisphereRadius, position = nul
     return hemisphere;
 }
 
+export function createCylinder(radius = state.hemisphereRadius, position = null) {
+    // Open-ended vertical cylinder, 2R tall, centred on the viewpoint
+    const cylinderGeometry = new THREE.CylinderGeometry(radius, radius, 2 * radius, 48, 1, true);
+    const cylinderMaterial = new THREE.MeshBasicMaterial({ 
+        color: config.COLORS.cylinder, 
+        transparent: true, 
+        opacity: 0.15, 
+        side: THREE.DoubleSide 
+    });
+    const cylinder = new THREE.Mesh(cylinderGeometry, cylinderMaterial);
+    
+    // Set position if provided, otherwise use viewpoint position
+    if (position) {
+        cylinder.position.copy(position);
+    } else {
+        cylinder.position.copy(state.viewpointPosition);
+    }
+    
+    // Add wireframe
+    const cylinderWireframe = new THREE.WireframeGeometry(cylinderGeometry);
+    const wireframeMaterial = new THREE.LineBasicMaterial({ 
+        color: config.COLORS.cylinder, 
+        opacity: 0.3, 
+        transparent: true 
+    });
+    cylinder.add(new THREE.LineSegments(cylinderWireframe, wireframeMaterial));
+    
+    return cylinder;
+}
@@ -0,0 +1,167 @@
+import { state } from '../state.js';
+import { config } from '../config.js';
+import { getFaceNormal, triangulateFace } from './polyhedron.js';
+
+/**
+ * Hidden-Line Utilities
+ * Decides which parts of the model's edges are hidden behind its own faces, as seen from the viewpoint
+ */
+
+// Samples per edge when searching for visibility changes, and bisection steps to pin each one down
+const VISIBILITY_SAMPLES = 32;
+const BISECTION_STEPS = 20;
+
+// Points lying on a face (such as the face's own edges) must not count as hidden by it
+const OCCLUSION_TOLERANCE = 1e-6;
+
+/**
+ * Builds the model faces with outward normals and marks those facing the viewpoint
+ * @param {Array<THREE.Vector3>} worldVertices - Model vertices in world space
+ * @param {THREE.Vector3} viewpoint - Centre of projection
+ * @returns {Array<{indices: Array<number>, vertices: Array<THREE.Vector3>, normal: THREE.Vector3, triangles: Array<Array<number>>, frontFacing: boolean, baseColor: number}>}
+ */
+export function getCubeFaces(worldVertices, viewpoint = state.viewpointPosition) {
+    const faceColors = state.model.faceColors;
+    return state.model.faces.map((indices, faceIndex) => {
+        const vertices = indices.map(index => worldVertices[index]);
+        const normal = getFaceNormal(vertices);
+        // Non-convex faces (such as a staircase side) are tested triangle by triangle
+        const triangles = triangulateFace(vertices, normal);
+        // A face is seen from the front when the viewpoint lies on the side its normal points to
+        const frontFacing = normal.dot(viewpoint.clone().sub(vertices[0])) > 0;
+        // Colour of the scene object the face belongs to
+        const baseColor = faceColors ? faceColors[faceIndex] : config.COLORS.cube;
+        return { indices, vertices, normal, triangles, frontFacing, baseColor };
+    });
+}
+
+function isPointInTriangle(point, corners, normal) {
+    for (let i = 0; i < 3; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 3];
+        const side = new THREE.Vector3().subVectors(b, a)
+            .cross(new THREE.Vector3().subVectors(point, a))
+            .dot(normal);
+        if (side < -OCCLUSION_TOLERANCE) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function isPointInFace(point, face) {
+    return face.triangles.some(triangle =>
+        isPointInTriangle(point, triangle.map(corner => face.vertices[corner]), face.normal));
+}
+
+/**
+ * Checks whether the sight line from the viewpoint to a point passes through a front face first
+ */
+export function isPointHidden(point, faces, viewpoint = state.viewpointPosition) {
+    const sight = point.clone().sub(viewpoint);
+
+    return faces.some(face => {
+        if (!face.frontFacing) return false;
+
+        const denominator = face.normal.dot(sight);
+        if (Math.abs(denominator) < 1e-12) return false;
+
+        const s = face.normal.dot(face.vertices[0].clone().sub(viewpoint)) / denominator;
+        if (s <= 0 || s >= 1 - OCCLUSION_TOLERANCE) return false;
+
+        return isPointInFace(viewpoint.clone().addScaledVector(sight, s), face);
+    });
+}
+
+/**
+ * Splits an edge into runs that are either visible or hidden
+ * @param {THREE.Vector3} start - Edge start in world space
+ * @param {THREE.Vector3} end - Edge end in world space
+ * @param {Array} faces - Faces from getCubeFaces
+ * @returns {Array<{t0: number, t1: number, visible: boolean}>} Runs in edge parameter order
+ */
+export function splitEdgeByVisibility(start, end, faces, viewpoint = state.viewpointPosition) {
+    const hiddenAt = (t) => isPointHidden(start.clone().lerp(end, t), faces, viewpoint);
+
+    // Sample the middles of equal pieces: the end vertices themselves lie on the faces that meet there
+    const runs = [];
+    let runStart = 0;
+    let previousT = 0.5 / VISIBILITY_SAMPLES;
+    let previousHidden = hiddenAt(previousT);
+
+    for (let i = 1; i < VISIBILITY_SAMPLES; i++) {
+        const t = (i + 0.5) / VISIBILITY_SAMPLES;
+        const hidden = hiddenAt(t);
+
+        if (hidden !== previousHidden) {
+            // Bisect between the two samples for the point where visibility changes
+            let low = previousT;
+            let high = t;
+            for (let step = 0; step < BISECTION_STEPS; step++) {
+                const middle = (low + high) / 2;
+                if (hiddenAt(middle) === previousHidden) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            const change = (low + high) / 2;
+            runs.push({ t0: runStart, t1: change, visible: !previousHidden });
+            runStart = change;
+        }
+
+        previousT = t;
+        previousHidden = hidden;
+    }
+    runs.push({ t0: runStart, t1: 1, visible: !previousHidden });
+
+    return runs;
+}
+
+/**
+ * Visibility runs for every model edge, following the pairs in the model's edge list
+ * With the 'solid' style no analysis is done and every edge is one visible run
+ */
+export function getEdgeVisibilityRuns(worldVertices, viewpoint = state.viewpointPosition) {
+    const edges = state.model.edges;
+    const runs = [];
+
+    if (state.hiddenEdgeStyle === 'solid') {
+        for (let i = 0; i < edges.length; i += 2) {
+            runs.push([{ t0: 0, t1: 1, visible: true }]);
+        }
+        return runs;
+    }
+
+    const faces = getCubeFaces(worldVertices, viewpoint);
+    for (let i = 0; i < edges.length; i += 2) {
+        runs.push(splitEdgeByVisibility(worldVertices[edges[i]], worldVertices[edges[i + 1]], faces, viewpoint));
+    }
+    return runs;
+}
+
+/**
+ * Line material for hidden edge runs in the current style, or null when they are not drawn
+ */
+export function createHiddenEdgeMaterial(visibleMaterial, style = state.hiddenEdgeStyle) {
+    const styleConfig = config.HIDDEN_EDGE_STYLES[style];
+
+    switch (style) {
+        case 'dashed':
+            return new THREE.LineDashedMaterial({
+                color: visibleMaterial.color,
+                dashSize: styleConfig.dashSize,
+                gapSize: styleConfig.gapSize
+            });
+        case 'faded':
+            return new THREE.LineBasicMaterial({
+                color: visibleMaterial.color,
+                transparent: true,
+                opacity: styleConfig.opacity
+            });
+        case 'hidden':
+            return null;
+        default:
+            return visibleMaterial;
+    }
+}
@@ -0,0 +1,8 @@
+import { renderHemisphericalImage } from '../js/rendering/ray-tracer.js';
+import { REFERENCE_SIZE, REFERENCE_SCENES, getReferencePath, writePAM } from '../tests/ray-tracer-references.js';
+
+// Rewrites the ray tracer's reference images in tests/references after an intended change to its output
+Object.entries(REFERENCE_SCENES).forEach(([name, scene]) => {
+    writePAM(getReferencePath(name), renderHemisphericalImage(scene, REFERENCE_SIZE));
+    console.log(`Wrote tests/references/${name}.pam`);
+});
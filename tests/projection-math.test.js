@@ -0,0 +1,350 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    mapPolarAngle,
+    inversePolarAngle,
+    getBoundaryRadius,
+    postelProjection,
+    intersectRayWithHemisphere,
+    computeCircleFromThreePoints,
+    intersectCircles,
+    selectCorrectIntersection,
+    constructHemiPoint,
+    hemisphericalVanishingPoints,
+    hemisphericalImageDirection,
+    invertThroughBoundary,
+    constructionResidual,
+    vanishingPointResiduals,
+    projectToImagePlane,
+    linearVanishingPoint,
+    linearImageDirection,
+    linearHorizon,
+    calibrateFromVanishingPoints,
+    sphereContour,
+    cylinderContourAngles,
+    classifyProjectedEllipse,
+    familyGreatCircles,
+    projectShadowPoint,
+    parallelViewFrame,
+    parallelEyeDistance,
+    projectToParallelView,
+    parallelViewVanishingPoint
+} from '../js/projections/projection-math.js';
+
+const R = 5;
+const EPSILON = 1e-9;
+const MAPPINGS = ['equidistant', 'stereographic', 'equisolid', 'orthographic'];
+
+function assertClose(actual, expected, tolerance = EPSILON, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, message || `expected ${expected}, got ${actual}`);
+}
+
+function distance2D(point) {
+    return Math.hypot(point.x, point.y);
+}
+
+test('radial mappings put the rim at their boundary radius', () => {
+    assertClose(getBoundaryRadius(R, 'equidistant'), R * Math.PI / 2);
+    assertClose(getBoundaryRadius(R, 'stereographic'), 2 * R);
+    assertClose(getBoundaryRadius(R, 'equisolid'), 2 * R * Math.SQRT1_2);
+    assertClose(getBoundaryRadius(R, 'orthographic'), R);
+    MAPPINGS.forEach(mapping => assertClose(mapPolarAngle(0, R, mapping), 0));
+});
+
+test('centred vanishing point sits at the origin with no outside point', () => {
+    MAPPINGS.forEach(mapping => {
+        const { inside, outside } = hemisphericalVanishingPoints({ x: 0, y: 0, z: -1 }, R, mapping);
+        assert.deepEqual(inside, { x: 0, y: 0 });
+        assert.equal(outside, null);
+    });
+});
+
+test('the sense of a direction facing the gaze gives the inside vanishing point', () => {
+    const forward = hemisphericalVanishingPoints({ x: 0.3, y: 0.2, z: -1 }, R);
+    const backward = hemisphericalVanishingPoints({ x: -0.3, y: -0.2, z: 1 }, R);
+    assertClose(forward.inside.x, backward.inside.x);
+    assertClose(forward.inside.y, backward.inside.y);
+});
+
+test('directions parallel to the image plane vanish on the boundary circle', () => {
+    MAPPINGS.forEach(mapping => {
+        const boundaryRadius = getBoundaryRadius(R, mapping);
+        const psi = Math.PI / 6;
+        const { inside, outside } = hemisphericalVanishingPoints({ x: Math.cos(psi), y: Math.sin(psi), z: 0 }, R, mapping);
+        assertClose(distance2D(inside), boundaryRadius);
+        // Either sense of the direction is parallel to the plane, so only the line through the centre is fixed
+        assertClose(inside.x * Math.sin(psi) - inside.y * Math.cos(psi), 0);
+        // On the boundary the inversion is its own mirror image
+        assertClose(outside.x, -inside.x);
+        assertClose(outside.y, -inside.y);
+    });
+});
+
+test('collinear cases fall on the axes', () => {
+    const alpha = Math.PI / 5;
+    const horizontal = constructHemiPoint({ x: Math.sin(alpha), y: 0, z: -Math.cos(alpha) }, R);
+    assertClose(horizontal.x, R * alpha);
+    assertClose(horizontal.y, 0);
+
+    const vertical = constructHemiPoint({ x: 0, y: -Math.sin(alpha), z: -Math.cos(alpha) }, R);
+    assertClose(vertical.x, 0);
+    assertClose(vertical.y, -R * alpha);
+
+    assert.equal(computeCircleFromThreePoints({ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }), null);
+});
+
+test('outside vanishing point is the inside one inverted through the boundary', () => {
+    MAPPINGS.forEach(mapping => {
+        const boundaryRadius = getBoundaryRadius(R, mapping);
+        const { inside, outside } = hemisphericalVanishingPoints({ x: 0.4, y: -0.7, z: -0.6 }, R, mapping);
+        assertClose(distance2D(inside) * distance2D(outside), boundaryRadius * boundaryRadius, 1e-9 * boundaryRadius ** 2);
+        // Opposite sides of the centre
+        assertClose(inside.x * outside.y - inside.y * outside.x, 0, 1e-9);
+        assert.ok(inside.x * outside.x + inside.y * outside.y < 0);
+    });
+    assert.equal(invertThroughBoundary({ x: 0.0005, y: 0 }, R), null);
+});
+
+test('the arc construction is exact for the stereographic mapping', () => {
+    const directions = [
+        { x: 0.3, y: 0.4, z: -0.8 },
+        { x: -0.6, y: 0.2, z: -0.5 },
+        { x: 0.1, y: -0.9, z: -0.2 }
+    ];
+    directions.forEach(direction => {
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        const onSphere = { x: R * direction.x / length, y: R * direction.y / length, z: R * direction.z / length };
+        const constructed = constructHemiPoint(direction, R, 'stereographic');
+        const direct = postelProjection(onSphere, { x: 0, y: 0, z: 0 }, R, 'stereographic');
+        assertClose(constructed.x, direct.x, 1e-9);
+        assertClose(constructed.y, direct.y, 1e-9);
+    });
+});
+
+test('construction residuals vanish for stereographic and show up for other mappings', () => {
+    const direction = { x: 0.4, y: 0.5, z: -0.6 };
+    assert.ok(constructionResidual(direction, R, 'stereographic').residual < 1e-9);
+    assert.ok(constructionResidual(direction, R, 'equidistant').residual > 1e-3);
+
+    // On the axes the construction takes p_theta or p_phi directly, which are exact for every mapping
+    MAPPINGS.forEach(mapping => {
+        assert.ok(constructionResidual({ x: 0.5, y: 0, z: -0.8 }, R, mapping).residual < 1e-9);
+    });
+
+    const { inside, outside } = vanishingPointResiduals(direction, R, 'stereographic');
+    assert.ok(inside.residual < 1e-9);
+    assert.ok(outside.residual < 1e-9);
+    assert.equal(vanishingPointResiduals({ x: 0, y: 0, z: 1 }, R).outside, null);
+});
+
+test('rays meet the sphere at the closest forward hit', () => {
+    const hit = intersectRayWithHemisphere({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -1 }, { x: 0, y: 0, z: 0 }, R);
+    assert.deepEqual(hit, { x: 0, y: 0, z: -5 });
+
+    const fromOutside = intersectRayWithHemisphere({ x: 0, y: 0, z: 10 }, { x: 0, y: 0, z: -1 }, { x: 0, y: 0, z: 0 }, R);
+    assert.deepEqual(fromOutside, { x: 0, y: 0, z: 5 });
+
+    assert.equal(intersectRayWithHemisphere({ x: 0, y: 10, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, R), null);
+});
+
+test('circle intersections and the choice of the one inside the boundary', () => {
+    const points = intersectCircles({ x: 0, y: 0 }, 1, { x: 1, y: 0 }, 1);
+    assert.equal(points.length, 2);
+    points.forEach(point => assertClose(point.x, 0.5));
+    assert.deepEqual(intersectCircles({ x: 0, y: 0 }, 1, { x: 5, y: 0 }, 1), []);
+
+    const chosen = selectCorrectIntersection([{ x: 3, y: 0 }, { x: 1, y: 0 }, { x: 9, y: 0 }], 5);
+    assert.deepEqual(chosen, { x: 1, y: 0 });
+    assert.equal(selectCorrectIntersection([{ x: 6, y: 0 }, { x: 7, y: 0 }], 5), null);
+});
+
+test('linear projection and vanishing points', () => {
+    assert.deepEqual(projectToImagePlane({ x: 1, y: 2, z: -2 }, 4), { x: 2, y: 4 });
+    assert.equal(projectToImagePlane({ x: 1, y: 2, z: 1 }, 4), null);
+    assert.equal(projectToImagePlane({ x: 1, y: 2, z: -0.0005 }, 4, 0.001), null);
+
+    assert.deepEqual(linearVanishingPoint({ x: 0, y: 0, z: -1 }, 4), { x: 0, y: 0 });
+    assert.deepEqual(linearVanishingPoint({ x: 1, y: 0, z: -1 }, 4), { x: 4, y: 0 });
+    assert.equal(linearVanishingPoint({ x: 1, y: 0, z: 0 }, 4), null);
+});
+
+test('the horizon passes through the vanishing points of directions in its plane', () => {
+    const up = { x: 0, y: Math.cos(0.3), z: Math.sin(0.3) }; // looking down a little
+    const horizon = linearHorizon(up, 4);
+    assertClose(horizon.point.x, 0);
+    assertClose(horizon.point.y, 4 * Math.tan(0.3));
+
+    // Any direction at right angles to the normal vanishes on the line
+    const flat = { x: 0.6, y: -0.8 * Math.sin(0.3), z: 0.8 * Math.cos(0.3) };
+    const vanishing = linearVanishingPoint(flat, 4);
+    const along = (vanishing.x - horizon.point.x) * horizon.direction.y - (vanishing.y - horizon.point.y) * horizon.direction.x;
+    assertClose(along, 0);
+
+    assert.equal(linearHorizon({ x: 0, y: 0, z: 1 }, 4), null);
+});
+
+test('contours of the unit sphere and cylinder are tangent to the sight lines', () => {
+    const eye = { x: 1, y: 2, z: 3 };
+    const contour = sphereContour(eye);
+    [0, 1, 2, 3].forEach(step => {
+        const angle = step * Math.PI / 2;
+        const point = ['x', 'y', 'z'].reduce((p, axis) => ({
+            ...p,
+            [axis]: contour.center[axis] + contour.radius * (Math.cos(angle) * contour.u[axis] + Math.sin(angle) * contour.v[axis])
+        }), {});
+        assertClose(Math.hypot(point.x, point.y, point.z), 1);
+        // The sight line from the eye meets the radius at a right angle
+        assertClose((point.x - eye.x) * point.x + (point.y - eye.y) * point.y + (point.z - eye.z) * point.z, 0);
+    });
+    assert.equal(sphereContour({ x: 0.5, y: 0, z: 0 }), null);
+
+    cylinderContourAngles({ x: 3, y: 7, z: -1 }).forEach(angle => {
+        const point = { x: Math.cos(angle), z: Math.sin(angle) };
+        assertClose((point.x - 3) * point.x + (point.z + 1) * point.z, 0);
+    });
+    assert.equal(cylinderContourAngles({ x: 0.5, y: 10, z: 0 }), null);
+});
+
+test('a projected circle is an ellipse, parabola or hyperbola by where it meets the viewer plane', () => {
+    const a = { x: 1, y: 0, z: 0 };
+    const tilted = { x: 0, y: 0.6, z: 0.8 };
+    assert.equal(classifyProjectedEllipse({ x: 0, y: 0, z: -5 }, a, tilted), 'ellipse');
+    assert.equal(classifyProjectedEllipse({ x: 0, y: 0, z: -0.8 }, a, tilted), 'parabola');
+    assert.equal(classifyProjectedEllipse({ x: 0, y: 0, z: -0.3 }, a, tilted), 'hyperbola');
+});
+
+test('grid sheet great circles pass through both vanishing points of their family', () => {
+    const direction = { x: 0.3, y: -0.5, z: -0.8 };
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+    const circles = familyGreatCircles(direction, 6, 8);
+    assert.equal(circles.length, 6);
+
+    circles.forEach(circle => {
+        assert.equal(circle.length, 8);
+        // Starts at the direction and is halfway round at its opposite
+        assertClose(circle[0].x, direction.x / length);
+        assertClose(circle[4].z, -direction.z / length);
+
+        const normal = {
+            x: circle[0].y * circle[2].z - circle[0].z * circle[2].y,
+            y: circle[0].z * circle[2].x - circle[0].x * circle[2].z,
+            z: circle[0].x * circle[2].y - circle[0].y * circle[2].x
+        };
+        circle.forEach(point => {
+            assertClose(Math.hypot(point.x, point.y, point.z), 1);
+            assertClose(point.x * normal.x + point.y * normal.y + point.z * normal.z, 0);
+        });
+    });
+});
+
+test('dragged image points give back the directions that vanish there', () => {
+    const direction = { x: 0.3, y: -0.5, z: -0.8 };
+    const unit = 1 / Math.hypot(direction.x, direction.y, direction.z);
+
+    const linear = linearImageDirection(linearVanishingPoint(direction, 4), 4);
+    ['x', 'y', 'z'].forEach(axis => assertClose(linear[axis], direction[axis] * unit));
+
+    MAPPINGS.forEach(mapping => {
+        [0.2, 1, 1.5].forEach(alpha => assertClose(inversePolarAngle(mapPolarAngle(alpha, R, mapping), R, mapping), alpha, 1e-9, mapping));
+
+        // The direct formula, since the arc construction is exact only for stereographic
+        const inside = postelProjection({ x: direction.x * unit * R, y: direction.y * unit * R, z: direction.z * unit * R }, { x: 0, y: 0, z: 0 }, R, mapping);
+        const outside = invertThroughBoundary(inside, getBoundaryRadius(R, mapping));
+        const front = hemisphericalImageDirection(inside, R, mapping);
+        const rear = hemisphericalImageDirection(outside, R, mapping);
+        ['x', 'y', 'z'].forEach(axis => {
+            assertClose(front[axis], direction[axis] * unit, 1e-6, mapping);
+            assertClose(rear[axis], -direction[axis] * unit, 1e-6, mapping);
+        });
+    });
+});
+
+test('calibration recovers the principal point, focal distance and axes behind three vanishing points', () => {
+    // Perpendicular unit axes, all facing the gaze
+    const axes = [
+        { x: 2 / 3, y: -1 / 3, z: -2 / 3 },
+        { x: -1 / 3, y: 2 / 3, z: -2 / 3 },
+        { x: -2 / 3, y: -2 / 3, z: -1 / 3 }
+    ];
+    const f = 4;
+    const p = { x: 0.5, y: -0.3 };
+    const points = axes.map(axis => ({ x: p.x + f * axis.x / -axis.z, y: p.y + f * axis.y / -axis.z }));
+
+    const calibration = calibrateFromVanishingPoints(points);
+    assertClose(calibration.principalPoint.x, p.x);
+    assertClose(calibration.principalPoint.y, p.y);
+    assertClose(calibration.focalDistance, f);
+    calibration.directions.forEach((direction, i) => {
+        ['x', 'y', 'z'].forEach(axis => assertClose(direction[axis], axes[i][axis]));
+    });
+
+    // A right angle or wider at one corner has no real focal distance; collinear points have no orthocentre
+    assert.equal(calibrateFromVanishingPoints([{ x: -2, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }]), null);
+    assert.equal(calibrateFromVanishingPoints([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }]), null);
+});
+
+test('shadows fall along the light rays onto the ground', () => {
+    const ground = -5;
+    const sun = { type: 'sun', direction: { x: 0.6, y: 0.8, z: 0 } };
+    const shadow = projectShadowPoint({ x: 1, y: 3, z: 2 }, sun, ground);
+    // 8 units above the ground, the sun ray runs back 6 along x
+    assert.deepEqual(shadow, { x: -5, y: ground, z: 2 });
+    assert.deepEqual(projectShadowPoint({ x: 1, y: ground, z: 2 }, sun, ground), { x: 1, y: ground, z: 2 });
+    assert.equal(projectShadowPoint({ x: 0, y: -6, z: 0 }, sun, ground), null);
+    assert.equal(projectShadowPoint({ x: 0, y: 0, z: 0 }, { type: 'sun', direction: { x: 1, y: 0, z: 0 } }, ground), null);
+
+    // A lamp 10 above the ground: a point halfway up casts its shadow twice as far out
+    const lamp = { type: 'point', position: { x: 0, y: 5, z: 0 } };
+    const lampShadow = projectShadowPoint({ x: 1, y: 0, z: -1 }, lamp, ground);
+    assertClose(lampShadow.x, 2);
+    assertClose(lampShadow.z, -2);
+    assert.equal(lampShadow.y, ground);
+    assert.equal(projectShadowPoint({ x: 1, y: 5, z: 0 }, lamp, ground), null);
+});
+
+test('isometric views shorten the three axes alike, and oblique views draw depth slanted and scaled', () => {
+    const origin = { x: 0, y: 0, z: 0 };
+    const isometric = parallelViewFrame(Math.PI / 4, Math.atan(1 / Math.SQRT2));
+    const lengths = [{ x: 1, y: 0, z: 0 }, { x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 }]
+        .map(axis => distance2D(projectToParallelView(axis, origin, isometric, Infinity)));
+    lengths.forEach(axisLength => assertClose(axisLength, Math.sqrt(2 / 3)));
+
+    // Cabinet: the front face keeps its shape, and depth runs up and to the right at half length
+    const cabinet = parallelViewFrame(0, 0, { scale: 0.5, angle: Math.PI / 4 });
+    const corner = projectToParallelView({ x: 1, y: 1, z: 0 }, origin, cabinet, Infinity);
+    assertClose(corner.x, 1);
+    assertClose(corner.y, 1);
+    const back = projectToParallelView({ x: 0, y: 0, z: -1 }, origin, cabinet, Infinity);
+    assertClose(back.x, 0.5 * Math.SQRT1_2);
+    assertClose(back.y, 0.5 * Math.SQRT1_2);
+});
+
+test('as the viewer recedes, perspective turns into parallel projection and vanishing points disappear', () => {
+    const target = { x: 0, y: 0, z: -5 };
+    const frame = parallelViewFrame(Math.PI / 6, Math.PI / 9);
+    const point = { x: 1.5, y: -1, z: -7 };
+    const parallel = projectToParallelView(point, target, frame, Infinity);
+
+    assert.equal(parallelEyeDistance(0, 6), 6);
+    assert.equal(parallelEyeDistance(1, 6), Infinity);
+    let previousError = Infinity;
+    [0, 0.5, 0.9, 0.99, 0.999].forEach(position => {
+        const eyeDistance = parallelEyeDistance(position, 6);
+        const image = projectToParallelView(point, target, frame, eyeDistance);
+        const error = Math.hypot(image.x - parallel.x, image.y - parallel.y);
+        assert.ok(error < previousError);
+        previousError = error;
+
+        // The images of a line run towards its vanishing point as it heads away, which recedes with the viewer
+        const direction = { x: 1, y: 0, z: 0 };
+        const vanishing = parallelViewVanishingPoint(direction, frame, eyeDistance);
+        const far = projectToParallelView({ x: point.x - 1e9, y: point.y, z: point.z }, target, frame, eyeDistance);
+        assertClose(far.x, vanishing.x, 1e-3 * eyeDistance);
+        assertClose(far.y, vanishing.y, 1e-3 * eyeDistance);
+    });
+    assert.ok(previousError < 0.01);
+
+    assert.equal(parallelViewVanishingPoint({ x: 1, y: 0, z: 0 }, frame, Infinity), null);
+    assert.equal(parallelViewVanishingPoint(frame.right, frame, 10), null);
+    assert.equal(projectToParallelView({ x: 0, y: 0, z: 10 }, { x: 0, y: 0, z: 0 }, parallelViewFrame(0, 0), 6), null);
+});
@@ -0,0 +1,91 @@
+import { readFileSync, writeFileSync } from 'node:fs';
+import { colorToRGB } from '../js/rendering/ray-tracer.js';
+
+/**
+ * Scenes for the ray tracer's tests, and the renders stored as reference images in tests/references
+ * (rewritten by scripts/update-references.js)
+ */
+
+export const REFERENCE_SIZE = 48;
+
+const CUBE_FACES = [
+    [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]],
+    [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]],
+    [[1, -1, 1], [1, -1, -1], [1, 1, -1], [1, 1, 1]],
+    [[-1, -1, -1], [-1, -1, 1], [-1, 1, 1], [-1, 1, -1]],
+    [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]],
+    [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]]
+];
+
+/**
+ * A cube of side 2 turned about Y and X and moved to a centre, as plain triangles with outward normals
+ */
+function makeCubeTriangles(center, yaw, pitch, color) {
+    const turn = ([x, y, z]) => {
+        const x1 = x * Math.cos(yaw) + z * Math.sin(yaw);
+        const z1 = -x * Math.sin(yaw) + z * Math.cos(yaw);
+        const y2 = y * Math.cos(pitch) - z1 * Math.sin(pitch);
+        const z2 = y * Math.sin(pitch) + z1 * Math.cos(pitch);
+        return { x: x1, y: y2, z: z2 };
+    };
+    const rgb = colorToRGB(color);
+    return CUBE_FACES.flatMap(face => {
+        const corners = face.map(turn);
+        const normal = turn(face[0].map((_, i) => face.reduce((sum, corner) => sum + corner[i], 0) / 4));
+        const vertices = corners.map(corner => ({ x: corner.x + center.x, y: corner.y + center.y, z: corner.z + center.z }));
+        return [
+            { vertices: [vertices[0], vertices[1], vertices[2]], normal, rgb },
+            { vertices: [vertices[0], vertices[2], vertices[3]], normal, rgb }
+        ];
+    });
+}
+
+export function makeScene(overrides = {}) {
+    return {
+        viewpoint: { x: 0, y: 0, z: 0 },
+        domeCenter: { x: 0, y: 0, z: 0 },
+        viewAxes: { x: { x: 1, y: 0, z: 0 }, y: { x: 0, y: 1, z: 0 }, z: { x: 0, y: 0, z: 1 } },
+        hemisphereRadius: 5,
+        mapping: 'equidistant',
+        triangles: makeCubeTriangles({ x: 0.5, y: 0, z: -6 }, Math.PI / 6, Math.PI / 9, 0x00aaff),
+        ground: {
+            height: -5,
+            extent: 20,
+            spacing: 1,
+            colors: [colorToRGB(0xe9e5dc), colorToRGB(0xd6d0c2)],
+            outerColor: colorToRGB(0xdfdacf)
+        },
+        lighting: { direction: { x: 0.4, y: 0.8, z: 0.45 }, ambientIntensity: 0.6, directionalIntensity: 0.8 },
+        background: colorToRGB(0xe8f1f8),
+        ...overrides
+    };
+}
+
+/**
+ * Reads or writes an RGBA image as a binary PAM file
+ */
+export function readPAM(path) {
+    const bytes = readFileSync(path);
+    const headerEnd = bytes.indexOf('ENDHDR\n') + 'ENDHDR\n'.length;
+    const header = bytes.subarray(0, headerEnd).toString('ascii');
+    const width = Number(/WIDTH (\d+)/.exec(header)[1]);
+    const height = Number(/HEIGHT (\d+)/.exec(header)[1]);
+    return { width, height, data: new Uint8ClampedArray(bytes.subarray(headerEnd)) };
+}
+
+export function writePAM(path, image) {
+    const header = `P7\nWIDTH ${image.width}\nHEIGHT ${image.height}\nDEPTH 4\nMAXVAL 255\nTUPLTYPE RGB_ALPHA\nENDHDR\n`;
+    writeFileSync(path, Buffer.concat([Buffer.from(header, 'ascii'), Buffer.from(image.data)]));
+}
+
+/**
+ * Scenes of the stored reference images, by file name
+ */
+export const REFERENCE_SCENES = {
+    'hemi-cube-equidistant': makeScene(),
+    'hemi-cube-stereographic-fixed': makeScene({ mapping: 'stereographic', viewpoint: { x: 1, y: 0.5, z: 1 } })
+};
+
+export function getReferencePath(name) {
+    return new URL(`./references/${name}.pam`, import.meta.url);
+}
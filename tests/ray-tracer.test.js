@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { intersectTriangle, traceRay, renderHemisphericalImage } from '../js/rendering/ray-tracer.js';
+import { REFERENCE_SIZE as SIZE, REFERENCE_SCENES, makeScene, readPAM, getReferencePath } from './ray-tracer-references.js';
+
+// Channels may differ by a rounding step between platforms
+const CHANNEL_TOLERANCE = 1;
+
+function assertMatchesReference(name) {
+    const image = renderHemisphericalImage(REFERENCE_SCENES[name], SIZE);
+    const reference = readPAM(getReferencePath(name));
+    assert.equal(image.width, reference.width);
+    assert.equal(image.height, reference.height);
+
+    let mismatches = 0;
+    image.data.forEach((value, i) => {
+        if (Math.abs(value - reference.data[i]) > CHANNEL_TOLERANCE) mismatches++;
+    });
+    assert.equal(mismatches, 0, `${mismatches} channels of ${name} differ from the reference`);
+}
+
+test('rays hit a triangle inside it and from either side, and miss outside it', () => {
+    const a = { x: -1, y: -1, z: -2 };
+    const b = { x: 1, y: -1, z: -2 };
+    const c = { x: 0, y: 1, z: -2 };
+    const origin = { x: 0, y: 0, z: 0 };
+    assert.equal(intersectTriangle(origin, { x: 0, y: 0, z: -1 }, a, b, c), 2);
+    assert.equal(intersectTriangle(origin, { x: 0, y: 0, z: -1 }, a, c, b), 2);
+    assert.equal(intersectTriangle(origin, { x: 0, y: 0, z: 1 }, a, b, c), null);
+    assert.equal(intersectTriangle(origin, { x: 1, y: 1, z: -1 }, a, b, c), null);
+});
+
+test('a ray meets the nearest face before the ground, and the sky when nothing is in the way', () => {
+    const scene = makeScene();
+    assert.notDeepEqual(traceRay(scene, scene.viewpoint, { x: 0.08, y: 0, z: -1 }), scene.background);
+    assert.deepEqual(traceRay(scene, scene.viewpoint, { x: 0, y: 1, z: 0 }), scene.background);
+
+    // Straight down, the ground is lit from above at full brightness (0.6 + 0.8 · 0.8 caps at 1)
+    const ground = traceRay(scene, scene.viewpoint, { x: 0, y: -1, z: 0 });
+    assert.ok(scene.ground.colors.some(color => color.every((channel, i) => Math.abs(channel - ground[i]) < 1e-12)));
+});
+
+test('the image covers the disc and leaves the corners transparent', () => {
+    const image = renderHemisphericalImage(makeScene(), SIZE);
+    const alpha = (row, column) => image.data[4 * (row * SIZE + column) + 3];
+    assert.equal(alpha(0, 0), 0);
+    assert.equal(alpha(SIZE - 1, SIZE - 1), 0);
+    assert.equal(alpha(SIZE / 2, SIZE / 2), 255);
+    assert.equal(alpha(SIZE / 2, 0), 255);
+
+    // Looking straight down the gaze, the centre pixel sees the cube
+    const center = 4 * ((SIZE / 2) * SIZE + SIZE / 2);
+    assert.ok(image.data[center + 2] > image.data[center]);
+});
+
+test('the centred equidistant render matches its reference image', () => {
+    assertMatchesReference('hemi-cube-equidistant');
+});
+
+test('the fixed-dome stereographic render matches its reference image', () => {
+    assertMatchesReference('hemi-cube-stereographic-fixed');
+});
+
+test('with shadows cast, the ground under the cube gets the ambient light only', () => {
+    const overhead = { direction: { x: 0, y: 1, z: 0 }, ambientIntensity: 0.6, directionalIntensity: 0.8 };
+    // Looking straight down at the floor beneath the cube, from below it
+    const origin = { x: 0.5, y: -4.5, z: -6 };
+    const down = { x: 0, y: -1, z: 0 };
+    const traceWith = (lighting) => traceRay(makeScene({ lighting }), origin, down);
+
+    const lit = traceWith(overhead);
+    const sunShadow = traceWith({ ...overhead, castShadows: true });
+    const lampShadow = traceWith({ ...overhead, position: { x: 0.5, y: 10, z: -6 }, castShadows: true });
+    lit.forEach((channel, i) => {
+        assert.ok(Math.abs(sunShadow[i] - 0.6 * channel) < 1e-12);
+        assert.ok(Math.abs(lampShadow[i] - 0.6 * channel) < 1e-12);
+    });
+
+    // A lamp off to the side reaches the same spot
+    const sideLamp = traceWith({ ...overhead, position: { x: 9, y: 0, z: -6 }, castShadows: true });
+    assert.ok(sideLamp[0] > sunShadow[0]);
+});